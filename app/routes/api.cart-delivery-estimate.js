@@ -0,0 +1,87 @@
+/**
+ * Public API endpoint for cart delivery estimates
+ * Called from cart and checkout messaging to show one estimate per shipment when a cart ships
+ * from several origins
+ *
+ * This endpoint is public (no auth required) to allow storefront access
+ */
+
+import { getCartDeliveryEstimate, normalizeCartLineItems } from "../services/delivery-estimate.js";
+import { getClientIP } from "../services/geolocation.js";
+
+const getCorsHeaders = () => ({
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+});
+
+/**
+ * Handle preflight requests
+ */
+export const loader = async ({ request }) => {
+  const headers = getCorsHeaders();
+
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers });
+  }
+
+  return new Response(
+    JSON.stringify({ success: false, error: "Use POST with the cart line items" }),
+    { status: 405, headers }
+  );
+};
+
+/**
+ * Handle POST request for a cart delivery estimate
+ * Body:
+ *   - shop: Shopify shop domain (required)
+ *   - postalCode: Customer postal code (optional)
+ *   - country: Country of postalCode (optional)
+ *   - items: Cart line items, each with variantId (or variant_id) and optional productId
+ *     (or product_id) (required). The items array of the storefront /cart.js response works
+ *     as is. Freight items are recognized by their product tags.
+ */
+export const action = async ({ request }) => {
+  const headers = getCorsHeaders();
+
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers });
+  }
+
+  try {
+    const body = await request.json();
+    const { shop, postalCode, country } = body;
+
+    if (!shop) {
+      return new Response(
+        JSON.stringify({ success: false, error: "Shop parameter required" }),
+        { status: 400, headers }
+      );
+    }
+
+    const lineItems = normalizeCartLineItems(body.items);
+    const clientIP = getClientIP(request);
+
+    console.log(`[Cart Delivery Estimate] Request from shop: ${shop}, items: ${lineItems.length}`);
+
+    const estimate = await getCartDeliveryEstimate(shop, clientIP, postalCode, lineItems, {
+      countryCode: country ? String(country) : undefined,
+    });
+
+    return new Response(JSON.stringify(estimate), {
+      status: 200,
+      headers,
+    });
+  } catch (error) {
+    console.error("Cart delivery estimate API error:", error);
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: "Unable to calculate delivery estimate. Please try again later."
+      }),
+      { status: 200, headers }
+    );
+  }
+};
@@ -22,6 +22,9 @@ const getCorsHeaders = () => ({
  * Query params:
  *   - shop: Shopify shop domain (required)
  *   - postalCode: Override postal code (optional)
+ *   - country: Country of postalCode, e.g. "CA" (optional, detected from the format)
+ *   - productId, variantId: Product being viewed, for handling time, backorder and freight
+ *     rules (optional)
  */
 export const loader = async ({ request }) => {
   const headers = getCorsHeaders();
@@ -35,6 +38,9 @@ export const loader = async ({ request }) => {
     const url = new URL(request.url);
     const shop = url.searchParams.get("shop");
     const postalCode = url.searchParams.get("postalCode");
+    const countryCode = url.searchParams.get("country") || undefined;
+    const productId = url.searchParams.get("productId") || undefined;
+    const variantId = url.searchParams.get("variantId") || undefined;
 
     if (!shop) {
       return new Response(
@@ -49,7 +55,11 @@ export const loader = async ({ request }) => {
     console.log(`[Delivery Estimate] Request from shop: ${shop}, IP: ${clientIP || 'unknown'}`);
 
     // Get delivery estimate
-    const estimate = await getDeliveryEstimate(shop, clientIP, postalCode);
+    const estimate = await getDeliveryEstimate(shop, clientIP, postalCode, {
+      productId,
+      variantId,
+      countryCode,
+    });
 
     return new Response(JSON.stringify(estimate), {
       status: estimate.success ? 200 : 200, // Always return 200 to avoid CORS issues
@@ -72,8 +82,11 @@ export const loader = async ({ request }) => {
  * Body:
  *   - shop: Shopify shop domain (required)
  *   - postalCode: Customer postal code (optional)
+ *   - country: Country of postalCode (optional)
  *   - city: Customer city (optional)
  *   - state: Customer state (optional)
+ *   - productId, variantId: Product being viewed, for handling time, backorder and freight
+ *     rules (optional)
  */
 export const action = async ({ request }) => {
   const headers = getCorsHeaders();
@@ -84,7 +97,7 @@ export const action = async ({ request }) => {
 
   try {
     const body = await request.json();
-    const { shop, postalCode } = body;
+    const { shop, postalCode, country, productId, variantId } = body;
 
     if (!shop) {
       return new Response(
@@ -97,7 +110,11 @@ export const action = async ({ request }) => {
     const clientIP = getClientIP(request);
 
     // Get delivery estimate
-    const estimate = await getDeliveryEstimate(shop, clientIP, postalCode);
+    const estimate = await getDeliveryEstimate(shop, clientIP, postalCode, {
+      productId: productId ? String(productId) : undefined,
+      variantId: variantId ? String(variantId) : undefined,
+      countryCode: country ? String(country) : undefined,
+    });
 
     return new Response(JSON.stringify(estimate), {
       status: 200,
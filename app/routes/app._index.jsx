@@ -3,18 +3,56 @@
  * Dashboard showing app status and quick setup guidance
  */
 
-import { useLoaderData } from "react-router";
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
-import { getAppSettings } from "../services/delivery-estimate.js";
+import {
+  getAppSettings,
+  getCarrierCredentials,
+  getCarrierEnvironment,
+  getDeliveryEstimate,
+  parseEnabledCarriers,
+} from "../services/delivery-estimate.js";
+import { purgeTransitCache } from "../services/transit-cache.server.js";
+import { getGeolocationCacheStats, GEOLOCATION_CACHE_KINDS } from "../services/geolocation-cache.server.js";
+import { getSeasonalBuffers, getActiveSeasonalBuffer } from "../services/seasonal-buffers.js";
+import { getWarehouses } from "../services/warehouses.server.js";
+import { getZonedNow, DEFAULT_TIMEZONE } from "../services/timezone.js";
+import { getCircuitBreakerStates, CIRCUIT_STATES } from "../services/carriers/resilience.js";
+import { CARRIER_ENVIRONMENTS } from "../services/carriers/types.js";
+
+const CIRCUIT_STATE_LABELS = {
+  [CIRCUIT_STATES.CLOSED]: "✅ Healthy",
+  [CIRCUIT_STATES.HALF_OPEN]: "🟡 Recovering",
+  [CIRCUIT_STATES.OPEN]: "⛔ Unavailable",
+};
+
+const GEOLOCATION_CACHE_LABELS = {
+  [GEOLOCATION_CACHE_KINDS.IP]: "Shopper IPs",
+  [GEOLOCATION_CACHE_KINDS.POSTAL_CODE]: "Entered postal codes",
+};
+
+const POSTAL_CODE_PLACEHOLDERS = {
+  US: "64106",
+  CA: "M5V 3L9",
+  MX: "06600",
+};
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
-  const settings = await getAppSettings(session.shop);
+  const [settings, seasonalBuffers, warehouses] = await Promise.all([
+    getAppSettings(session.shop),
+    getSeasonalBuffers(session.shop),
+    getWarehouses(session.shop),
+  ]);
   
   // Determine setup status
-  const hasWarehouse = !!(settings?.warehouseCity && settings?.warehousePostalCode);
-  const hasCredentials = !!(settings?.fedexApiKey && settings?.fedexSecretKey);
+  const hasWarehouse = !!(settings?.warehouseCity && settings?.warehousePostalCode) ||
+    warehouses.some((warehouse) => warehouse.isEnabled);
+  const hasCredentials = !!settings && parseEnabledCarriers(settings.enabledCarriers)
+    .some((carrier) => getCarrierCredentials(settings, carrier));
   const isEnabled = settings?.isEnabled ?? false;
   
   return {
@@ -23,11 +61,85 @@ export const loader = async ({ request }) => {
     hasCredentials,
     isEnabled,
     isConfigured: hasWarehouse && hasCredentials,
+    environment: getCarrierEnvironment(settings),
+    carrierStatus: getCircuitBreakerStates(),
+    geolocationCache: Object.entries(getGeolocationCacheStats())
+      .map(([kind, counts]) => ({ label: GEOLOCATION_CACHE_LABELS[kind], ...counts })),
+    activeBuffer: getActiveSeasonalBuffer(
+      seasonalBuffers,
+      getZonedNow(settings?.warehouseTimezone || DEFAULT_TIMEZONE)
+    ),
   };
 };
 
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "preview") {
+    const postalCode = formData.get("postalCode") || null;
+    const countryCode = formData.get("countryCode") || undefined;
+    const freight = formData.get("freight") === "1";
+    const estimate = await getDeliveryEstimate(session.shop, null, postalCode, { freight, countryCode });
+    return { intent, estimate };
+  }
+
+  if (intent === "purgeTransitCache") {
+    const purged = await purgeTransitCache(session.shop);
+    return {
+      intent,
+      success: true,
+      message: `Cleared ${purged} cached transit ${purged === 1 ? "time" : "times"}`,
+    };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
 export default function Index() {
-  const { hasWarehouse, hasCredentials, isEnabled, isConfigured } = useLoaderData();
+  const {
+    hasWarehouse,
+    hasCredentials,
+    isEnabled,
+    isConfigured,
+    environment,
+    carrierStatus,
+    geolocationCache,
+    activeBuffer,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [previewPostalCode, setPreviewPostalCode] = useState("");
+  const [previewCountryCode, setPreviewCountryCode] = useState("US");
+  const [previewFreight, setPreviewFreight] = useState(false);
+
+  const isPreviewing = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "preview";
+  const previewEstimate = fetcher.data?.intent === "preview" ? fetcher.data.estimate : null;
+
+  const isPurging = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "purgeTransitCache";
+
+  useEffect(() => {
+    if (fetcher.data?.intent === "purgeTransitCache" && fetcher.data.success) {
+      shopify.toast.show(fetcher.data.message);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handlePurgeTransitCache = () => {
+    fetcher.submit({ intent: "purgeTransitCache" }, { method: "POST" });
+  };
+
+  const handlePreview = () => {
+    fetcher.submit(
+      {
+        intent: "preview",
+        postalCode: previewPostalCode,
+        countryCode: previewCountryCode,
+        freight: previewFreight ? "1" : "",
+      },
+      { method: "POST" }
+    );
+  };
 
   return (
     <s-page heading="Estimated Delivery Date">
@@ -46,6 +158,20 @@ export default function Index() {
         </s-banner>
       )}
 
+      {environment === CARRIER_ENVIRONMENTS.SANDBOX && (
+        <s-banner status="info">
+          Carrier APIs are in sandbox mode, so transit times are test data. Switch to production in Settings to show live estimates.
+        </s-banner>
+      )}
+
+      {activeBuffer && (
+        <s-banner status="info">
+          Seasonal buffer active ({activeBuffer.names.join(", ")}): estimates add{" "}
+          {activeBuffer.handlingDays} handling, {activeBuffer.transitDays} transit, and{" "}
+          {activeBuffer.windowDays} delivery window days. Manage buffers in Settings.
+        </s-banner>
+      )}
+
       {/* Setup Checklist */}
       <s-section heading="Setup Checklist">
         <s-stack direction="block" gap="base">
@@ -75,9 +201,9 @@ export default function Index() {
             <s-stack direction="inline" gap="base" align="center">
               <s-text>{hasCredentials ? "✅" : "⬜"}</s-text>
               <s-stack direction="block" gap="tight">
-                <s-text fontWeight="bold">Add FedEx API Credentials</s-text>
+                <s-text fontWeight="bold">Add Carrier API Credentials</s-text>
                 <s-text variant="subdued">
-                  Connect your FedEx developer account for real-time transit estimates
+                  Connect your FedEx, UPS, or USPS developer account for real-time transit estimates
                 </s-text>
               </s-stack>
             </s-stack>
@@ -122,6 +248,129 @@ export default function Index() {
         </s-text>
       </s-section>
 
+      {/* Test Estimate Section */}
+      <s-section heading="Test an Estimate">
+        <s-stack direction="block" gap="base">
+          <s-stack direction="inline" gap="base" align="end">
+            <s-text-field
+              label="Destination Postal Code"
+              value={previewPostalCode}
+              onInput={(e) => setPreviewPostalCode(e.target.value)}
+              placeholder={POSTAL_CODE_PLACEHOLDERS[previewCountryCode]}
+            />
+            <s-select
+              label="Country"
+              value={previewCountryCode}
+              onInput={(e) => setPreviewCountryCode(e.target.value)}
+            >
+              <option value="US">United States</option>
+              <option value="CA">Canada</option>
+              <option value="MX">Mexico</option>
+            </s-select>
+            <s-button
+              onClick={handlePreview}
+              {...(isPreviewing ? { loading: true } : {})}
+            >
+              Get Estimate
+            </s-button>
+          </s-stack>
+
+          <s-checkbox
+            checked={previewFreight}
+            onInput={(e) => setPreviewFreight(e.target.checked)}
+          >
+            Freight product (uses your freight lanes when freight is enabled)
+          </s-checkbox>
+
+          {previewEstimate && (
+            <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued">
+              {previewEstimate.success ? (
+                <s-stack direction="block" gap="tight">
+                  <s-text fontWeight="bold">{previewEstimate.displayText}</s-text>
+                  <s-text variant="subdued">Deliver to {previewEstimate.location}</s-text>
+                  {previewEstimate.warehouse && (
+                    <s-text variant="subdued">Ships from {previewEstimate.warehouse}</s-text>
+                  )}
+                  <s-text variant="subdued">
+                    {previewEstimate.isFallback
+                      ? "Source: zone-based fallback (no carrier responded)"
+                      : `Source: ${previewEstimate.serviceName} (${previewEstimate.environment})`}
+                  </s-text>
+                </s-stack>
+              ) : (
+                <s-text>{previewEstimate.error}</s-text>
+              )}
+            </s-box>
+          )}
+        </s-stack>
+      </s-section>
+
+      {/* Carrier Status Section */}
+      <s-section heading="Carrier Status">
+        {carrierStatus.length === 0 ? (
+          <s-paragraph>
+            No carrier requests have been made since the app last started.
+          </s-paragraph>
+        ) : (
+          <s-stack direction="block" gap="base">
+            {carrierStatus.map((breaker) => (
+              <s-box key={breaker.name} padding="base" borderWidth="base" borderRadius="base">
+                <s-stack direction="block" gap="tight">
+                  <s-text fontWeight="bold">
+                    {breaker.name}: {CIRCUIT_STATE_LABELS[breaker.state]}
+                  </s-text>
+                  {breaker.retryAt && (
+                    <s-text variant="subdued">
+                      Skipped until {new Date(breaker.retryAt).toLocaleTimeString()} after {breaker.failures} failed requests;
+                      estimates use cached or zone-based times meanwhile.
+                    </s-text>
+                  )}
+                  {breaker.lastFailureReason && (
+                    <s-text variant="subdued">
+                      Last failure: {breaker.lastFailureReason} at {new Date(breaker.lastFailureAt).toLocaleTimeString()}
+                    </s-text>
+                  )}
+                </s-stack>
+              </s-box>
+            ))}
+          </s-stack>
+        )}
+      </s-section>
+
+      {/* Transit Cache Section */}
+      <s-section heading="Transit Time Cache">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            Carrier transit times are cached per destination area and ship date to save API calls.
+            Clear the cache after changing your warehouse or carrier accounts to fetch fresh times.
+          </s-paragraph>
+          <s-button
+            variant="secondary"
+            onClick={handlePurgeTransitCache}
+            {...(isPurging ? { loading: true } : {})}
+          >
+            Clear Transit Cache
+          </s-button>
+        </s-stack>
+      </s-section>
+
+      {/* Geolocation Cache Section */}
+      <s-section heading="Location Cache">
+        <s-stack direction="block" gap="tight">
+          <s-paragraph>
+            Shopper locations are cached so each visitor and postal code is looked up once.
+            Counts are since the app last started.
+          </s-paragraph>
+          {geolocationCache.map(({ label, hits, negativeHits, misses }) => (
+            <s-text key={label} variant="subdued">
+              {label}: {hits + negativeHits} cache hits ({negativeHits} not found), {misses} lookups
+              {hits + negativeHits + misses > 0 &&
+                ` - ${Math.round(((hits + negativeHits) / (hits + negativeHits + misses)) * 100)}% hit rate`}
+            </s-text>
+          ))}
+        </s-stack>
+      </s-section>
+
       {/* How It Works */}
       <s-section slot="aside" heading="How It Works">
         <s-stack direction="block" gap="base">
@@ -134,7 +383,7 @@ export default function Index() {
           <s-paragraph>
             <s-text fontWeight="bold">2. Real-Time Transit Calculation</s-text>
             <br />
-            FedEx Ground transit times are calculated from your warehouse to the customer's location.
+            Transit times from your enabled carriers are calculated from your warehouse to the customer's location, and one is picked using your carrier strategy.
           </s-paragraph>
           
           <s-paragraph>
@@ -153,6 +402,16 @@ export default function Index() {
               FedEx Developer Portal
             </s-link>
           </s-list-item>
+          <s-list-item>
+            <s-link href="https://developer.ups.com/" target="_blank">
+              UPS Developer Portal
+            </s-link>
+          </s-list-item>
+          <s-list-item>
+            <s-link href="https://developer.usps.com/" target="_blank">
+              USPS Developer Portal
+            </s-link>
+          </s-list-item>
           <s-list-item>
             <s-link
               href="https://shopify.dev/docs/apps/online-store/theme-app-extensions"
@@ -0,0 +1,222 @@
+/**
+ * Backorders Page
+ * Lets merchants set restock dates and lead times for variants that sell while out of stock
+ */
+
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAppSettings } from "../services/delivery-estimate.js";
+import {
+  getBackorderRules,
+  saveBackorderRule,
+  deleteBackorderRule,
+} from "../services/backorder.server.js";
+import { BACKORDER_RULE_TYPES, normalizeBackorderRule } from "../services/backorder.js";
+
+const RULE_TYPE_LABELS = {
+  [BACKORDER_RULE_TYPES.VARIANT]: "Variant",
+  [BACKORDER_RULE_TYPES.PRODUCT]: "Product",
+};
+
+const EMPTY_RULE = {
+  type: BACKORDER_RULE_TYPES.PRODUCT,
+  value: "",
+  title: "",
+  restockDate: "",
+  leadTimeDays: "",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, rules] = await Promise.all([
+    getAppSettings(session.shop),
+    getBackorderRules(session.shop),
+  ]);
+
+  return {
+    rules,
+    defaultLeadTimeDays: settings?.backorderLeadTimeDays ?? 14,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    const { rule, error } = normalizeBackorderRule({
+      type: formData.get("type"),
+      value: formData.get("value"),
+      title: formData.get("title"),
+      restockDate: formData.get("restockDate"),
+      leadTimeDays: formData.get("leadTimeDays"),
+    });
+
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    await saveBackorderRule(session.shop, rule);
+    return { success: true, message: "Backorder rule saved" };
+  }
+
+  if (intent === "delete") {
+    await deleteBackorderRule(session.shop, formData.get("id"));
+    return { success: true, message: "Backorder rule deleted" };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
+export default function Backorders() {
+  const { rules, defaultLeadTimeDays } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [rule, setRule] = useState(EMPTY_RULE);
+
+  const isSaving = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "save";
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    shopify.toast.show(fetcher.data.message, { isError: !fetcher.data.success });
+    if (fetcher.data.success) {
+      setRule((prev) => ({ ...EMPTY_RULE, type: prev.type }));
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleChange = (field, value) => {
+    setRule((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleTypeChange = (type) => {
+    setRule((prev) => ({ ...prev, type, value: "", title: "" }));
+  };
+
+  const handlePick = async () => {
+    const selection = await shopify.resourcePicker({ type: rule.type, multiple: false });
+    const picked = selection?.[0];
+    if (picked) {
+      setRule((prev) => ({
+        ...prev,
+        value: picked.id,
+        title: picked.displayName || picked.title,
+      }));
+    }
+  };
+
+  const handleSave = () => {
+    fetcher.submit({ intent: "save", ...rule }, { method: "POST" });
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Backorders">
+      {/* Add Rule Section */}
+      <s-section heading="Add or Update a Rule">
+        <s-paragraph>
+          When a variant is out of stock but set to continue selling, estimates count the handling
+          time from its restock date, or add a lead time. Variants without a rule (or whose
+          restock date has passed) use the default lead time of {defaultLeadTimeDays} business
+          days from <s-link href="/app/settings">Settings</s-link>. A variant rule wins over a
+          product rule.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Applies To"
+                value={rule.type}
+                onInput={(e) => handleTypeChange(e.target.value)}
+              >
+                {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </s-select>
+
+              <s-stack direction="block" gap="tight">
+                <s-text>{rule.title || `No ${RULE_TYPE_LABELS[rule.type].toLowerCase()} selected`}</s-text>
+                <s-button variant="secondary" onClick={handlePick}>
+                  Choose {RULE_TYPE_LABELS[rule.type].toLowerCase()}
+                </s-button>
+              </s-stack>
+            </s-stack>
+
+            <s-stack direction="inline" gap="base">
+              <s-date-field
+                label="Restock Date"
+                value={rule.restockDate}
+                onChange={(e) => handleChange("restockDate", e.target.value)}
+              />
+
+              <s-text-field
+                label="Lead Time (Business Days)"
+                type="number"
+                value={String(rule.leadTimeDays)}
+                onInput={(e) => handleChange("leadTimeDays", e.target.value)}
+                min="0"
+                max="180"
+                helpText="Used when there is no restock date, or once it has passed"
+              />
+            </s-stack>
+
+            <s-button
+              onClick={handleSave}
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save Rule
+            </s-button>
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Rule Table Section */}
+      <s-section heading="Rules">
+        {rules.length === 0 ? (
+          <s-paragraph>
+            No backorder rules yet. Backordered variants use the default lead time.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Type</s-table-header>
+              <s-table-header>Applies To</s-table-header>
+              <s-table-header>Restock Date</s-table-header>
+              <s-table-header>Lead Time</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rules.map((r) => (
+                <s-table-row key={r.id}>
+                  <s-table-cell>{RULE_TYPE_LABELS[r.type] || r.type}</s-table-cell>
+                  <s-table-cell>{r.title}</s-table-cell>
+                  <s-table-cell>{r.restockDate || "—"}</s-table-cell>
+                  <s-table-cell>
+                    {r.leadTimeDays === null ? "—" : `${r.leadTimeDays} business days`}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-button variant="tertiary" tone="critical" onClick={() => handleDelete(r.id)}>
+                      Delete
+                    </s-button>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,307 @@
+/**
+ * Delivery Calendar Page
+ * Shows the carrier holidays skipped by delivery estimates and lets merchants add exceptions
+ */
+
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAppSettings } from "../services/delivery-estimate.js";
+import {
+  getCalendarExceptions,
+  saveCalendarException,
+  deleteCalendarException,
+} from "../services/calendar-exceptions.js";
+import { purgeTransitCache } from "../services/transit-cache.server.js";
+import { createDeliveryCalendar, toDateKey } from "../services/carriers/calendar.js";
+import { CARRIERS, CALENDAR_EXCEPTION_TYPES } from "../services/carriers/types.js";
+
+// Carriers with built-in holiday calendars
+const PARCEL_CARRIERS = [CARRIERS.FEDEX, CARRIERS.UPS, CARRIERS.USPS];
+
+const CARRIER_LABELS = {
+  "*": "All carriers",
+  [CARRIERS.FEDEX]: "FedEx",
+  [CARRIERS.UPS]: "UPS",
+  [CARRIERS.USPS]: "USPS",
+  [CARRIERS.FREIGHT]: "LTL Freight",
+  [CARRIERS.MANUAL]: "Manual transit table",
+};
+
+const COUNTRY_LABELS = {
+  US: "United States",
+  CA: "Canada",
+};
+
+// How far ahead to list built-in holidays
+const HOLIDAY_WINDOW_DAYS = 365;
+
+const EMPTY_EXCEPTION = {
+  date: "",
+  carrier: "*",
+  type: CALENDAR_EXCEPTION_TYPES.CLOSED,
+  note: "",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, exceptions] = await Promise.all([
+    getAppSettings(session.shop),
+    getCalendarExceptions(session.shop),
+  ]);
+
+  const from = new Date();
+  const to = new Date(from);
+  to.setDate(to.getDate() + HOLIDAY_WINDOW_DAYS);
+
+  // One row per country, date and holiday, listing the carriers that observe it
+  const holidays = {};
+  for (const countryCode of Object.keys(COUNTRY_LABELS)) {
+    const rows = new Map();
+
+    for (const carrier of PARCEL_CARRIERS) {
+      const calendar = createDeliveryCalendar({ carrier, countryCode });
+      for (const holiday of calendar.listHolidays(from, to)) {
+        const date = toDateKey(holiday.date);
+        const key = `${date}|${holiday.name}`;
+        if (!rows.has(key)) {
+          rows.set(key, { date, name: holiday.name, carriers: [] });
+        }
+        rows.get(key).carriers.push(carrier);
+      }
+    }
+
+    holidays[countryCode] = [...rows.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return {
+    holidays,
+    exceptions,
+    today: toDateKey(from),
+    warehouseCountryCode: settings?.warehouseCountryCode in COUNTRY_LABELS ? settings.warehouseCountryCode : "US",
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    try {
+      await saveCalendarException(session.shop, {
+        date: formData.get("date"),
+        carrier: formData.get("carrier") || "*",
+        type: formData.get("type"),
+        note: formData.get("note") || null,
+      });
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    // Cached delivery dates were computed with the old calendar
+    await purgeTransitCache(session.shop);
+    return { success: true, message: "Calendar exception saved" };
+  }
+
+  if (intent === "delete") {
+    await deleteCalendarException(session.shop, formData.get("id"));
+    await purgeTransitCache(session.shop);
+    return { success: true, message: "Calendar exception deleted" };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
+export default function DeliveryCalendar() {
+  const { holidays, exceptions, today, warehouseCountryCode } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [exception, setException] = useState(EMPTY_EXCEPTION);
+  const [countryCode, setCountryCode] = useState(warehouseCountryCode);
+
+  const isSaving = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "save";
+  const upcomingExceptions = exceptions.filter((e) => e.date >= today);
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    shopify.toast.show(fetcher.data.message, { isError: !fetcher.data.success });
+    if (fetcher.data.success) {
+      setException(EMPTY_EXCEPTION);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleChange = (field, value) => {
+    setException((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    fetcher.submit({ intent: "save", ...exception }, { method: "POST" });
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Delivery Calendar">
+      {/* Built-in Holidays Section */}
+      <s-section heading="Carrier Holidays">
+        <s-paragraph>
+          Delivery estimates skip the holidays each carrier observes in the destination country.
+          Holidays that fall on a weekend are moved to the day the carrier observes them. Your
+          warehouse does not ship on holidays observed in its own country.
+        </s-paragraph>
+
+        <s-stack direction="block" gap="base">
+          <s-select
+            label="Country"
+            value={countryCode}
+            onInput={(e) => setCountryCode(e.target.value)}
+          >
+            {Object.entries(COUNTRY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </s-select>
+
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Date</s-table-header>
+              <s-table-header>Holiday</s-table-header>
+              <s-table-header>Carriers</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {holidays[countryCode].map((h) => (
+                <s-table-row key={`${h.date}-${h.name}`}>
+                  <s-table-cell>{formatDateKey(h.date)}</s-table-cell>
+                  <s-table-cell>{h.name}</s-table-cell>
+                  <s-table-cell>
+                    {h.carriers.length === PARCEL_CARRIERS.length
+                      ? "All carriers"
+                      : h.carriers.map((c) => CARRIER_LABELS[c]).join(", ")}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        </s-stack>
+      </s-section>
+
+      {/* Weekend Delivery Section */}
+      <s-section heading="Weekend Delivery">
+        <s-paragraph>
+          Most services deliver Monday through Friday. FedEx Home Delivery, USPS Ground Advantage
+          and USPS Priority Mail also deliver on Saturdays, and USPS Priority Mail Express delivers
+          every day. Choose the FedEx and USPS services in{" "}
+          <s-link href="/app/settings">Settings</s-link>.
+        </s-paragraph>
+      </s-section>
+
+      {/* Add Exception Section */}
+      <s-section heading="Add or Update an Exception">
+        <s-paragraph>
+          Mark a day as closed for a regional closure or extra carrier holiday, or as open to
+          deliver on a built-in holiday. Saving an existing date and carrier updates it.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-date-field
+                label="Date"
+                value={exception.date}
+                onChange={(e) => handleChange("date", e.target.value)}
+              />
+
+              <s-select
+                label="Carrier"
+                value={exception.carrier}
+                onInput={(e) => handleChange("carrier", e.target.value)}
+              >
+                {Object.entries(CARRIER_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </s-select>
+
+              <s-select
+                label="Type"
+                value={exception.type}
+                onInput={(e) => handleChange("type", e.target.value)}
+              >
+                <option value={CALENDAR_EXCEPTION_TYPES.CLOSED}>Closed (no delivery)</option>
+                <option value={CALENDAR_EXCEPTION_TYPES.OPEN}>Open (delivers despite holiday)</option>
+              </s-select>
+            </s-stack>
+
+            <s-text-field
+              label="Note"
+              value={exception.note}
+              onInput={(e) => handleChange("note", e.target.value)}
+              placeholder="Regional closure"
+            />
+
+            <s-button
+              onClick={handleSave}
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save Exception
+            </s-button>
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Exceptions Table Section */}
+      <s-section heading="Upcoming Exceptions">
+        {upcomingExceptions.length === 0 ? (
+          <s-paragraph>
+            No upcoming exceptions. Estimates follow the built-in carrier calendars.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Date</s-table-header>
+              <s-table-header>Carrier</s-table-header>
+              <s-table-header>Type</s-table-header>
+              <s-table-header>Note</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {upcomingExceptions.map((e) => (
+                <s-table-row key={e.id}>
+                  <s-table-cell>{formatDateKey(e.date)}</s-table-cell>
+                  <s-table-cell>{CARRIER_LABELS[e.carrier] || e.carrier}</s-table-cell>
+                  <s-table-cell>
+                    {e.type === CALENDAR_EXCEPTION_TYPES.OPEN ? "Open" : "Closed"}
+                  </s-table-cell>
+                  <s-table-cell>{e.note}</s-table-cell>
+                  <s-table-cell>
+                    <s-button variant="tertiary" tone="critical" onClick={() => handleDelete(e.id)}>
+                      Delete
+                    </s-button>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+function formatDateKey(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
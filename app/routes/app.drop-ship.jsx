@@ -0,0 +1,328 @@
+/**
+ * Drop-Ship Vendors Page
+ * Lets merchants set the dock, handling time, processing days, and carrier for products that
+ * ship straight from a vendor
+ */
+
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  getVendorOrigins,
+  saveVendorOrigin,
+  deleteVendorOrigin,
+} from "../services/vendor-origins.server.js";
+import { VENDOR_MATCH_TYPES, normalizeVendorOrigin } from "../services/vendor-origins.js";
+import { getTimeZones } from "../services/timezone.js";
+import { CARRIERS } from "../services/carriers/types.js";
+
+const MATCH_TYPE_LABELS = {
+  [VENDOR_MATCH_TYPES.VENDOR]: "Product vendor",
+  [VENDOR_MATCH_TYPES.TAG]: "Product tag",
+};
+
+const CARRIER_LABELS = {
+  [CARRIERS.FEDEX]: "FedEx",
+  [CARRIERS.UPS]: "UPS",
+  [CARRIERS.USPS]: "USPS",
+  [CARRIERS.MANUAL]: "Manual transit table",
+};
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const EMPTY_ORIGIN = {
+  name: "",
+  matchType: VENDOR_MATCH_TYPES.VENDOR,
+  matchValue: "",
+  street: "",
+  city: "",
+  state: "",
+  postalCode: "",
+  countryCode: "US",
+  timezone: "",
+  handlingTimeDays: "",
+  processingDays: [1, 2, 3, 4, 5],
+  carrier: "",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const origins = await getVendorOrigins(session.shop);
+
+  return {
+    origins,
+    timeZones: getTimeZones(),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    const { origin, error } = normalizeVendorOrigin(Object.fromEntries(formData));
+
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    await saveVendorOrigin(session.shop, origin);
+    return { success: true, message: "Vendor origin saved" };
+  }
+
+  if (intent === "delete") {
+    await deleteVendorOrigin(session.shop, formData.get("id"));
+    return { success: true, message: "Vendor origin deleted" };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
+export default function DropShip() {
+  const { origins, timeZones } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [origin, setOrigin] = useState(EMPTY_ORIGIN);
+
+  const isSaving = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "save";
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    shopify.toast.show(fetcher.data.message, { isError: !fetcher.data.success });
+    if (fetcher.data.success) {
+      setOrigin(EMPTY_ORIGIN);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleChange = (field, value) => {
+    setOrigin((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleToggleDay = (day, checked) => {
+    handleChange(
+      "processingDays",
+      checked
+        ? [...origin.processingDays, day].sort((a, b) => a - b)
+        : origin.processingDays.filter((d) => d !== day)
+    );
+  };
+
+  const handleEdit = (o) => {
+    setOrigin({
+      ...EMPTY_ORIGIN,
+      ...o,
+      street: o.street || "",
+      timezone: o.timezone || "",
+      carrier: o.carrier || "",
+      handlingTimeDays: String(o.handlingTimeDays),
+      processingDays: o.processingDays.split(",").map(Number),
+    });
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        intent: "save",
+        name: origin.name,
+        matchType: origin.matchType,
+        matchValue: origin.matchValue,
+        street: origin.street,
+        city: origin.city,
+        state: origin.state,
+        postalCode: origin.postalCode,
+        countryCode: origin.countryCode,
+        timezone: origin.timezone,
+        handlingTimeDays: origin.handlingTimeDays,
+        processingDays: origin.processingDays.join(","),
+        carrier: origin.carrier,
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Drop-Ship Vendors">
+      {/* Add Origin Section */}
+      <s-section heading="Add or Update a Vendor">
+        <s-paragraph>
+          Products from a drop-ship vendor are estimated from the vendor dock instead of your
+          warehouse, using the vendor handling time, processing days, and carrier. Match products
+          by the Shopify vendor field or by a product tag; a vendor match wins over a tag match.
+          Handling time rules for specific products still take priority.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Match By"
+                value={origin.matchType}
+                onInput={(e) => handleChange("matchType", e.target.value)}
+              >
+                {Object.entries(MATCH_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </s-select>
+
+              <s-text-field
+                label={origin.matchType === VENDOR_MATCH_TYPES.TAG ? "Tag" : "Vendor"}
+                value={origin.matchValue}
+                onInput={(e) => handleChange("matchValue", e.target.value)}
+                placeholder={origin.matchType === VENDOR_MATCH_TYPES.TAG ? "drop-ship" : "Acme Furniture"}
+              />
+
+              <s-text-field
+                label="Display Name"
+                value={origin.name}
+                onInput={(e) => handleChange("name", e.target.value)}
+                helpText="Defaults to the vendor or tag"
+              />
+            </s-stack>
+
+            <s-text-field
+              label="Street Address"
+              value={origin.street}
+              onInput={(e) => handleChange("street", e.target.value)}
+            />
+
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="City"
+                value={origin.city}
+                onInput={(e) => handleChange("city", e.target.value)}
+              />
+              <s-text-field
+                label="State/Province"
+                value={origin.state}
+                onInput={(e) => handleChange("state", e.target.value)}
+              />
+              <s-text-field
+                label="Postal Code"
+                value={origin.postalCode}
+                onInput={(e) => handleChange("postalCode", e.target.value)}
+              />
+              <s-select
+                label="Country"
+                value={origin.countryCode}
+                onInput={(e) => handleChange("countryCode", e.target.value)}
+              >
+                <option value="US">United States</option>
+                <option value="CA">Canada</option>
+                <option value="MX">Mexico</option>
+              </s-select>
+            </s-stack>
+
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Handling Time (Business Days)"
+                type="number"
+                value={origin.handlingTimeDays}
+                onInput={(e) => handleChange("handlingTimeDays", e.target.value)}
+                min="0"
+                max="60"
+              />
+
+              <s-select
+                label="Carrier"
+                value={origin.carrier}
+                onInput={(e) => handleChange("carrier", e.target.value)}
+              >
+                <option value="">Same as Settings</option>
+                {Object.entries(CARRIER_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </s-select>
+
+              <s-select
+                label="Timezone"
+                value={origin.timezone}
+                onInput={(e) => handleChange("timezone", e.target.value)}
+              >
+                <option value="">Same as Settings</option>
+                {timeZones.map((timeZone) => (
+                  <option key={timeZone} value={timeZone}>{timeZone.replace(/_/g, " ")}</option>
+                ))}
+              </s-select>
+            </s-stack>
+
+            <s-stack direction="inline" gap="base" wrap="wrap">
+              {WEEKDAYS.map((day, index) => (
+                <s-checkbox
+                  key={day}
+                  checked={origin.processingDays.includes(index)}
+                  onInput={(e) => handleToggleDay(index, e.target.checked)}
+                >
+                  {day}
+                </s-checkbox>
+              ))}
+            </s-stack>
+
+            <s-button
+              onClick={handleSave}
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save Vendor
+            </s-button>
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Origin Table Section */}
+      <s-section heading="Vendors">
+        {origins.length === 0 ? (
+          <s-paragraph>
+            No drop-ship vendors yet. Every product ships from your warehouses.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Vendor</s-table-header>
+              <s-table-header>Matches</s-table-header>
+              <s-table-header>Ships From</s-table-header>
+              <s-table-header>Handling Time</s-table-header>
+              <s-table-header>Carrier</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {origins.map((o) => (
+                <s-table-row key={o.id}>
+                  <s-table-cell>{o.name}</s-table-cell>
+                  <s-table-cell>
+                    {MATCH_TYPE_LABELS[o.matchType] || o.matchType}: {o.matchValue}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {[o.city, o.state, o.postalCode, o.countryCode].filter(Boolean).join(", ")}
+                  </s-table-cell>
+                  <s-table-cell>{o.handlingTimeDays} business days</s-table-cell>
+                  <s-table-cell>{CARRIER_LABELS[o.carrier] || "Same as Settings"}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="tight">
+                      <s-button variant="tertiary" onClick={() => handleEdit(o)}>
+                        Edit
+                      </s-button>
+                      <s-button variant="tertiary" tone="critical" onClick={() => handleDelete(o.id)}>
+                        Delete
+                      </s-button>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
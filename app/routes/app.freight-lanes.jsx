@@ -0,0 +1,213 @@
+/**
+ * Freight Lanes Page
+ * Lets merchants maintain LTL freight transit times by origin and destination state
+ */
+
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAppSettings } from "../services/delivery-estimate.js";
+import {
+  getFreightLanes,
+  saveFreightLane,
+  deleteFreightLane,
+} from "../services/freight-lanes.js";
+
+const EMPTY_LANE = {
+  originState: "",
+  destinationState: "",
+  transitDaysMin: "",
+  transitDaysMax: "",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, lanes] = await Promise.all([
+    getAppSettings(session.shop),
+    getFreightLanes(session.shop),
+  ]);
+
+  return {
+    lanes,
+    freightEnabled: settings?.freightEnabled ?? false,
+    warehouseState: settings?.warehouseState || "",
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    const transitDaysMin = parseInt(formData.get("transitDaysMin"), 10);
+    const transitDaysMax = parseInt(formData.get("transitDaysMax") || formData.get("transitDaysMin"), 10);
+
+    if (isNaN(transitDaysMin) || isNaN(transitDaysMax) || transitDaysMin < 0) {
+      return { success: false, message: "Enter the transit time in business days" };
+    }
+
+    await saveFreightLane(session.shop, {
+      originState: formData.get("originState"),
+      destinationState: formData.get("destinationState"),
+      transitDaysMin,
+      transitDaysMax,
+    });
+    return { success: true, message: "Freight lane saved" };
+  }
+
+  if (intent === "delete") {
+    await deleteFreightLane(session.shop, formData.get("id"));
+    return { success: true, message: "Freight lane deleted" };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
+export default function FreightLanes() {
+  const { lanes, freightEnabled, warehouseState } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [lane, setLane] = useState({ ...EMPTY_LANE, originState: warehouseState });
+
+  const isSaving = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "save";
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    shopify.toast.show(fetcher.data.message, { isError: !fetcher.data.success });
+    if (fetcher.data.success) {
+      setLane((prev) => ({ ...EMPTY_LANE, originState: prev.originState }));
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleChange = (field, value) => {
+    setLane((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    fetcher.submit({ intent: "save", ...lane }, { method: "POST" });
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Freight Lanes">
+      {!freightEnabled && (
+        <s-banner status="info">
+          Freight estimates are turned off. Enable them under LTL Freight in{" "}
+          <s-link href="/app/settings">Settings</s-link> once your lanes are set up.
+        </s-banner>
+      )}
+
+      {/* Add Lane Section */}
+      <s-section heading="Add or Update a Lane">
+        <s-paragraph>
+          Enter the transit time your freight provider quotes between two states. Leave a state
+          blank (or enter *) to match any state, e.g. a catch-all lane for every other
+          destination. Saving an existing origin and destination updates its transit time.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Origin State/Province"
+                value={lane.originState}
+                onInput={(e) => handleChange("originState", e.target.value)}
+                placeholder="SC"
+              />
+
+              <s-text-field
+                label="Destination State/Province"
+                value={lane.destinationState}
+                onInput={(e) => handleChange("destinationState", e.target.value)}
+                placeholder="CA"
+              />
+            </s-stack>
+
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Minimum Transit (Business Days)"
+                type="number"
+                value={String(lane.transitDaysMin)}
+                onInput={(e) => handleChange("transitDaysMin", e.target.value)}
+                min="0"
+                max="60"
+              />
+
+              <s-text-field
+                label="Maximum Transit (Business Days)"
+                type="number"
+                value={String(lane.transitDaysMax)}
+                onInput={(e) => handleChange("transitDaysMax", e.target.value)}
+                min="0"
+                max="60"
+                helpText="Leave blank if your provider quotes a single number"
+              />
+            </s-stack>
+
+            <s-button onClick={handleSave} {...(isSaving ? { loading: true } : {})}>
+              Save Lane
+            </s-button>
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Lane Table Section */}
+      <s-section heading="Lanes">
+        {lanes.length === 0 ? (
+          <s-paragraph>
+            No freight lanes yet. Freight products show no estimate until a matching lane exists.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Origin</s-table-header>
+              <s-table-header>Destination</s-table-header>
+              <s-table-header>Transit</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {lanes.map((l) => (
+                <s-table-row key={l.id}>
+                  <s-table-cell>{l.originState === "*" ? "Any" : l.originState}</s-table-cell>
+                  <s-table-cell>{l.destinationState === "*" ? "Any" : l.destinationState}</s-table-cell>
+                  <s-table-cell>
+                    {l.transitDaysMin === l.transitDaysMax
+                      ? `${l.transitDaysMin} business days`
+                      : `${l.transitDaysMin}-${l.transitDaysMax} business days`}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-button variant="tertiary" tone="critical" onClick={() => handleDelete(l.id)}>
+                      Delete
+                    </s-button>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      {/* Help Section */}
+      <s-section slot="aside" heading="How Lanes Are Matched">
+        <s-paragraph>
+          The most specific lane wins: an exact origin and destination first, then a lane from
+          your origin to any state, then any origin to the destination, then the catch-all.
+        </s-paragraph>
+        <s-paragraph>
+          Transit days are counted from the ship date, after your handling time and cutoff.
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
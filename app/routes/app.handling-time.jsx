@@ -0,0 +1,222 @@
+/**
+ * Handling Time Rules Page
+ * Lets merchants override the shop handling time by product, variant, collection, or tag
+ */
+
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAppSettings } from "../services/delivery-estimate.js";
+import {
+  getHandlingTimeRules,
+  saveHandlingTimeRule,
+  deleteHandlingTimeRule,
+} from "../services/handling-time.server.js";
+import { HANDLING_RULE_TYPES, normalizeHandlingTimeRule } from "../services/handling-time.js";
+
+const RULE_TYPE_LABELS = {
+  [HANDLING_RULE_TYPES.VARIANT]: "Variant",
+  [HANDLING_RULE_TYPES.PRODUCT]: "Product",
+  [HANDLING_RULE_TYPES.COLLECTION]: "Collection",
+  [HANDLING_RULE_TYPES.TAG]: "Product tag",
+};
+
+const EMPTY_RULE = {
+  type: HANDLING_RULE_TYPES.PRODUCT,
+  value: "",
+  title: "",
+  handlingTimeDays: "",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, rules] = await Promise.all([
+    getAppSettings(session.shop),
+    getHandlingTimeRules(session.shop),
+  ]);
+
+  return {
+    rules,
+    defaultHandlingTimeDays: settings?.handlingTimeDays ?? 1,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    const { rule, error } = normalizeHandlingTimeRule({
+      type: formData.get("type"),
+      value: formData.get("value"),
+      title: formData.get("title"),
+      handlingTimeDays: formData.get("handlingTimeDays"),
+    });
+
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    await saveHandlingTimeRule(session.shop, rule);
+    return { success: true, message: "Handling time rule saved" };
+  }
+
+  if (intent === "delete") {
+    await deleteHandlingTimeRule(session.shop, formData.get("id"));
+    return { success: true, message: "Handling time rule deleted" };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
+export default function HandlingTime() {
+  const { rules, defaultHandlingTimeDays } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [rule, setRule] = useState(EMPTY_RULE);
+
+  const isSaving = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "save";
+  const isTagRule = rule.type === HANDLING_RULE_TYPES.TAG;
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    shopify.toast.show(fetcher.data.message, { isError: !fetcher.data.success });
+    if (fetcher.data.success) {
+      setRule((prev) => ({ ...EMPTY_RULE, type: prev.type }));
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleChange = (field, value) => {
+    setRule((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleTypeChange = (type) => {
+    setRule((prev) => ({ ...prev, type, value: "", title: "" }));
+  };
+
+  const handlePick = async () => {
+    const selection = await shopify.resourcePicker({ type: rule.type, multiple: false });
+    const picked = selection?.[0];
+    if (picked) {
+      setRule((prev) => ({
+        ...prev,
+        value: picked.id,
+        title: picked.displayName || picked.title,
+      }));
+    }
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "save", ...rule, ...(isTagRule ? { title: rule.value } : {}) },
+      { method: "POST" }
+    );
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Handling Time Rules">
+      {/* Add Rule Section */}
+      <s-section heading="Add or Update a Rule">
+        <s-paragraph>
+          Products ship after the shop handling time ({defaultHandlingTimeDays} business days)
+          unless a rule below matches. The most specific rule wins: a variant, then a product,
+          then a collection, then a product tag. If several collections or tags match, the
+          longest handling time is used.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Applies To"
+                value={rule.type}
+                onInput={(e) => handleTypeChange(e.target.value)}
+              >
+                {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </s-select>
+
+              {isTagRule ? (
+                <s-text-field
+                  label="Tag"
+                  value={rule.value}
+                  onInput={(e) => handleChange("value", e.target.value)}
+                  placeholder="made-to-order"
+                />
+              ) : (
+                <s-stack direction="block" gap="tight">
+                  <s-text>{rule.title || `No ${RULE_TYPE_LABELS[rule.type].toLowerCase()} selected`}</s-text>
+                  <s-button variant="secondary" onClick={handlePick}>
+                    Choose {RULE_TYPE_LABELS[rule.type].toLowerCase()}
+                  </s-button>
+                </s-stack>
+              )}
+
+              <s-text-field
+                label="Handling Time (Business Days)"
+                type="number"
+                value={String(rule.handlingTimeDays)}
+                onInput={(e) => handleChange("handlingTimeDays", e.target.value)}
+                min="0"
+                max="60"
+              />
+            </s-stack>
+
+            <s-button
+              onClick={handleSave}
+              {...(isSaving ? { loading: true } : {})}
+            >
+              Save Rule
+            </s-button>
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Rule Table Section */}
+      <s-section heading="Rules">
+        {rules.length === 0 ? (
+          <s-paragraph>
+            No handling time rules yet. Every product uses the shop handling time from{" "}
+            <s-link href="/app/settings">Settings</s-link>.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Type</s-table-header>
+              <s-table-header>Applies To</s-table-header>
+              <s-table-header>Handling Time</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rules.map((r) => (
+                <s-table-row key={r.id}>
+                  <s-table-cell>{RULE_TYPE_LABELS[r.type] || r.type}</s-table-cell>
+                  <s-table-cell>{r.title}</s-table-cell>
+                  <s-table-cell>{r.handlingTimeDays} business days</s-table-cell>
+                  <s-table-cell>
+                    <s-button variant="tertiary" tone="critical" onClick={() => handleDelete(r.id)}>
+                      Delete
+                    </s-button>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -18,6 +18,13 @@ export default function App() {
       <s-app-nav>
         <s-link href="/app">Home</s-link>
         <s-link href="/app/settings">Settings</s-link>
+        <s-link href="/app/warehouses">Warehouses</s-link>
+        <s-link href="/app/drop-ship">Drop-Ship Vendors</s-link>
+        <s-link href="/app/manual-transit">Manual Transit</s-link>
+        <s-link href="/app/handling-time">Handling Time</s-link>
+        <s-link href="/app/backorders">Backorders</s-link>
+        <s-link href="/app/calendar">Delivery Calendar</s-link>
+        <s-link href="/app/freight-lanes">Freight Lanes</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
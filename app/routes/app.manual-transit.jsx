@@ -0,0 +1,330 @@
+/**
+ * Manual Transit Table Page
+ * Lets merchants maintain transit times for carriers without an API, with CSV import/export
+ */
+
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAppSettings, parseEnabledCarriers } from "../services/delivery-estimate.js";
+import {
+  getManualTransitRules,
+  saveManualTransitRule,
+  deleteManualTransitRule,
+  importManualTransitRules,
+  normalizeManualTransitRule,
+  parseManualTransitCsv,
+  toManualTransitCsv,
+} from "../services/manual-transit.js";
+import { CARRIERS, MANUAL_RULE_TYPES } from "../services/carriers/types.js";
+
+const RULE_TYPE_LABELS = {
+  [MANUAL_RULE_TYPES.ZIP3]: "ZIP3 range",
+  [MANUAL_RULE_TYPES.STATE]: "State/Province",
+  [MANUAL_RULE_TYPES.COUNTRY]: "Country",
+};
+
+const RULE_VALUE_PLACEHOLDERS = {
+  [MANUAL_RULE_TYPES.ZIP3]: "100-149",
+  [MANUAL_RULE_TYPES.STATE]: "CA",
+  [MANUAL_RULE_TYPES.COUNTRY]: "US",
+};
+
+const EMPTY_RULE = {
+  type: MANUAL_RULE_TYPES.STATE,
+  value: "",
+  transitDaysMin: "",
+  transitDaysMax: "",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, rules] = await Promise.all([
+    getAppSettings(session.shop),
+    getManualTransitRules(session.shop),
+  ]);
+
+  return {
+    rules,
+    isEnabled: !!settings && parseEnabledCarriers(settings.enabledCarriers).includes(CARRIERS.MANUAL),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "save") {
+    const { rule, error } = normalizeManualTransitRule({
+      type: formData.get("type"),
+      value: formData.get("value"),
+      transitDaysMin: formData.get("transitDaysMin"),
+      transitDaysMax: formData.get("transitDaysMax"),
+    });
+
+    if (error) {
+      return { intent, success: false, message: error };
+    }
+
+    await saveManualTransitRule(session.shop, rule);
+    return { intent, success: true, message: "Transit rule saved" };
+  }
+
+  if (intent === "delete") {
+    await deleteManualTransitRule(session.shop, formData.get("id"));
+    return { intent, success: true, message: "Transit rule deleted" };
+  }
+
+  if (intent === "import") {
+    const { rules, errors } = parseManualTransitCsv(formData.get("csv") || "");
+
+    if (rules.length === 0) {
+      return { intent, success: false, message: "No valid rows found in the CSV", errors };
+    }
+
+    await importManualTransitRules(session.shop, rules, formData.get("replace") === "true");
+    return {
+      intent,
+      success: true,
+      message: `Imported ${rules.length} ${rules.length === 1 ? "rule" : "rules"}`,
+      errors,
+    };
+  }
+
+  if (intent === "export") {
+    const rules = await getManualTransitRules(session.shop);
+    return { intent, success: true, csv: toManualTransitCsv(rules) };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
+export default function ManualTransit() {
+  const { rules, isEnabled } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [rule, setRule] = useState(EMPTY_RULE);
+  const [replaceOnImport, setReplaceOnImport] = useState(false);
+
+  const submittingIntent = fetcher.state === "submitting" ? fetcher.formData?.get("intent") : null;
+  const importErrors = fetcher.data?.intent === "import" ? fetcher.data.errors || [] : [];
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+
+    if (fetcher.data.intent === "export") {
+      downloadCsv(fetcher.data.csv, "manual-transit-table.csv");
+      return;
+    }
+
+    shopify.toast.show(fetcher.data.message, { isError: !fetcher.data.success });
+    if (fetcher.data.intent === "save" && fetcher.data.success) {
+      setRule((prev) => ({ ...EMPTY_RULE, type: prev.type }));
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleChange = (field, value) => {
+    setRule((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    fetcher.submit({ intent: "save", ...rule }, { method: "POST" });
+  };
+
+  const handleEdit = (existing) => {
+    setRule({
+      type: existing.type,
+      value: existing.value,
+      transitDaysMin: String(existing.transitDaysMin),
+      transitDaysMax: String(existing.transitDaysMax),
+    });
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ intent: "delete", id }, { method: "POST" });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const csv = await file.text();
+    e.target.value = "";
+    fetcher.submit(
+      { intent: "import", csv, replace: String(replaceOnImport) },
+      { method: "POST" }
+    );
+  };
+
+  const handleExport = () => {
+    fetcher.submit({ intent: "export" }, { method: "POST" });
+  };
+
+  return (
+    <s-page heading="Manual Transit Table">
+      {!isEnabled && (
+        <s-banner status="info">
+          The manual transit table is not an enabled carrier. Enable it under Shipping Carriers in{" "}
+          <s-link href="/app/settings">Settings</s-link> to use these transit times.
+        </s-banner>
+      )}
+
+      {/* Add Rule Section */}
+      <s-section heading="Add or Update a Rule">
+        <s-paragraph>
+          Enter the transit time your vendor or regional carrier quotes for a destination. The most
+          specific rule wins: a ZIP3 range (US only, narrowest first), then a state or province, then
+          a country. Saving an existing destination updates its transit time.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Destination Type"
+                value={rule.type}
+                onInput={(e) => handleChange("type", e.target.value)}
+              >
+                {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </s-select>
+
+              <s-text-field
+                label="Destination"
+                value={rule.value}
+                onInput={(e) => handleChange("value", e.target.value)}
+                placeholder={RULE_VALUE_PLACEHOLDERS[rule.type]}
+              />
+            </s-stack>
+
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Minimum Transit (Business Days)"
+                type="number"
+                value={String(rule.transitDaysMin)}
+                onInput={(e) => handleChange("transitDaysMin", e.target.value)}
+                min="0"
+                max="60"
+              />
+
+              <s-text-field
+                label="Maximum Transit (Business Days)"
+                type="number"
+                value={String(rule.transitDaysMax)}
+                onInput={(e) => handleChange("transitDaysMax", e.target.value)}
+                min="0"
+                max="60"
+                helpText="Leave blank if the carrier quotes a single number"
+              />
+            </s-stack>
+
+            <s-button
+              onClick={handleSave}
+              {...(submittingIntent === "save" ? { loading: true } : {})}
+            >
+              Save Rule
+            </s-button>
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Rule Table Section */}
+      <s-section heading="Transit Rules">
+        {rules.length === 0 ? (
+          <s-paragraph>
+            No transit rules yet. Add rules above or import a CSV.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Type</s-table-header>
+              <s-table-header>Destination</s-table-header>
+              <s-table-header>Transit</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {rules.map((r) => (
+                <s-table-row key={r.id}>
+                  <s-table-cell>{RULE_TYPE_LABELS[r.type] || r.type}</s-table-cell>
+                  <s-table-cell>{r.value}</s-table-cell>
+                  <s-table-cell>
+                    {r.transitDaysMin === r.transitDaysMax
+                      ? `${r.transitDaysMin} business days`
+                      : `${r.transitDaysMin}-${r.transitDaysMax} business days`}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="tight">
+                      <s-button variant="tertiary" onClick={() => handleEdit(r)}>
+                        Edit
+                      </s-button>
+                      <s-button variant="tertiary" tone="critical" onClick={() => handleDelete(r.id)}>
+                        Delete
+                      </s-button>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      {/* CSV Section */}
+      <s-section heading="Import / Export">
+        <s-stack direction="block" gap="base">
+          <s-paragraph>
+            CSV files have the columns type, value, min_days, max_days, where type is zip3, state,
+            or country. Export the table to get a template.
+          </s-paragraph>
+
+          <s-checkbox
+            checked={replaceOnImport}
+            onInput={(e) => setReplaceOnImport(e.target.checked)}
+          >
+            Replace the whole table on import (otherwise rows are added or updated)
+          </s-checkbox>
+
+          <s-stack direction="inline" gap="base" align="center">
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} />
+            <s-button
+              variant="secondary"
+              onClick={handleExport}
+              {...(submittingIntent === "export" ? { loading: true } : {})}
+            >
+              Export CSV
+            </s-button>
+          </s-stack>
+
+          {importErrors.length > 0 && (
+            <s-banner status="warning">
+              <s-stack direction="block" gap="tight">
+                <s-text>Some rows were skipped:</s-text>
+                {importErrors.map((error) => (
+                  <s-text key={error}>{error}</s-text>
+                ))}
+              </s-stack>
+            </s-banner>
+          )}
+        </s-stack>
+      </s-section>
+    </s-page>
+  );
+}
+
+function downloadCsv(csv, filename) {
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
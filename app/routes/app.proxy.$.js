@@ -6,10 +6,18 @@
  * - shop: The shop domain
  * - logged_in_customer_id: If customer is logged in
  * - path_prefix, timestamp, signature: For verification
+ *
+ * Requests without a valid signature are rejected, so the shop and the forwarded shopper IP
+ * can be trusted.
  */
 
-import { getDeliveryEstimate } from "../services/delivery-estimate.js";
+import {
+  getDeliveryEstimate,
+  getCartDeliveryEstimate,
+  normalizeCartLineItems,
+} from "../services/delivery-estimate.js";
 import { getClientIP } from "../services/geolocation.js";
+import { authenticate } from "../shopify.server";
 
 const getCorsHeaders = () => ({
   "Access-Control-Allow-Origin": "*",
@@ -26,6 +34,9 @@ export const loader = async ({ request, params }) => {
     return new Response(null, { status: 204, headers });
   }
 
+  // Throws a 400 response for requests that didn't come through Shopify
+  await authenticate.public.appProxy(request);
+
   try {
     const url = new URL(request.url);
     const path = params["*"]; // Captures everything after /app/proxy/
@@ -41,6 +52,9 @@ export const loader = async ({ request, params }) => {
     // Shopify app proxy automatically adds these params
     const shop = url.searchParams.get("shop");
     const postalCode = url.searchParams.get("postalCode");
+    const countryCode = url.searchParams.get("country") || undefined;
+    const productId = url.searchParams.get("productId") || undefined;
+    const variantId = url.searchParams.get("variantId") || undefined;
 
     if (!shop) {
       return new Response(
@@ -49,11 +63,15 @@ export const loader = async ({ request, params }) => {
       );
     }
 
-    const clientIP = getClientIP(request);
+    const clientIP = getClientIP(request, { appProxy: true });
     
-    console.log(`[App Proxy] Delivery estimate request - shop: ${shop}, IP: ${clientIP || 'unknown'}, postal: ${postalCode || 'none'}`);
+    console.log(`[App Proxy] Delivery estimate request - shop: ${shop}, IP: ${clientIP || 'unknown'}, postal: ${postalCode || 'none'}${countryCode ? ` (${countryCode})` : ''}`);
     
-    const estimate = await getDeliveryEstimate(shop, clientIP, postalCode);
+    const estimate = await getDeliveryEstimate(shop, clientIP, postalCode, {
+      productId,
+      variantId,
+      countryCode,
+    });
 
     return new Response(JSON.stringify(estimate), {
       status: 200,
@@ -70,3 +88,63 @@ export const loader = async ({ request, params }) => {
     );
   }
 };
+
+/**
+ * Cart estimates are POSTed with the cart line items
+ * Handles: https://shop.myshopify.com/apps/delivery/api/cart-delivery-estimate
+ */
+export const action = async ({ request, params }) => {
+  const headers = getCorsHeaders();
+
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers });
+  }
+
+  // Throws a 400 response for requests that didn't come through Shopify
+  await authenticate.public.appProxy(request);
+
+  try {
+    const url = new URL(request.url);
+    const path = params["*"];
+
+    if (!path || !path.includes("api/cart-delivery-estimate")) {
+      return new Response(
+        JSON.stringify({ success: false, error: "Not found" }),
+        { status: 404, headers }
+      );
+    }
+
+    const shop = url.searchParams.get("shop");
+
+    if (!shop) {
+      return new Response(
+        JSON.stringify({ success: false, error: "Shop parameter required" }),
+        { status: 400, headers }
+      );
+    }
+
+    const body = await request.json();
+    const lineItems = normalizeCartLineItems(body.items);
+    const clientIP = getClientIP(request, { appProxy: true });
+
+    console.log(`[App Proxy] Cart delivery estimate request - shop: ${shop}, items: ${lineItems.length}, postal: ${body.postalCode || 'none'}`);
+
+    const estimate = await getCartDeliveryEstimate(shop, clientIP, body.postalCode, lineItems, {
+      countryCode: body.country || undefined,
+    });
+
+    return new Response(JSON.stringify(estimate), {
+      status: 200,
+      headers: { ...headers, "Cache-Control": "no-store" },
+    });
+  } catch (error) {
+    console.error("App proxy error:", error);
+    return new Response(
+      JSON.stringify({ 
+        success: false, 
+        error: "Unable to calculate delivery estimate. Please try again later." 
+      }),
+      { status: 200, headers }
+    );
+  }
+};
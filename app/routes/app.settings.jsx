@@ -1,18 +1,97 @@
 /**
  * App Settings Page
- * Allows merchants to configure warehouse location, handling times, and FedEx credentials
+ * Allows merchants to configure warehouse location, handling times, and carrier credentials
  */
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useLoaderData, useFetcher } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
-import { getAppSettings, saveAppSettings } from "../services/delivery-estimate.js";
+import {
+  getAppSettings,
+  saveAppSettings,
+  getCarrierCredentials,
+  parseEnabledCarriers,
+} from "../services/delivery-estimate.js";
+import {
+  getWarehouseBlackouts,
+  saveWarehouseBlackout,
+  deleteWarehouseBlackout,
+} from "../services/warehouse-blackouts.js";
+import {
+  getSeasonalBuffers,
+  saveSeasonalBuffer,
+  deleteSeasonalBuffer,
+  getActiveSeasonalBuffer,
+} from "../services/seasonal-buffers.js";
+import { getBookedOrderCounts } from "../services/fulfillment-capacity.js";
+import { toDateKey } from "../services/carriers/calendar.js";
+import {
+  getShopTimezone,
+  getTimeZones,
+  getZonedNow,
+  isValidTimeZone,
+  DEFAULT_TIMEZONE,
+} from "../services/timezone.js";
+import {
+  CARRIERS,
+  CARRIER_ENVIRONMENTS,
+  CARRIER_STRATEGIES,
+  FEDEX_SERVICE_TYPES,
+  USPS_SERVICE_TYPES,
+} from "../services/carriers/types.js";
+
+const CARRIER_OPTIONS = [
+  { value: CARRIERS.FEDEX, label: "FedEx" },
+  { value: CARRIERS.UPS, label: "UPS" },
+  { value: CARRIERS.USPS, label: "USPS" },
+  { value: CARRIERS.MANUAL, label: "Manual transit table" },
+];
+
+const BLACKOUT_KINDS = {
+  SINGLE: "single",
+  RANGE: "range",
+  ANNUAL: "annual",
+};
+
+const EMPTY_BLACKOUT = {
+  kind: BLACKOUT_KINDS.SINGLE,
+  startDate: "",
+  endDate: "",
+  note: "",
+};
+
+const EMPTY_BUFFER = {
+  name: "",
+  startDate: "",
+  endDate: "",
+  recurring: false,
+  handlingDays: "0",
+  transitDays: "0",
+  windowDays: "0",
+};
 
 export const loader = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
-  const savedSettings = await getAppSettings(session.shop);
+  const { admin, session } = await authenticate.admin(request);
+  const [savedSettings, blackouts, seasonalBuffers, orderCounts] = await Promise.all([
+    getAppSettings(session.shop),
+    getWarehouseBlackouts(session.shop),
+    getSeasonalBuffers(session.shop),
+    getBookedOrderCounts(session.shop),
+  ]);
+
+  // Default the warehouse timezone to the shop's until the merchant picks one
+  const warehouseTimezone = savedSettings?.warehouseTimezone ||
+    (await getShopTimezone(admin)) ||
+    DEFAULT_TIMEZONE;
+
+  // Mark the buffers in effect today at the warehouse
+  const today = getZonedNow(warehouseTimezone);
+  const buffers = seasonalBuffers.map((buffer) => ({
+    ...buffer,
+    isActive: !!getActiveSeasonalBuffer([buffer], today),
+  }));
   
   // Parse processingDays from comma-separated string
   let processingDays = [1, 2, 3, 4, 5]; // Default Mon-Fri
@@ -25,26 +104,53 @@ export const loader = async ({ request }) => {
   
   const settings = savedSettings ? {
     ...savedSettings,
+    warehouseTimezone,
     processingDays,
+    enabledCarriers: parseEnabledCarriers(savedSettings.enabledCarriers),
   } : {
     warehouseCity: "",
     warehouseState: "",
     warehousePostalCode: "",
     warehouseCountryCode: "US",
+    warehouseTimezone,
     warehouseStreet: "",
     handlingTimeDays: 1,
+    backorderLeadTimeDays: 14,
+    dailyOrderCapacity: null,
     processingDays: [1, 2, 3, 4, 5],
     cutoffTime: "14:00",
+    enabledCarriers: [CARRIERS.FEDEX],
+    carrierStrategy: CARRIER_STRATEGIES.PREFERRED,
+    carrier: CARRIERS.FEDEX,
+    carrierEnvironment: CARRIER_ENVIRONMENTS.SANDBOX,
     fedexApiKey: "",
     fedexSecretKey: "",
     fedexAccountNumber: "",
+    fedexServiceType: FEDEX_SERVICE_TYPES.GROUND,
+    upsClientId: "",
+    upsClientSecret: "",
+    upsAccountNumber: "",
+    uspsClientId: "",
+    uspsClientSecret: "",
+    uspsMailClass: USPS_SERVICE_TYPES.GROUND_ADVANTAGE,
+    freightEnabled: false,
+    freightTag: "freight",
     isEnabled: true,
     showExactDates: true,
   };
   
   return {
     settings,
-    hasCredentials: !!(savedSettings?.fedexApiKey && savedSettings?.fedexSecretKey),
+    blackouts,
+    buffers,
+    // Orders shipping from the Settings address; each warehouse counts its own
+    bookedToday: orderCounts[""]?.[toDateKey(today)] || 0,
+    timeZones: getTimeZones(),
+    hasCredentials: {
+      [CARRIERS.FEDEX]: !!(savedSettings && getCarrierCredentials(savedSettings, CARRIERS.FEDEX)),
+      [CARRIERS.UPS]: !!(savedSettings && getCarrierCredentials(savedSettings, CARRIERS.UPS)),
+      [CARRIERS.USPS]: !!(savedSettings && getCarrierCredentials(savedSettings, CARRIERS.USPS)),
+    },
   };
 };
 
@@ -54,20 +160,47 @@ export const action = async ({ request }) => {
   const intent = formData.get("intent");
 
   if (intent === "save") {
+    const enabledCarriers = parseEnabledCarriers(formData.getAll("enabledCarriers").join(","));
+    const preferredCarrier = formData.get("carrier");
+
     const data = {
       warehouseStreet: formData.get("warehouseStreet") || null,
       warehouseCity: formData.get("warehouseCity"),
       warehouseState: formData.get("warehouseState"),
       warehousePostalCode: formData.get("warehousePostalCode"),
       warehouseCountryCode: formData.get("warehouseCountryCode") || "US",
+      warehouseTimezone: isValidTimeZone(formData.get("warehouseTimezone"))
+        ? formData.get("warehouseTimezone")
+        : null,
       handlingTimeDays: parseInt(formData.get("handlingTimeDays") || "1", 10),
+      backorderLeadTimeDays: parseInt(formData.get("backorderLeadTimeDays") || "14", 10),
+      // Empty or zero means no limit
+      dailyOrderCapacity: parseInt(formData.get("dailyOrderCapacity"), 10) > 0
+        ? parseInt(formData.get("dailyOrderCapacity"), 10)
+        : null,
       processingDays: Array.from({ length: 7 }, (_, i) => 
         formData.get(`processingDay${i}`) ? String(i) : null
       ).filter(Boolean).join(",") || "1,2,3,4,5",
       cutoffTime: formData.get("cutoffTime") || "14:00",
+      enabledCarriers: enabledCarriers.join(","),
+      carrierStrategy: formData.get("carrierStrategy") || CARRIER_STRATEGIES.PREFERRED,
+      // Preferred carrier must be one of the enabled carriers
+      carrier: enabledCarriers.includes(preferredCarrier) ? preferredCarrier : enabledCarriers[0],
+      carrierEnvironment: formData.get("carrierEnvironment") === CARRIER_ENVIRONMENTS.PRODUCTION
+        ? CARRIER_ENVIRONMENTS.PRODUCTION
+        : CARRIER_ENVIRONMENTS.SANDBOX,
       fedexApiKey: formData.get("fedexApiKey") || null,
       fedexSecretKey: formData.get("fedexSecretKey") || null,
       fedexAccountNumber: formData.get("fedexAccountNumber") || null,
+      fedexServiceType: formData.get("fedexServiceType") || FEDEX_SERVICE_TYPES.GROUND,
+      upsClientId: formData.get("upsClientId") || null,
+      upsClientSecret: formData.get("upsClientSecret") || null,
+      upsAccountNumber: formData.get("upsAccountNumber") || null,
+      uspsClientId: formData.get("uspsClientId") || null,
+      uspsClientSecret: formData.get("uspsClientSecret") || null,
+      uspsMailClass: formData.get("uspsMailClass") || USPS_SERVICE_TYPES.GROUND_ADVANTAGE,
+      freightEnabled: formData.get("freightEnabled") === "true",
+      freightTag: String(formData.get("freightTag") || "").trim() || "freight",
       isEnabled: formData.get("isEnabled") === "true",
       showExactDates: formData.get("showExactDates") === "true",
     };
@@ -76,16 +209,66 @@ export const action = async ({ request }) => {
     return { success: true, message: "Settings saved successfully" };
   }
 
+  if (intent === "saveBlackout") {
+    const kind = formData.get("kind");
+    const startDate = formData.get("startDate");
+
+    try {
+      await saveWarehouseBlackout(session.shop, {
+        startDate,
+        endDate: kind === BLACKOUT_KINDS.SINGLE ? startDate : formData.get("endDate") || startDate,
+        recurring: kind === BLACKOUT_KINDS.ANNUAL,
+        note: formData.get("note") || null,
+      });
+    } catch (error) {
+      return { intent, success: false, message: error.message };
+    }
+
+    return { intent, success: true, message: "Warehouse closure added" };
+  }
+
+  if (intent === "deleteBlackout") {
+    await deleteWarehouseBlackout(session.shop, formData.get("id"));
+    return { intent, success: true, message: "Warehouse closure deleted" };
+  }
+
+  if (intent === "saveBuffer") {
+    try {
+      await saveSeasonalBuffer(session.shop, {
+        name: formData.get("name"),
+        startDate: formData.get("startDate"),
+        endDate: formData.get("endDate"),
+        recurring: formData.get("recurring") === "true",
+        handlingDays: formData.get("handlingDays"),
+        transitDays: formData.get("transitDays"),
+        windowDays: formData.get("windowDays"),
+      });
+    } catch (error) {
+      return { intent, success: false, message: error.message };
+    }
+
+    return { intent, success: true, message: "Seasonal buffer added" };
+  }
+
+  if (intent === "deleteBuffer") {
+    await deleteSeasonalBuffer(session.shop, formData.get("id"));
+    return { intent, success: true, message: "Seasonal buffer deleted" };
+  }
+
   return { success: false, message: "Unknown action" };
 };
 
 export default function Settings() {
-  const { settings, hasCredentials } = useLoaderData();
+  const { settings, blackouts, buffers, bookedToday, timeZones, hasCredentials } = useLoaderData();
   const fetcher = useFetcher();
+  const blackoutFetcher = useFetcher();
+  const bufferFetcher = useFetcher();
   const shopify = useAppBridge();
   
   const [formData, setFormData] = useState(settings);
-  const [showApiKeys, setShowApiKeys] = useState(false);
+  const [showApiKeys, setShowApiKeys] = useState({});
+  const [blackout, setBlackout] = useState(EMPTY_BLACKOUT);
+  const [buffer, setBuffer] = useState(EMPTY_BUFFER);
 
   const isSubmitting = fetcher.state === "submitting";
 
@@ -94,10 +277,59 @@ export default function Settings() {
     shopify.toast.show(fetcher.data.message);
   }
 
+  const isSavingBlackout = blackoutFetcher.state === "submitting" &&
+    blackoutFetcher.formData?.get("intent") === "saveBlackout";
+
+  useEffect(() => {
+    if (!blackoutFetcher.data) return;
+    shopify.toast.show(blackoutFetcher.data.message, { isError: !blackoutFetcher.data.success });
+    if (blackoutFetcher.data.intent === "saveBlackout" && blackoutFetcher.data.success) {
+      setBlackout((prev) => ({ ...EMPTY_BLACKOUT, kind: prev.kind }));
+    }
+  }, [blackoutFetcher.data, shopify]);
+
+  const isSavingBuffer = bufferFetcher.state === "submitting" &&
+    bufferFetcher.formData?.get("intent") === "saveBuffer";
+
+  useEffect(() => {
+    if (!bufferFetcher.data) return;
+    shopify.toast.show(bufferFetcher.data.message, { isError: !bufferFetcher.data.success });
+    if (bufferFetcher.data.intent === "saveBuffer" && bufferFetcher.data.success) {
+      setBuffer(EMPTY_BUFFER);
+    }
+  }, [bufferFetcher.data, shopify]);
+
   const handleChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
   };
 
+  const handleBlackoutChange = (field, value) => {
+    setBlackout((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleAddBlackout = () => {
+    blackoutFetcher.submit({ intent: "saveBlackout", ...blackout }, { method: "POST" });
+  };
+
+  const handleDeleteBlackout = (id) => {
+    blackoutFetcher.submit({ intent: "deleteBlackout", id }, { method: "POST" });
+  };
+
+  const handleBufferChange = (field, value) => {
+    setBuffer((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleAddBuffer = () => {
+    bufferFetcher.submit(
+      { intent: "saveBuffer", ...buffer, recurring: String(buffer.recurring) },
+      { method: "POST" }
+    );
+  };
+
+  const handleDeleteBuffer = (id) => {
+    bufferFetcher.submit({ intent: "deleteBuffer", id }, { method: "POST" });
+  };
+
   const handleSubmit = () => {
     const data = new FormData();
     data.append("intent", "save");
@@ -108,6 +340,10 @@ export default function Settings() {
         value.forEach((day) => {
           data.append(`processingDay${day}`, "on");
         });
+      } else if (key === "enabledCarriers" && Array.isArray(value)) {
+        value.forEach((carrier) => {
+          data.append("enabledCarriers", carrier);
+        });
       } else {
         data.append(key, String(value ?? ""));
       }
@@ -129,7 +365,9 @@ export default function Settings() {
       {/* Warehouse Location Section */}
       <s-section heading="Warehouse Location">
         <s-paragraph>
-          Enter your warehouse or fulfillment center address. This is where orders ship from.
+          Enter your warehouse or fulfillment center address. This is where orders ship from,
+          unless you sync several warehouses on the{" "}
+          <s-link href="/app/warehouses">Warehouses</s-link> page.
         </s-paragraph>
         
         <s-box padding="none">
@@ -178,6 +416,17 @@ export default function Settings() {
                 <option value="MX">Mexico</option>
               </s-select>
             </s-stack>
+
+            <s-select
+              label="Timezone"
+              value={formData.warehouseTimezone}
+              onInput={(e) => handleChange("warehouseTimezone", e.target.value)}
+              helpText="The cutoff time and processing days are measured in this timezone. Defaults to your store timezone."
+            >
+              {timeZones.map((timeZone) => (
+                <option key={timeZone} value={timeZone}>{timeZone.replace(/_/g, " ")}</option>
+              ))}
+            </s-select>
           </s-stack>
         </s-box>
       </s-section>
@@ -206,10 +455,30 @@ export default function Settings() {
                 type="time"
                 value={formData.cutoffTime}
                 onInput={(e) => handleChange("cutoffTime", e.target.value)}
-                helpText="Orders after this time ship the next business day"
+                helpText="Orders after this time (warehouse timezone) ship the next business day"
               />
             </s-stack>
 
+            <s-text-field
+              label="Backorder Lead Time (Business Days)"
+              type="number"
+              value={String(formData.backorderLeadTimeDays)}
+              onInput={(e) => handleChange("backorderLeadTimeDays", parseInt(e.target.value, 10) || 0)}
+              min="0"
+              max="180"
+              helpText="Added to the handling time when a variant is out of stock but still for sale. Set restock dates per product on the Backorders page."
+            />
+
+            <s-text-field
+              label="Daily Order Capacity"
+              type="number"
+              value={formData.dailyOrderCapacity == null ? "" : String(formData.dailyOrderCapacity)}
+              onInput={(e) => handleChange("dailyOrderCapacity", parseInt(e.target.value, 10) || null)}
+              min="0"
+              placeholder="No limit"
+              helpText={`Orders your warehouse can process per processing day. Once a day is fully booked, new orders and estimates start on the next processing day. Each synced warehouse counts its own orders against this limit unless it sets one on the Warehouses page. ${bookedToday} orders booked for today at this address.`}
+            />
+
             {/* Processing Days Checkboxes */}
             <div style={{ marginTop: '12px' }}>
               <s-paragraph style={{ marginBottom: '8px' }}>
@@ -238,6 +507,268 @@ export default function Settings() {
         </s-box>
       </s-section>
 
+      {/* Warehouse Closures Section */}
+      <s-section heading="Warehouse Closures">
+        <s-paragraph>
+          Days your warehouse does not ship, such as a holiday shutdown or an inventory count.
+          Ship dates skip these days on top of the weekly processing days. Yearly closures repeat
+          on the same dates every year and may run past New Year.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="Closure Type"
+                value={blackout.kind}
+                onInput={(e) => handleBlackoutChange("kind", e.target.value)}
+              >
+                <option value={BLACKOUT_KINDS.SINGLE}>Single day</option>
+                <option value={BLACKOUT_KINDS.RANGE}>Date range</option>
+                <option value={BLACKOUT_KINDS.ANNUAL}>Every year</option>
+              </s-select>
+
+              <s-date-field
+                label={blackout.kind === BLACKOUT_KINDS.SINGLE ? "Date" : "First Closed Day"}
+                value={blackout.startDate}
+                onChange={(e) => handleBlackoutChange("startDate", e.target.value)}
+              />
+
+              {blackout.kind !== BLACKOUT_KINDS.SINGLE && (
+                <s-date-field
+                  label="Last Closed Day"
+                  value={blackout.endDate}
+                  onChange={(e) => handleBlackoutChange("endDate", e.target.value)}
+                />
+              )}
+            </s-stack>
+
+            <s-text-field
+              label="Note"
+              value={blackout.note}
+              onInput={(e) => handleBlackoutChange("note", e.target.value)}
+              placeholder="Inventory count"
+            />
+
+            <s-button
+              variant="secondary"
+              onClick={handleAddBlackout}
+              {...(isSavingBlackout ? { loading: true } : {})}
+            >
+              Add Closure
+            </s-button>
+
+            {blackouts.length > 0 && (
+              <s-table>
+                <s-table-header-row>
+                  <s-table-header>Closed</s-table-header>
+                  <s-table-header>Note</s-table-header>
+                  <s-table-header></s-table-header>
+                </s-table-header-row>
+                <s-table-body>
+                  {blackouts.map((b) => (
+                    <s-table-row key={b.id}>
+                      <s-table-cell>{formatDateWindow(b)}</s-table-cell>
+                      <s-table-cell>{b.note}</s-table-cell>
+                      <s-table-cell>
+                        <s-button
+                          variant="tertiary"
+                          tone="critical"
+                          onClick={() => handleDeleteBlackout(b.id)}
+                        >
+                          Delete
+                        </s-button>
+                      </s-table-cell>
+                    </s-table-row>
+                  ))}
+                </s-table-body>
+              </s-table>
+            )}
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Seasonal Buffers Section */}
+      <s-section heading="Seasonal Buffers">
+        <s-paragraph>
+          Pad estimates during peak periods, such as Black Friday through Christmas, without
+          changing your handling time. Extra handling days push back the ship date, extra transit
+          days push back the whole delivery window, and extra window days only push back the
+          latest delivery date. When buffers overlap, the largest value of each applies.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Name"
+                value={buffer.name}
+                onInput={(e) => handleBufferChange("name", e.target.value)}
+                placeholder="Holiday peak"
+              />
+
+              <s-date-field
+                label="Starts"
+                value={buffer.startDate}
+                onChange={(e) => handleBufferChange("startDate", e.target.value)}
+              />
+
+              <s-date-field
+                label="Ends"
+                value={buffer.endDate}
+                onChange={(e) => handleBufferChange("endDate", e.target.value)}
+              />
+            </s-stack>
+
+            <s-checkbox
+              checked={buffer.recurring}
+              onInput={(e) => handleBufferChange("recurring", e.target.checked)}
+            >
+              Repeat every year (the dates may run past New Year)
+            </s-checkbox>
+
+            <s-stack direction="inline" gap="base">
+              <s-text-field
+                label="Extra Handling Days"
+                type="number"
+                value={buffer.handlingDays}
+                onInput={(e) => handleBufferChange("handlingDays", e.target.value)}
+                min="0"
+                max="30"
+              />
+
+              <s-text-field
+                label="Extra Transit Days"
+                type="number"
+                value={buffer.transitDays}
+                onInput={(e) => handleBufferChange("transitDays", e.target.value)}
+                min="0"
+                max="30"
+              />
+
+              <s-text-field
+                label="Extra Window Days"
+                type="number"
+                value={buffer.windowDays}
+                onInput={(e) => handleBufferChange("windowDays", e.target.value)}
+                min="0"
+                max="30"
+              />
+            </s-stack>
+
+            <s-button
+              variant="secondary"
+              onClick={handleAddBuffer}
+              {...(isSavingBuffer ? { loading: true } : {})}
+            >
+              Add Buffer
+            </s-button>
+
+            {buffers.length > 0 && (
+              <s-table>
+                <s-table-header-row>
+                  <s-table-header>Name</s-table-header>
+                  <s-table-header>Dates</s-table-header>
+                  <s-table-header>Handling</s-table-header>
+                  <s-table-header>Transit</s-table-header>
+                  <s-table-header>Window</s-table-header>
+                  <s-table-header>Status</s-table-header>
+                  <s-table-header></s-table-header>
+                </s-table-header-row>
+                <s-table-body>
+                  {buffers.map((b) => (
+                    <s-table-row key={b.id}>
+                      <s-table-cell>{b.name}</s-table-cell>
+                      <s-table-cell>{formatDateWindow(b)}</s-table-cell>
+                      <s-table-cell>+{b.handlingDays}</s-table-cell>
+                      <s-table-cell>+{b.transitDays}</s-table-cell>
+                      <s-table-cell>+{b.windowDays}</s-table-cell>
+                      <s-table-cell>
+                        {b.isActive ? "✅ Active" : "—"}
+                      </s-table-cell>
+                      <s-table-cell>
+                        <s-button
+                          variant="tertiary"
+                          tone="critical"
+                          onClick={() => handleDeleteBuffer(b.id)}
+                        >
+                          Delete
+                        </s-button>
+                      </s-table-cell>
+                    </s-table-row>
+                  ))}
+                </s-table-body>
+              </s-table>
+            )}
+          </s-stack>
+        </s-box>
+      </s-section>
+
+      {/* Carrier Selection Section */}
+      <s-section heading="Shipping Carriers">
+        <s-paragraph>
+          Choose which carriers to query for transit times. Enabled carriers are queried in parallel,
+          and credentials for each must be configured below. The manual transit table needs no
+          credentials; edit it on the <s-link href="/app/manual-transit">Manual Transit</s-link> page.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-stack direction="inline" gap="base" wrap="wrap">
+              {CARRIER_OPTIONS.map(({ value, label }) => (
+                <s-checkbox
+                  key={value}
+                  checked={formData.enabledCarriers?.includes(value) || false}
+                  onInput={(e) => {
+                    const newCarriers = e.target.checked
+                      ? [...(formData.enabledCarriers || []), value]
+                      : (formData.enabledCarriers || []).filter(c => c !== value);
+                    handleChange("enabledCarriers", newCarriers);
+                  }}
+                >
+                  {label}
+                </s-checkbox>
+              ))}
+            </s-stack>
+
+            <s-stack direction="inline" gap="base">
+              <s-select
+                label="When several carriers respond"
+                value={formData.carrierStrategy}
+                onInput={(e) => handleChange("carrierStrategy", e.target.value)}
+              >
+                <option value={CARRIER_STRATEGIES.PREFERRED}>Use preferred carrier, others as backup</option>
+                <option value={CARRIER_STRATEGIES.FASTEST}>Show the fastest delivery</option>
+                <option value={CARRIER_STRATEGIES.SLOWEST}>Show the slowest delivery (most conservative)</option>
+              </s-select>
+
+              <s-select
+                label="Preferred Carrier"
+                value={formData.carrier}
+                onInput={(e) => handleChange("carrier", e.target.value)}
+                {...(formData.carrierStrategy !== CARRIER_STRATEGIES.PREFERRED ? { disabled: true } : {})}
+              >
+                {CARRIER_OPTIONS
+                  .filter(({ value }) => formData.enabledCarriers?.includes(value))
+                  .map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+              </s-select>
+            </s-stack>
+
+            <s-select
+              label="Carrier API Environment"
+              value={formData.carrierEnvironment}
+              onInput={(e) => handleChange("carrierEnvironment", e.target.value)}
+              helpText="Sandbox returns test data. Switch to production once your carrier accounts are approved for live rates."
+            >
+              <option value={CARRIER_ENVIRONMENTS.SANDBOX}>Sandbox (testing)</option>
+              <option value={CARRIER_ENVIRONMENTS.PRODUCTION}>Production (live transit times)</option>
+            </s-select>
+          </s-stack>
+        </s-box>
+      </s-section>
+
       {/* FedEx API Credentials Section */}
       <s-section heading="FedEx API Credentials">
         <s-paragraph>
@@ -247,18 +778,21 @@ export default function Settings() {
           </s-link>.
         </s-paragraph>
         
-        {hasCredentials && !showApiKeys && (
+        {hasCredentials[CARRIERS.FEDEX] && !showApiKeys[CARRIERS.FEDEX] && (
           <s-box padding="base" background="subdued" borderRadius="base">
             <s-stack direction="inline" gap="base" align="center">
               <s-text>✓ API credentials are configured</s-text>
-              <s-button variant="tertiary" onClick={() => setShowApiKeys(true)}>
+              <s-button
+                variant="tertiary"
+                onClick={() => setShowApiKeys((prev) => ({ ...prev, [CARRIERS.FEDEX]: true }))}
+              >
                 Update Credentials
               </s-button>
             </s-stack>
           </s-box>
         )}
         
-        {(!hasCredentials || showApiKeys) && (
+        {(!hasCredentials[CARRIERS.FEDEX] || showApiKeys[CARRIERS.FEDEX]) && (
           <s-box padding="none">
             <s-stack direction="block" gap="base">
               <s-text-field
@@ -286,6 +820,158 @@ export default function Settings() {
             </s-stack>
           </s-box>
         )}
+
+        <s-box padding="none">
+          <s-select
+            label="FedEx Service"
+            value={formData.fedexServiceType}
+            onInput={(e) => handleChange("fedexServiceType", e.target.value)}
+            helpText="Home Delivery includes Saturday delivery for residential addresses"
+          >
+            <option value={FEDEX_SERVICE_TYPES.GROUND}>FedEx Ground</option>
+            <option value={FEDEX_SERVICE_TYPES.HOME_DELIVERY}>FedEx Home Delivery</option>
+          </s-select>
+        </s-box>
+      </s-section>
+
+      {/* UPS API Credentials Section */}
+      <s-section heading="UPS API Credentials">
+        <s-paragraph>
+          Enter the Client ID and Client Secret of an app from the{" "}
+          <s-link href="https://developer.ups.com/" target="_blank">
+            UPS Developer Portal
+          </s-link>{" "}
+          with the OAuth and Time in Transit products enabled.
+        </s-paragraph>
+
+        {hasCredentials[CARRIERS.UPS] && !showApiKeys[CARRIERS.UPS] && (
+          <s-box padding="base" background="subdued" borderRadius="base">
+            <s-stack direction="inline" gap="base" align="center">
+              <s-text>✓ API credentials are configured</s-text>
+              <s-button
+                variant="tertiary"
+                onClick={() => setShowApiKeys((prev) => ({ ...prev, [CARRIERS.UPS]: true }))}
+              >
+                Update Credentials
+              </s-button>
+            </s-stack>
+          </s-box>
+        )}
+
+        {(!hasCredentials[CARRIERS.UPS] || showApiKeys[CARRIERS.UPS]) && (
+          <s-box padding="none">
+            <s-stack direction="block" gap="base">
+              <s-text-field
+                label="UPS Client ID"
+                value={formData.upsClientId || ""}
+                onInput={(e) => handleChange("upsClientId", e.target.value)}
+                placeholder="Your UPS Client ID"
+                type="password"
+              />
+
+              <s-text-field
+                label="UPS Client Secret"
+                value={formData.upsClientSecret || ""}
+                onInput={(e) => handleChange("upsClientSecret", e.target.value)}
+                placeholder="Your UPS Client Secret"
+                type="password"
+              />
+
+              <s-text-field
+                label="UPS Account Number"
+                value={formData.upsAccountNumber || ""}
+                onInput={(e) => handleChange("upsAccountNumber", e.target.value)}
+                placeholder="Your UPS Shipper Number"
+              />
+            </s-stack>
+          </s-box>
+        )}
+      </s-section>
+
+      {/* USPS API Credentials Section */}
+      <s-section heading="USPS API Credentials">
+        <s-paragraph>
+          Enter the Consumer Key and Consumer Secret of an app from the{" "}
+          <s-link href="https://developer.usps.com/" target="_blank">
+            USPS Developer Portal
+          </s-link>. USPS estimates are available for domestic US shipments only.
+        </s-paragraph>
+
+        {hasCredentials[CARRIERS.USPS] && !showApiKeys[CARRIERS.USPS] && (
+          <s-box padding="base" background="subdued" borderRadius="base">
+            <s-stack direction="inline" gap="base" align="center">
+              <s-text>✓ API credentials are configured</s-text>
+              <s-button
+                variant="tertiary"
+                onClick={() => setShowApiKeys((prev) => ({ ...prev, [CARRIERS.USPS]: true }))}
+              >
+                Update Credentials
+              </s-button>
+            </s-stack>
+          </s-box>
+        )}
+
+        {(!hasCredentials[CARRIERS.USPS] || showApiKeys[CARRIERS.USPS]) && (
+          <s-box padding="none">
+            <s-stack direction="block" gap="base">
+              <s-text-field
+                label="USPS Consumer Key"
+                value={formData.uspsClientId || ""}
+                onInput={(e) => handleChange("uspsClientId", e.target.value)}
+                placeholder="Your USPS Consumer Key"
+                type="password"
+              />
+
+              <s-text-field
+                label="USPS Consumer Secret"
+                value={formData.uspsClientSecret || ""}
+                onInput={(e) => handleChange("uspsClientSecret", e.target.value)}
+                placeholder="Your USPS Consumer Secret"
+                type="password"
+              />
+            </s-stack>
+          </s-box>
+        )}
+
+        <s-box padding="none">
+          <s-select
+            label="USPS Mail Class"
+            value={formData.uspsMailClass}
+            onInput={(e) => handleChange("uspsMailClass", e.target.value)}
+          >
+            <option value={USPS_SERVICE_TYPES.GROUND_ADVANTAGE}>Ground Advantage</option>
+            <option value={USPS_SERVICE_TYPES.PRIORITY_MAIL}>Priority Mail</option>
+            <option value={USPS_SERVICE_TYPES.PRIORITY_MAIL_EXPRESS}>Priority Mail Express</option>
+          </s-select>
+        </s-box>
+      </s-section>
+
+      {/* LTL Freight Section */}
+      <s-section heading="LTL Freight">
+        <s-paragraph>
+          Oversized items that ship by LTL freight take longer than parcel. Products tagged as freight
+          use transit times from your{" "}
+          <s-link href="/app/freight-lanes">freight lanes</s-link> instead of parcel carriers.
+        </s-paragraph>
+
+        <s-box padding="none">
+          <s-stack direction="block" gap="base">
+            <s-checkbox
+              checked={formData.freightEnabled}
+              onInput={(e) => handleChange("freightEnabled", e.target.checked)}
+            >
+              Show freight delivery times for freight products
+            </s-checkbox>
+
+            <s-text-field
+              label="Freight Product Tag"
+              value={formData.freightTag}
+              onInput={(e) => handleChange("freightTag", e.target.value)}
+              placeholder="freight"
+              helpText="Product page and cart estimates check product tags for this one"
+            />
+          </s-stack>
+        </s-box>
       </s-section>
 
       {/* Display Options Section */}
@@ -319,7 +1005,7 @@ export default function Settings() {
             <s-text>Step 2:</s-text> Set your processing/handling time
           </s-list-item>
           <s-list-item>
-            <s-text>Step 3:</s-text> Add FedEx API credentials
+            <s-text>Step 3:</s-text> Enable carriers and add their API credentials
           </s-list-item>
           <s-list-item>
             <s-text>Step 4:</s-text> Add the app block to your theme
@@ -340,6 +1026,23 @@ export default function Settings() {
   );
 }
 
+function formatDateWindow(dates) {
+  const format = (dateKey) => {
+    const [year, month, day] = dateKey.split("-").map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      ...(dates.recurring ? {} : { year: "numeric" }),
+    });
+  };
+
+  const range = dates.startDate === dates.endDate
+    ? format(dates.startDate)
+    : `${format(dates.startDate)} – ${format(dates.endDate)}`;
+
+  return dates.recurring ? `Every year, ${range}` : range;
+}
+
 export const headers = (headersArgs) => {
   return boundary.headers(headersArgs);
 };
@@ -0,0 +1,309 @@
+/**
+ * Warehouses Page
+ * Lets merchants sync warehouses from Shopify Locations and set each one's handling time,
+ * cutoff, processing days, timezone, and daily order capacity
+ */
+
+import { useEffect, useState } from "react";
+import { useLoaderData, useFetcher } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAppSettings } from "../services/delivery-estimate.js";
+import {
+  getWarehouses,
+  syncWarehouses,
+  updateWarehouse,
+} from "../services/warehouses.server.js";
+import { getTimeZones } from "../services/timezone.js";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, warehouses] = await Promise.all([
+    getAppSettings(session.shop),
+    getWarehouses(session.shop),
+  ]);
+
+  return {
+    warehouses,
+    defaults: {
+      handlingTimeDays: settings?.handlingTimeDays ?? 1,
+      cutoffTime: settings?.cutoffTime || "14:00",
+      processingDays: settings?.processingDays || "1,2,3,4,5",
+      timezone: settings?.warehouseTimezone || "",
+      dailyOrderCapacity: settings?.dailyOrderCapacity ?? null,
+    },
+    timeZones: getTimeZones(),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "sync") {
+    try {
+      const count = await syncWarehouses(admin, session.shop);
+      return {
+        intent,
+        success: true,
+        message: `Synced ${count} ${count === 1 ? "location" : "locations"}`,
+      };
+    } catch (error) {
+      return { intent, success: false, message: `Sync failed: ${error.message}` };
+    }
+  }
+
+  if (intent === "update") {
+    try {
+      await updateWarehouse(session.shop, formData.get("id"), {
+        handlingTimeDays: formData.get("handlingTimeDays"),
+        cutoffTime: formData.get("cutoffTime"),
+        processingDays: formData.get("processingDays"),
+        timezone: formData.get("timezone"),
+        dailyOrderCapacity: formData.get("dailyOrderCapacity"),
+        isEnabled: formData.get("isEnabled") === "true",
+      });
+    } catch (error) {
+      return { intent, success: false, message: error.message };
+    }
+
+    return { intent, success: true, message: "Warehouse saved" };
+  }
+
+  return { success: false, message: "Unknown action" };
+};
+
+export default function Warehouses() {
+  const { warehouses, defaults, timeZones } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [editing, setEditing] = useState(null);
+
+  const isSyncing = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "sync";
+  const isSaving = fetcher.state === "submitting" && fetcher.formData?.get("intent") === "update";
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+    shopify.toast.show(fetcher.data.message, { isError: !fetcher.data.success });
+    if (fetcher.data.intent === "update" && fetcher.data.success) {
+      setEditing(null);
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleEdit = (warehouse) => {
+    setEditing({
+      id: warehouse.id,
+      name: warehouse.name,
+      handlingTimeDays: warehouse.handlingTimeDays ?? "",
+      cutoffTime: warehouse.cutoffTime || "",
+      processingDays: warehouse.processingDays
+        ? warehouse.processingDays.split(",").map(Number)
+        : null,
+      timezone: warehouse.timezone || "",
+      dailyOrderCapacity: warehouse.dailyOrderCapacity ?? "",
+      isEnabled: warehouse.isEnabled,
+    });
+  };
+
+  const handleChange = (field, value) => {
+    setEditing((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleToggleDay = (day, checked) => {
+    const days = editing.processingDays || [];
+    handleChange(
+      "processingDays",
+      checked ? [...days, day].sort((a, b) => a - b) : days.filter((d) => d !== day)
+    );
+  };
+
+  const handleSync = () => {
+    fetcher.submit({ intent: "sync" }, { method: "POST" });
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        intent: "update",
+        id: editing.id,
+        handlingTimeDays: String(editing.handlingTimeDays),
+        cutoffTime: editing.cutoffTime,
+        processingDays: editing.processingDays ? editing.processingDays.join(",") : "",
+        timezone: editing.timezone,
+        dailyOrderCapacity: String(editing.dailyOrderCapacity),
+        isEnabled: String(editing.isEnabled),
+      },
+      { method: "POST" }
+    );
+  };
+
+  return (
+    <s-page heading="Warehouses">
+      <s-button
+        slot="primary-action"
+        onClick={handleSync}
+        {...(isSyncing ? { loading: true } : {})}
+      >
+        Sync from Shopify Locations
+      </s-button>
+
+      {/* Location Section */}
+      <s-section heading="Locations">
+        <s-paragraph>
+          Estimates ship from the closest enabled warehouse that has the variant in stock, or the
+          closest enabled warehouse when none do. Sync after adding, moving, or removing a
+          location in Shopify; only locations that fulfill online orders are included. Until a
+          location is synced, estimates ship from the address in{" "}
+          <s-link href="/app/settings">Settings</s-link>.
+        </s-paragraph>
+
+        {warehouses.length === 0 ? (
+          <s-paragraph>No warehouses synced yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>Name</s-table-header>
+              <s-table-header>Address</s-table-header>
+              <s-table-header>Handling Time</s-table-header>
+              <s-table-header>Cutoff</s-table-header>
+              <s-table-header>Timezone</s-table-header>
+              <s-table-header>Daily Capacity</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {warehouses.map((w) => (
+                <s-table-row key={w.id}>
+                  <s-table-cell>{w.name}</s-table-cell>
+                  <s-table-cell>
+                    {[w.city, w.state, w.postalCode, w.countryCode].filter(Boolean).join(", ")}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {w.handlingTimeDays ?? defaults.handlingTimeDays} business days
+                  </s-table-cell>
+                  <s-table-cell>{w.cutoffTime || defaults.cutoffTime}</s-table-cell>
+                  <s-table-cell>{(w.timezone || defaults.timezone || "Store timezone").replace(/_/g, " ")}</s-table-cell>
+                  <s-table-cell>
+                    {(w.dailyOrderCapacity ?? defaults.dailyOrderCapacity)
+                      ? `${w.dailyOrderCapacity ?? defaults.dailyOrderCapacity} orders`
+                      : "No limit"}
+                  </s-table-cell>
+                  <s-table-cell>{w.isEnabled ? "Enabled" : "Disabled"}</s-table-cell>
+                  <s-table-cell>
+                    <s-button variant="tertiary" onClick={() => handleEdit(w)}>
+                      Edit
+                    </s-button>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      {/* Edit Section */}
+      {editing && (
+        <s-section heading={`Edit ${editing.name}`}>
+          <s-paragraph>
+            Leave a field empty to use the value from Settings. Handling time rules for products
+            still take priority over the warehouse handling time.
+          </s-paragraph>
+
+          <s-box padding="none">
+            <s-stack direction="block" gap="base">
+              <s-checkbox
+                checked={editing.isEnabled}
+                onInput={(e) => handleChange("isEnabled", e.target.checked)}
+              >
+                Ship estimates from this warehouse
+              </s-checkbox>
+
+              <s-stack direction="inline" gap="base">
+                <s-text-field
+                  label="Handling Time (Business Days)"
+                  type="number"
+                  value={String(editing.handlingTimeDays)}
+                  onInput={(e) => handleChange("handlingTimeDays", e.target.value)}
+                  min="0"
+                  max="60"
+                  placeholder={String(defaults.handlingTimeDays)}
+                />
+
+                <s-text-field
+                  label="Daily Order Capacity"
+                  type="number"
+                  value={String(editing.dailyOrderCapacity)}
+                  onInput={(e) => handleChange("dailyOrderCapacity", e.target.value)}
+                  min="1"
+                  placeholder={defaults.dailyOrderCapacity ? String(defaults.dailyOrderCapacity) : "No limit"}
+                  helpText="Orders this warehouse can process per processing day, counted on their own"
+                />
+
+                <s-text-field
+                  label="Daily Cutoff Time"
+                  type="time"
+                  value={editing.cutoffTime}
+                  onInput={(e) => handleChange("cutoffTime", e.target.value)}
+                  placeholder={defaults.cutoffTime}
+                />
+
+                <s-select
+                  label="Timezone"
+                  value={editing.timezone}
+                  onInput={(e) => handleChange("timezone", e.target.value)}
+                >
+                  <option value="">Same as Settings</option>
+                  {timeZones.map((timeZone) => (
+                    <option key={timeZone} value={timeZone}>{timeZone.replace(/_/g, " ")}</option>
+                  ))}
+                </s-select>
+              </s-stack>
+
+              <s-checkbox
+                checked={editing.processingDays === null}
+                onInput={(e) => handleChange(
+                  "processingDays",
+                  e.target.checked ? null : defaults.processingDays.split(",").map(Number)
+                )}
+              >
+                Use the processing days from Settings
+              </s-checkbox>
+
+              {editing.processingDays !== null && (
+                <s-stack direction="inline" gap="base" wrap="wrap">
+                  {WEEKDAYS.map((day, index) => (
+                    <s-checkbox
+                      key={day}
+                      checked={editing.processingDays.includes(index)}
+                      onInput={(e) => handleToggleDay(index, e.target.checked)}
+                    >
+                      {day}
+                    </s-checkbox>
+                  ))}
+                </s-stack>
+              )}
+
+              <s-stack direction="inline" gap="base">
+                <s-button onClick={handleSave} {...(isSaving ? { loading: true } : {})}>
+                  Save Warehouse
+                </s-button>
+                <s-button variant="tertiary" onClick={() => setEditing(null)}>
+                  Cancel
+                </s-button>
+              </s-stack>
+            </s-stack>
+          </s-box>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
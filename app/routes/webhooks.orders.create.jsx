@@ -0,0 +1,38 @@
+import { authenticate } from "../shopify.server";
+import { bookOrderCapacity } from "../services/delivery-estimate.js";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Count the order against the daily capacity of the warehouse it ships from
+  const address = payload.shipping_address;
+  const processingDay = await bookOrderCapacity(
+    shop,
+    String(payload.id),
+    payload.created_at ? new Date(payload.created_at) : new Date(),
+    {
+      destination: address ? {
+        city: address.city || "",
+        region: address.province_code || "",
+        postalCode: address.zip || "",
+        countryCode: address.country_code || "",
+        latitude: address.latitude ?? undefined,
+        longitude: address.longitude ?? undefined,
+      } : undefined,
+      lineItems: (payload.line_items || [])
+        .filter((item) => item.requires_shipping !== false && item.variant_id)
+        .map((item) => ({
+          productId: item.product_id ? String(item.product_id) : undefined,
+          variantId: String(item.variant_id),
+        })),
+    }
+  );
+
+  if (processingDay) {
+    console.log(`Booked order ${payload.id} into ${processingDay} for ${shop}`);
+  }
+
+  return new Response();
+};
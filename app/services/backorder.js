@@ -0,0 +1,98 @@
+/**
+ * Backorder rules
+ * Restock dates and lead times for variants that keep selling while out of stock.
+ * Storage and inventory lookups live in backorder.server.js.
+ */
+
+import { toNumericId } from './handling-time.js';
+import { isValidDateKey } from './carriers/calendar.js';
+
+export const BACKORDER_RULE_TYPES = {
+  VARIANT: 'variant',
+  PRODUCT: 'product',
+};
+
+const MAX_LEAD_TIME_DAYS = 180;
+
+/**
+ * @typedef {Object} BackorderRule
+ * @property {string} type - What the rule matches, from BACKORDER_RULE_TYPES
+ * @property {string} value - Numeric Shopify variant or product id
+ * @property {string} [title] - Display name of the matched resource
+ * @property {string|null} [restockDate] - Expected back-in-stock date (YYYY-MM-DD)
+ * @property {number|null} [leadTimeDays] - Business days to get more stock
+ */
+
+/**
+ * @typedef {Object} VariantInventory
+ * @property {string} productId - Numeric product id
+ * @property {number} inventoryQuantity - Sellable quantity across locations
+ * @property {string} inventoryPolicy - "CONTINUE" keeps selling at zero stock, "DENY" stops
+ * @property {boolean} tracked - Whether Shopify tracks inventory for the variant
+ */
+
+/**
+ * Whether a variant is out of stock but still for sale (backorder or pre-order)
+ * @param {VariantInventory} inventory
+ * @returns {boolean}
+ */
+export function isBackordered(inventory) {
+  return !!inventory &&
+    inventory.tracked &&
+    inventory.inventoryQuantity <= 0 &&
+    inventory.inventoryPolicy === 'CONTINUE';
+}
+
+/**
+ * Find the rule for a variant; variant rules win over product rules
+ * @param {BackorderRule[]} rules
+ * @param {{variantId?: string, productId?: string}} ids - Numeric ids
+ * @returns {BackorderRule|undefined}
+ */
+export function findBackorderRule(rules, { variantId, productId }) {
+  return (
+    rules.find((rule) => rule.type === BACKORDER_RULE_TYPES.VARIANT && rule.value === variantId) ||
+    rules.find((rule) => rule.type === BACKORDER_RULE_TYPES.PRODUCT && rule.value === productId)
+  );
+}
+
+/**
+ * Validate and normalize a rule entered by the merchant
+ * A rule needs a restock date, a lead time, or both (the lead time applies once the
+ * restock date has passed).
+ *
+ * @param {Object} input - Raw type, value, title, restockDate, leadTimeDays
+ * @returns {{rule?: BackorderRule, error?: string}}
+ */
+export function normalizeBackorderRule(input) {
+  const type = String(input.type || '').trim().toLowerCase();
+  const value = toNumericId(input.value);
+  const restockDate = String(input.restockDate || '').trim() || null;
+  const leadTimeDays = input.leadTimeDays === '' || input.leadTimeDays == null
+    ? null
+    : parseInt(input.leadTimeDays, 10);
+
+  if (!Object.values(BACKORDER_RULE_TYPES).includes(type)) {
+    return { error: `Unknown rule type "${input.type}"` };
+  }
+
+  if (!value) {
+    return { error: `Choose a ${type}` };
+  }
+
+  if (restockDate && !isValidDateKey(restockDate)) {
+    return { error: 'Restock date must be a real date (YYYY-MM-DD)' };
+  }
+
+  if (leadTimeDays !== null && (isNaN(leadTimeDays) || leadTimeDays < 0 || leadTimeDays > MAX_LEAD_TIME_DAYS)) {
+    return { error: `Lead time must be between 0 and ${MAX_LEAD_TIME_DAYS} business days` };
+  }
+
+  if (!restockDate && leadTimeDays === null) {
+    return { error: 'Enter a restock date or a lead time' };
+  }
+
+  const title = String(input.title || '').trim() || `#${value}`;
+
+  return { rule: { type, value, title, restockDate, leadTimeDays } };
+}
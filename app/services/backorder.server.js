@@ -0,0 +1,147 @@
+/**
+ * Backorder Service
+ * Stores each shop's backorder rules and checks variant inventory through the Admin API
+ * (read_products and read_inventory scopes) so out-of-stock variants that keep selling get a
+ * later ship date.
+ */
+
+import prisma from '../db.server.js';
+import { unauthenticated } from '../shopify.server.js';
+import { MemoryCacheStore } from './cache.js';
+import { toNumericId } from './handling-time.js';
+import { findBackorderRule, isBackordered } from './backorder.js';
+
+// Short, so estimates follow restocks and sell-outs closely
+const INVENTORY_TTL_MS = 60 * 1000;
+
+const inventoryStore = new MemoryCacheStore({ maxEntries: 5000 });
+
+const VARIANT_INVENTORY_QUERY = `#graphql
+  query BackorderVariantInventory($id: ID!) {
+    productVariant(id: $id) {
+      inventoryQuantity
+      inventoryPolicy
+      inventoryItem {
+        tracked
+      }
+      product {
+        id
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {Object} Backorder
+ * @property {string} [restockDate] - Upcoming restock date (YYYY-MM-DD); the ship date counts from it
+ * @property {number} [leadTimeDays] - Business days added to handling time when there's no restock date
+ */
+
+/**
+ * Get all backorder rules for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<import('./backorder.js').BackorderRule[]>}
+ */
+export async function getBackorderRules(shop) {
+  return await prisma.backorderRule.findMany({
+    where: { shop },
+    orderBy: [{ type: 'asc' }, { title: 'asc' }],
+  });
+}
+
+/**
+ * Create or update the rule for a type/value pair
+ * @param {string} shop - Shop domain
+ * @param {import('./backorder.js').BackorderRule} rule - Normalized rule
+ */
+export async function saveBackorderRule(shop, rule) {
+  const { type, value, title, restockDate, leadTimeDays } = rule;
+
+  return await prisma.backorderRule.upsert({
+    where: { shop_type_value: { shop, type, value } },
+    update: { title, restockDate, leadTimeDays },
+    create: { shop, type, value, title, restockDate, leadTimeDays },
+  });
+}
+
+/**
+ * Delete a backorder rule
+ * @param {string} shop - Shop domain
+ * @param {string} id - Rule id
+ */
+export async function deleteBackorderRule(shop, id) {
+  return await prisma.backorderRule.deleteMany({
+    where: { shop, id },
+  });
+}
+
+/**
+ * Work out whether a variant is backordered and when it will be available
+ * Restock dates that have already passed are ignored in favour of the lead time.
+ *
+ * @param {Object} settings - App settings
+ * @param {string} [variantId] - Variant id or GID
+ * @param {string} today - Today in the warehouse timezone (YYYY-MM-DD)
+ * @returns {Promise<Backorder|null>} null when the variant is in stock (or unknown)
+ */
+export async function resolveBackorder(settings, variantId, today) {
+  const id = toNumericId(variantId);
+
+  if (!id) {
+    return null;
+  }
+
+  const inventory = await getVariantInventory(settings.shop, id);
+
+  if (!isBackordered(inventory)) {
+    return null;
+  }
+
+  const rules = await getBackorderRules(settings.shop);
+  const rule = findBackorderRule(rules, { variantId: id, productId: inventory.productId });
+
+  if (rule?.restockDate && rule.restockDate >= today) {
+    return { restockDate: rule.restockDate };
+  }
+
+  return { leadTimeDays: rule?.leadTimeDays ?? settings.backorderLeadTimeDays };
+}
+
+/**
+ * Variant inventory from the Admin API, cached briefly
+ * @returns {Promise<import('./backorder.js').VariantInventory|null>}
+ */
+async function getVariantInventory(shop, variantId) {
+  const key = `${shop}|${variantId}`;
+  const cached = await inventoryStore.get(key);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const response = await admin.graphql(VARIANT_INVENTORY_QUERY, {
+      variables: { id: `gid://shopify/ProductVariant/${variantId}` },
+    });
+    const { data } = await response.json();
+    const variant = data?.productVariant;
+
+    if (!variant) {
+      return null;
+    }
+
+    const inventory = {
+      productId: toNumericId(variant.product.id),
+      inventoryQuantity: variant.inventoryQuantity ?? 0,
+      inventoryPolicy: variant.inventoryPolicy,
+      tracked: !!variant.inventoryItem?.tracked,
+    };
+
+    await inventoryStore.set(key, inventory, INVENTORY_TTL_MS);
+    return inventory;
+  } catch (error) {
+    console.error(`[Backorder] Inventory lookup failed for ${shop}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Cache stores
+ * Small async key/value stores with per-entry TTL, shared by the caching layers
+ * (transit times, etc.). Values must be JSON-serializable.
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => Promise<any>} get - Read a value (undefined on miss or expiry)
+ * @property {(key: string, value: any, ttlMs: number) => Promise<void>} set - Write a value
+ * @property {(prefix: string) => Promise<number>} deleteByPrefix - Delete keys starting with prefix, returns count
+ */
+
+/**
+ * In-memory LRU cache store (single process, lost on restart)
+ * @implements {CacheStore}
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=10000] - Least recently used entries are evicted past this size
+   */
+  constructor({ maxEntries = 10000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used (Map preserves insertion order)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async deleteByPrefix(prefix) {
+    let deleted = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+}
+
+// Expired rows are pruned after this many writes per process
+const PRUNE_EVERY_WRITES = 500;
+
+/**
+ * Cache store backed by the CacheEntry Prisma table, for multi-instance deployments
+ * @implements {CacheStore}
+ */
+export class PrismaCacheStore {
+  /**
+   * @param {import('@prisma/client').PrismaClient} prisma
+   * @param {string} namespace - Separates caches sharing the table (e.g., "transit")
+   */
+  constructor(prisma, namespace) {
+    this.prisma = prisma;
+    this.namespace = namespace;
+    this.writes = 0;
+  }
+
+  async get(key) {
+    const entry = await this.prisma.cacheEntry.findUnique({
+      where: { key: this.getEntryKey(key) },
+    });
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= new Date()) {
+      await this.prisma.cacheEntry.deleteMany({ where: { key: entry.key } });
+      return undefined;
+    }
+
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, ttlMs) {
+    const entryKey = this.getEntryKey(key);
+    const data = {
+      value: JSON.stringify(value),
+      expiresAt: new Date(Date.now() + ttlMs),
+    };
+
+    await this.prisma.cacheEntry.upsert({
+      where: { key: entryKey },
+      update: data,
+      create: { key: entryKey, namespace: this.namespace, ...data },
+    });
+
+    if (++this.writes % PRUNE_EVERY_WRITES === 0) {
+      await this.prune();
+    }
+  }
+
+  async deleteByPrefix(prefix) {
+    const { count } = await this.prisma.cacheEntry.deleteMany({
+      where: {
+        namespace: this.namespace,
+        key: { startsWith: this.getEntryKey(prefix) },
+      },
+    });
+    return count;
+  }
+
+  /**
+   * Delete expired entries in this namespace
+   */
+  async prune() {
+    await this.prisma.cacheEntry.deleteMany({
+      where: {
+        namespace: this.namespace,
+        expiresAt: { lte: new Date() },
+      },
+    });
+  }
+
+  getEntryKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Calendar Exception Service
+ * Stores each shop's overrides of the built-in carrier delivery calendars
+ */
+
+import prisma from '../db.server.js';
+import { CALENDAR_EXCEPTION_TYPES } from './carriers/types.js';
+
+/**
+ * Get all calendar exceptions for a shop, soonest first
+ * @param {string} shop - Shop domain
+ * @returns {Promise<import('./carriers/types.js').CalendarException[]>}
+ */
+export async function getCalendarExceptions(shop) {
+  return await prisma.calendarException.findMany({
+    where: { shop },
+    orderBy: [{ date: 'asc' }, { carrier: 'asc' }],
+  });
+}
+
+/**
+ * Create or update the exception for a date and carrier
+ * @param {string} shop - Shop domain
+ * @param {import('./carriers/types.js').CalendarException} exception
+ */
+export async function saveCalendarException(shop, exception) {
+  const { date, carrier = '*', type, note = null } = exception;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    throw new Error('Date must be YYYY-MM-DD');
+  }
+
+  if (!Object.values(CALENDAR_EXCEPTION_TYPES).includes(type)) {
+    throw new Error(`Unknown exception type: ${type}`);
+  }
+
+  return await prisma.calendarException.upsert({
+    where: { shop_date_carrier: { shop, date, carrier } },
+    update: { type, note },
+    create: { shop, date, carrier, type, note },
+  });
+}
+
+/**
+ * Delete a calendar exception
+ * @param {string} shop - Shop domain
+ * @param {string} id - Exception id
+ */
+export async function deleteCalendarException(shop, id) {
+  return await prisma.calendarException.deleteMany({
+    where: { shop, id },
+  });
+}
@@ -3,18 +3,245 @@
  * This provides a consistent interface for different shipping carriers
  */
 
+import { createHash } from 'node:crypto';
+import { CARRIER_ENVIRONMENTS } from './types.js';
+import { createDeliveryCalendar } from './calendar.js';
+import {
+  CircuitOpenError,
+  DEFAULT_REQUEST_POLICY,
+  fetchWithRetry,
+  getCircuitBreaker,
+  isRetryableStatus,
+} from './resilience.js';
+
+// Tokens are refreshed in the background once they are this close to expiry
+const TOKEN_REFRESH_AHEAD_MS = 10 * 60 * 1000;
+// Tokens this close to expiry are never handed out
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Monday-Friday, no holidays; used when no delivery calendar is given
+const WEEKDAY_CALENDAR = createDeliveryCalendar();
+
+/**
+ * Stable hash of carrier credentials, safe to use in cache keys and logs
+ * @param {import('./types.js').CarrierCredentials} credentials
+ * @returns {string}
+ */
+export function fingerprintCredentials(credentials) {
+  const { apiKey = '', secretKey = '', accountNumber = '' } = credentials || {};
+  return createHash('sha256')
+    .update(`${apiKey}:${secretKey}:${accountNumber}`)
+    .digest('hex')
+    .substring(0, 32);
+}
+
 export class BaseCarrier {
-  constructor(credentials) {
+  /**
+   * @param {import('./types.js').CarrierCredentials} credentials - Carrier API credentials
+   * @param {boolean} [useSandbox] - Whether to use sandbox/test environment
+   * @param {import('./types.js').CarrierOptions} [options]
+   */
+  constructor(credentials, useSandbox = false, options = {}) {
     this.credentials = credentials;
     this.carrierName = 'base';
+    this.environment = options.baseUrl
+      ? CARRIER_ENVIRONMENTS.MOCK
+      : useSandbox ? CARRIER_ENVIRONMENTS.SANDBOX : CARRIER_ENVIRONMENTS.PRODUCTION;
+    // Subclasses fall back to their sandbox/production URL when no override is given
+    this.baseUrl = options.baseUrl || '';
+    /** @type {import('./resilience.js').RequestPolicy} */
+    this.requestPolicy = DEFAULT_REQUEST_POLICY;
+    this.tokenStore = null;
+    this.accessToken = null;
+    this.tokenExpiry = null;
+    this.tokenRefresh = null;
+    this.rejectedToken = null;
+  }
+
+  /**
+   * Attach a shared token store so tokens survive restarts and are shared between instances
+   * @param {import('./token-store.js').TokenStore} tokenStore
+   */
+  setTokenStore(tokenStore) {
+    this.tokenStore = tokenStore;
+  }
+
+  /**
+   * Make an HTTP request to the carrier API
+   * Applies the carrier's timeout/retry policy and circuit breaker. Throws CircuitOpenError
+   * while the circuit is open; 429/5xx responses and network errors count as failures.
+   * 
+   * @param {string} url
+   * @param {RequestInit} [options]
+   * @returns {Promise<Response>}
+   */
+  async request(url, options) {
+    const breaker = this.getCircuitBreaker();
+
+    if (!breaker.canRequest()) {
+      throw new CircuitOpenError(breaker.name, breaker.getRetryAt());
+    }
+
+    try {
+      const response = await fetchWithRetry(url, options, this.requestPolicy);
+
+      if (isRetryableStatus(response.status)) {
+        breaker.recordFailure(`HTTP ${response.status}`);
+      } else {
+        breaker.recordSuccess();
+      }
+
+      return response;
+    } catch (error) {
+      breaker.recordFailure(error.name === 'TimeoutError' ? 'Timed out' : error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Make an OAuth-authenticated request to the carrier API
+   * If the carrier rejects the token (401), a new token is fetched and the request retried once
+   * 
+   * @param {string} url
+   * @param {RequestInit} [options]
+   * @returns {Promise<Response>}
+   */
+  async authorizedRequest(url, options = {}) {
+    const withToken = (token) => ({
+      ...options,
+      headers: { ...options.headers, 'Authorization': `Bearer ${token}` },
+    });
+
+    const response = await this.request(url, withToken(await this.getAccessToken()));
+
+    if (response.status !== 401) {
+      return response;
+    }
+
+    console.warn(`${this.carrierName} rejected the access token, re-authenticating`);
+    this.invalidateAccessToken();
+    return this.request(url, withToken(await this.getAccessToken()));
+  }
+
+  /**
+   * Circuit breaker shared by all instances of this carrier and environment
+   * @returns {import('./resilience.js').CircuitBreaker}
+   */
+  getCircuitBreaker() {
+    return getCircuitBreaker(`${this.carrierName} (${this.environment})`);
+  }
+
+  /**
+   * Whether requests to this carrier are currently being skipped
+   * @returns {boolean}
+   */
+  isCircuitOpen() {
+    return !this.getCircuitBreaker().canRequest();
   }
 
   /**
    * Get OAuth access token for API authentication
+   * Tokens are cached in memory and in the token store. Concurrent callers share one
+   * refresh, and tokens nearing expiry are refreshed in the background.
    * @returns {Promise<string>} Access token
    */
   async getAccessToken() {
-    throw new Error('getAccessToken must be implemented by subclass');
+    const remaining = this.tokenExpiry ? this.tokenExpiry.getTime() - Date.now() : 0;
+
+    if (this.accessToken && remaining > TOKEN_EXPIRY_MARGIN_MS) {
+      if (remaining < TOKEN_REFRESH_AHEAD_MS) {
+        this.refreshAccessToken().catch((error) => {
+          console.warn(`${this.carrierName} background token refresh failed:`, error.message);
+        });
+      }
+      return this.accessToken;
+    }
+
+    return this.refreshAccessToken();
+  }
+
+  /**
+   * Drop the current token after the carrier rejected it
+   * The same token is ignored if it is still in the shared store
+   */
+  invalidateAccessToken() {
+    this.rejectedToken = this.accessToken;
+    this.accessToken = null;
+    this.tokenExpiry = null;
+  }
+
+  /**
+   * Refresh the access token, coalescing concurrent refreshes into one request
+   * @returns {Promise<string>} Access token
+   */
+  refreshAccessToken() {
+    if (!this.tokenRefresh) {
+      this.tokenRefresh = this.loadAccessToken().finally(() => {
+        this.tokenRefresh = null;
+      });
+    }
+    return this.tokenRefresh;
+  }
+
+  /**
+   * Load a token from the shared store, or request a new one from the carrier
+   * @returns {Promise<string>} Access token
+   */
+  async loadAccessToken() {
+    const cacheKey = this.getTokenCacheKey();
+    const stored = await this.tokenStore?.get(cacheKey).catch((error) => {
+      console.warn('Token store read failed:', error.message);
+      return null;
+    });
+
+    // Another instance may already hold a fresher token than ours
+    if (
+      stored &&
+      stored.accessToken !== this.rejectedToken &&
+      stored.expiresAt.getTime() - Date.now() > TOKEN_REFRESH_AHEAD_MS
+    ) {
+      this.accessToken = stored.accessToken;
+      this.tokenExpiry = stored.expiresAt;
+      return this.accessToken;
+    }
+
+    const { accessToken, expiresIn } = await this.fetchAccessToken();
+    this.accessToken = accessToken;
+    this.tokenExpiry = new Date(Date.now() + expiresIn * 1000);
+
+    await this.tokenStore?.set(cacheKey, {
+      accessToken: this.accessToken,
+      expiresAt: this.tokenExpiry,
+    }).catch((error) => {
+      console.warn('Token store write failed:', error.message);
+    });
+
+    return this.accessToken;
+  }
+
+  /**
+   * Request a new OAuth access token from the carrier
+   * @returns {Promise<{accessToken: string, expiresIn: number}>} Token and lifetime in seconds
+   */
+  async fetchAccessToken() {
+    throw new Error('fetchAccessToken must be implemented by subclass');
+  }
+
+  /**
+   * Key identifying this carrier's token in the shared token store
+   * Tokens belong to an API client, so the key covers carrier, endpoint, and credentials
+   * @returns {string}
+   */
+  getTokenCacheKey() {
+    return `${this.carrierName}:${this.baseUrl}:${this.getCredentialsFingerprint()}`;
+  }
+
+  /**
+   * Stable hash of this carrier's credentials
+   * @returns {string}
+   */
+  getCredentialsFingerprint() {
+    return fingerprintCredentials(this.credentials);
   }
 
   /**
@@ -41,4 +268,57 @@ export class BaseCarrier {
   getCarrierName() {
     return this.carrierName;
   }
+
+  /**
+   * Delivery calendar for a request: this carrier's holidays in the destination country,
+   * weekend delivery for the service, and the merchant's calendar exceptions
+   * 
+   * @param {import('./types.js').TransitTimeRequest} request
+   * @param {string} [serviceType] - Service actually quoted (after defaults are applied)
+   * @returns {import('./calendar.js').DeliveryCalendar}
+   */
+  getDeliveryCalendar(request, serviceType = request.serviceType) {
+    return createDeliveryCalendar({
+      carrier: this.carrierName,
+      serviceType,
+      countryCode: request.destination?.countryCode,
+      exceptions: request.calendarExceptions,
+    });
+  }
+
+  /**
+   * Format date as YYYY-MM-DD for carrier APIs
+   */
+  formatDate(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Get the next business day (skips weekends, and holidays when a calendar is given)
+   * @param {Date} date
+   * @param {import('./calendar.js').DeliveryCalendar} [calendar]
+   */
+  getNextBusinessDay(date, calendar = WEEKDAY_CALENDAR) {
+    return calendar.nextDeliveryDay(date);
+  }
+
+  /**
+   * Add business days to a date (skips weekends, and holidays when a calendar is given)
+   * @param {Date} startDate
+   * @param {number} days
+   * @param {import('./calendar.js').DeliveryCalendar} [calendar]
+   */
+  addBusinessDays(startDate, days, calendar = WEEKDAY_CALENDAR) {
+    return calendar.addDeliveryDays(startDate, days);
+  }
+
+  /**
+   * Calculate business days between two dates
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {import('./calendar.js').DeliveryCalendar} [calendar]
+   */
+  calculateBusinessDays(startDate, endDate, calendar = WEEKDAY_CALENDAR) {
+    return calendar.countDeliveryDays(startDate, endDate);
+  }
 }
@@ -0,0 +1,421 @@
+/**
+ * Carrier delivery calendars
+ * Knows which days each carrier delivers: weekdays, per-service weekend delivery,
+ * built-in US/CA holiday rules per carrier, and merchant-added exceptions.
+ * All business-day arithmetic in the estimate pipeline goes through a DeliveryCalendar.
+ */
+
+import {
+  CARRIERS,
+  CALENDAR_EXCEPTION_TYPES,
+  FEDEX_SERVICE_TYPES,
+  USPS_SERVICE_TYPES,
+} from './types.js';
+
+/**
+ * @typedef {Object} Holiday
+ * @property {Date} date - Day the holiday is observed (local midnight)
+ * @property {string} name - Holiday name
+ */
+
+// Holiday rules; `date` returns the actual (not observed) date for a year
+const HOLIDAY_RULES = {
+  newYearsDay: { name: "New Year's Day", date: (year) => new Date(year, 0, 1) },
+  mlkDay: { name: 'Martin Luther King Jr. Day', date: (year) => nthWeekday(year, 0, 1, 3) },
+  presidentsDay: { name: "Presidents' Day", date: (year) => nthWeekday(year, 1, 1, 3) },
+  goodFriday: { name: 'Good Friday', date: (year) => addDays(easterSunday(year), -2) },
+  victoriaDay: { name: 'Victoria Day', date: (year) => lastWeekdayBefore(year, 4, 25, 1) },
+  memorialDay: { name: 'Memorial Day', date: (year) => nthWeekday(year, 4, 1, -1) },
+  juneteenth: { name: 'Juneteenth', date: (year) => new Date(year, 5, 19) },
+  canadaDay: { name: 'Canada Day', date: (year) => new Date(year, 6, 1) },
+  independenceDay: { name: 'Independence Day', date: (year) => new Date(year, 6, 4) },
+  laborDay: { name: 'Labor Day', date: (year) => nthWeekday(year, 8, 1, 1) },
+  labourDay: { name: 'Labour Day', date: (year) => nthWeekday(year, 8, 1, 1) },
+  canadianThanksgiving: { name: 'Thanksgiving', date: (year) => nthWeekday(year, 9, 1, 2) },
+  columbusDay: { name: 'Columbus Day', date: (year) => nthWeekday(year, 9, 1, 2) },
+  veteransDay: { name: 'Veterans Day', date: (year) => new Date(year, 10, 11) },
+  thanksgiving: { name: 'Thanksgiving', date: (year) => nthWeekday(year, 10, 4, 4) },
+  christmasDay: { name: 'Christmas Day', date: (year) => new Date(year, 11, 25) },
+  boxingDay: { name: 'Boxing Day', date: (year) => new Date(year, 11, 26) },
+};
+
+// Holidays observed by every parcel carrier in the US
+const US_CARRIER_HOLIDAYS = [
+  'newYearsDay',
+  'memorialDay',
+  'independenceDay',
+  'laborDay',
+  'thanksgiving',
+  'christmasDay',
+];
+
+// Holidays observed in Canada (national statutory holidays)
+const CA_CARRIER_HOLIDAYS = [
+  'newYearsDay',
+  'goodFriday',
+  'victoriaDay',
+  'canadaDay',
+  'labourDay',
+  'canadianThanksgiving',
+  'christmasDay',
+  'boxingDay',
+];
+
+// Holiday rules by destination country, then carrier ("default" for carriers not listed)
+const CARRIER_HOLIDAYS = {
+  US: {
+    default: US_CARRIER_HOLIDAYS,
+    // USPS is closed on every federal holiday
+    [CARRIERS.USPS]: [
+      ...US_CARRIER_HOLIDAYS,
+      'mlkDay',
+      'presidentsDay',
+      'juneteenth',
+      'columbusDay',
+      'veteransDay',
+    ],
+  },
+  CA: {
+    default: CA_CARRIER_HOLIDAYS,
+  },
+};
+
+// How holidays falling on a weekend are observed, by country then carrier
+const OBSERVANCE = {
+  US: {
+    default: observeUS, // Saturday → Friday, Sunday → Monday
+    [CARRIERS.USPS]: observeUSPS, // Saturday stays Saturday, Sunday → Monday
+  },
+  CA: {
+    default: observeCA, // Weekend → next free weekday
+  },
+};
+
+// Services that deliver on weekends; everything else delivers Monday–Friday
+const WEEKEND_DELIVERY = {
+  [FEDEX_SERVICE_TYPES.HOME_DELIVERY]: { saturday: true },
+  [USPS_SERVICE_TYPES.GROUND_ADVANTAGE]: { saturday: true },
+  [USPS_SERVICE_TYPES.PRIORITY_MAIL]: { saturday: true },
+  [USPS_SERVICE_TYPES.PRIORITY_MAIL_EXPRESS]: { saturday: true, sunday: true },
+};
+
+export class DeliveryCalendar {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.holidays] - HOLIDAY_RULES keys observed by this calendar
+   * @param {function(Holiday[]): Holiday[]} [options.observe] - Moves weekend holidays to their observed day
+   * @param {boolean} [options.saturday] - Delivers on Saturdays
+   * @param {boolean} [options.sunday] - Delivers on Sundays
+   * @param {import('./types.js').CalendarException[]} [options.exceptions] - Merchant overrides
+   */
+  constructor({ holidays = [], observe = observeUS, saturday = false, sunday = false, exceptions = [] } = {}) {
+    this.holidays = holidays;
+    this.observe = observe;
+    this.saturday = saturday;
+    this.sunday = sunday;
+    this.closedDates = new Set(
+      exceptions.filter((e) => e.type === CALENDAR_EXCEPTION_TYPES.CLOSED).map((e) => e.date)
+    );
+    this.openDates = new Set(
+      exceptions.filter((e) => e.type === CALENDAR_EXCEPTION_TYPES.OPEN).map((e) => e.date)
+    );
+    this.holidaysByYear = new Map();
+  }
+
+  /**
+   * Whether the carrier delivers on a date
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  isDeliveryDay(date) {
+    const key = toDateKey(date);
+
+    if (this.openDates.has(key)) {
+      return true;
+    }
+
+    const day = date.getDay();
+    if ((day === 6 && !this.saturday) || (day === 0 && !this.sunday)) {
+      return false;
+    }
+
+    return !this.isHoliday(date);
+  }
+
+  /**
+   * Whether a date is a holiday or merchant-added closure (ignores weekends)
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  isHoliday(date) {
+    const key = toDateKey(date);
+
+    if (this.openDates.has(key)) {
+      return false;
+    }
+
+    return this.closedDates.has(key) || !!this.getHoliday(date);
+  }
+
+  /**
+   * Name of the built-in holiday observed on a date, if any
+   * @param {Date} date
+   * @returns {string|null}
+   */
+  getHoliday(date) {
+    const key = toDateKey(date);
+    const year = date.getFullYear();
+
+    // Observed dates can spill into the neighbouring year (e.g., New Year's Day on a Saturday)
+    for (const y of [year, year + 1, year - 1]) {
+      const holiday = this.getHolidaysForYear(y).find((h) => toDateKey(h.date) === key);
+      if (holiday) {
+        return holiday.name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Built-in holidays observed between two dates (inclusive)
+   * @param {Date} from
+   * @param {Date} to
+   * @returns {Holiday[]}
+   */
+  listHolidays(from, to) {
+    const start = toDateKey(from);
+    const end = toDateKey(to);
+    const holidays = [];
+
+    for (let year = from.getFullYear() - 1; year <= to.getFullYear() + 1; year++) {
+      holidays.push(...this.getHolidaysForYear(year));
+    }
+
+    return holidays
+      .filter((h) => toDateKey(h.date) >= start && toDateKey(h.date) <= end)
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Add delivery days to a date
+   * @param {Date} startDate
+   * @param {number} days
+   * @returns {Date}
+   */
+  addDeliveryDays(startDate, days) {
+    const result = new Date(startDate);
+    let added = 0;
+
+    while (added < days) {
+      result.setDate(result.getDate() + 1);
+      if (this.isDeliveryDay(result)) {
+        added++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * First delivery day after a date
+   * @param {Date} date
+   * @returns {Date}
+   */
+  nextDeliveryDay(date) {
+    return this.addDeliveryDays(date, 1);
+  }
+
+  /**
+   * Count delivery days after startDate up to and including endDate
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {number}
+   */
+  countDeliveryDays(startDate, endDate) {
+    let count = 0;
+    const current = new Date(startDate);
+
+    while (current < endDate) {
+      current.setDate(current.getDate() + 1);
+      if (this.isDeliveryDay(current)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * @param {number} year
+   * @returns {Holiday[]}
+   */
+  getHolidaysForYear(year) {
+    if (!this.holidaysByYear.has(year)) {
+      const actual = this.holidays.map((id) => ({
+        name: HOLIDAY_RULES[id].name,
+        date: HOLIDAY_RULES[id].date(year),
+      }));
+      this.holidaysByYear.set(year, this.observe(actual));
+    }
+    return this.holidaysByYear.get(year);
+  }
+}
+
+/**
+ * Build the delivery calendar for a carrier, service, and destination country
+ * Without a carrier, the country's holidays common to all carriers apply; without a
+ * country, only weekends are skipped.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.carrier] - Carrier from CARRIERS enum
+ * @param {string} [options.serviceType] - Carrier service type (decides weekend delivery)
+ * @param {string} [options.countryCode] - Destination country
+ * @param {import('./types.js').CalendarException[]} [options.exceptions] - Merchant exceptions for any carrier
+ * @returns {DeliveryCalendar}
+ */
+export function createDeliveryCalendar({ carrier, serviceType, countryCode, exceptions = [] } = {}) {
+  const country = (countryCode || '').toUpperCase();
+  const countryHolidays = CARRIER_HOLIDAYS[country];
+  const countryObservance = OBSERVANCE[country];
+  const weekend = WEEKEND_DELIVERY[serviceType] || {};
+
+  return new DeliveryCalendar({
+    holidays: countryHolidays ? countryHolidays[carrier] || countryHolidays.default : [],
+    observe: countryObservance ? countryObservance[carrier] || countryObservance.default : undefined,
+    saturday: !!weekend.saturday,
+    sunday: !!weekend.sunday,
+    exceptions: exceptions.filter((e) => !e.carrier || e.carrier === '*' || e.carrier === carrier),
+  });
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whether a date falls in a YYYY-MM-DD range (inclusive)
+ * Recurring ranges repeat every year: only the month and day are compared, and the range may
+ * wrap into the next year (e.g., Dec 24 – Jan 2).
+ *
+ * @param {Date} date
+ * @param {{startDate: string, endDate: string, recurring?: boolean}} range
+ * @returns {boolean}
+ */
+export function isDateInRange(date, { startDate, endDate, recurring = false }) {
+  const key = toDateKey(date);
+
+  if (!recurring) {
+    return key >= startDate && key <= endDate;
+  }
+
+  const monthDay = key.slice(5);
+  const start = startDate.slice(5);
+  const end = endDate.slice(5);
+  return start <= end
+    ? monthDay >= start && monthDay <= end
+    : monthDay >= start || monthDay <= end;
+}
+
+/**
+ * Parse a YYYY-MM-DD key as local midnight
+ * @param {string} dateKey
+ * @returns {Date}
+ */
+export function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Whether a string is a real YYYY-MM-DD date (2026-02-31 isn't; it would roll into March)
+ * @param {string} dateKey
+ * @returns {boolean}
+ */
+export function isValidDateKey(dateKey) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateKey || '') && toDateKey(parseDateKey(dateKey)) === dateKey;
+}
+
+function observeUS(holidays) {
+  return holidays.map(({ name, date }) => {
+    if (date.getDay() === 6) return { name, date: addDays(date, -1) };
+    if (date.getDay() === 0) return { name, date: addDays(date, 1) };
+    return { name, date };
+  });
+}
+
+function observeUSPS(holidays) {
+  return holidays.map(({ name, date }) => (
+    date.getDay() === 0 ? { name, date: addDays(date, 1) } : { name, date }
+  ));
+}
+
+function observeCA(holidays) {
+  const taken = new Set();
+
+  return [...holidays]
+    .sort((a, b) => a.date - b.date)
+    .map(({ name, date }) => {
+      let observed = date;
+      // Christmas on a Saturday pushes Boxing Day from Monday to Tuesday
+      while (observed.getDay() === 0 || observed.getDay() === 6 || taken.has(toDateKey(observed))) {
+        observed = addDays(observed, 1);
+      }
+      taken.add(toDateKey(observed));
+      return { name, date: observed };
+    });
+}
+
+/**
+ * nth weekday of a month (n = -1 for the last one)
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = new Date(year, month + 1, 0);
+    return addDays(last, -((last.getDay() - weekday + 7) % 7));
+  }
+  const first = new Date(year, month, 1);
+  return addDays(first, ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * Last given weekday strictly before a day of the month (e.g., Victoria Day: Monday before May 25)
+ */
+function lastWeekdayBefore(year, month, day, weekday) {
+  const before = new Date(year, month, day - 1);
+  return addDays(before, -((before.getDay() - weekday + 7) % 7));
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
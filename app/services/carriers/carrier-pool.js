@@ -0,0 +1,53 @@
+/**
+ * Carrier client pool
+ * Reuses carrier instances across storefront requests so OAuth tokens are not
+ * re-requested on every product page view
+ */
+
+import prisma from '../../db.server.js';
+import { createCarrier } from './index.js';
+import { fingerprintCredentials } from './base-carrier.js';
+import { PrismaTokenStore } from './token-store.js';
+
+// Tokens are persisted so they survive restarts and are shared between app instances
+const tokenStore = new PrismaTokenStore(prisma);
+
+// Pool entries keyed by shop, carrier and environment; each holds the credentials fingerprint
+// so a credential change replaces the stale instance instead of accumulating entries
+const pool = new Map();
+
+/**
+ * Get a pooled carrier instance for a shop
+ * 
+ * @param {string} shop - Shopify shop domain
+ * @param {string} carrierType - Carrier type from CARRIERS enum
+ * @param {import('./types.js').CarrierCredentials} credentials - Carrier API credentials
+ * @param {boolean} useSandbox - Whether to use sandbox/test environment
+ * @returns {import('./base-carrier.js').BaseCarrier}
+ */
+export function getPooledCarrier(shop, carrierType, credentials, useSandbox = false) {
+  const poolKey = `${shop}:${carrierType}:${useSandbox ? 'sandbox' : 'production'}`;
+  const fingerprint = fingerprintCredentials(credentials);
+  const entry = pool.get(poolKey);
+
+  if (entry && entry.fingerprint === fingerprint) {
+    return entry.carrier;
+  }
+
+  const carrier = createCarrier(carrierType, credentials, useSandbox);
+  carrier.setTokenStore(tokenStore);
+  pool.set(poolKey, { fingerprint, carrier });
+  return carrier;
+}
+
+/**
+ * Drop pooled carrier instances for a shop (e.g., on uninstall)
+ * @param {string} shop - Shopify shop domain
+ */
+export function evictPooledCarriers(shop) {
+  for (const key of pool.keys()) {
+    if (key.startsWith(`${shop}:`)) {
+      pool.delete(key);
+    }
+  }
+}
@@ -6,18 +6,19 @@
 
 import { BaseCarrier } from './base-carrier.js';
 import { CARRIERS, FEDEX_SERVICE_TYPES } from './types.js';
+import { DEFAULT_REQUEST_POLICY } from './resilience.js';
 
 // FedEx API endpoints
 const FEDEX_SANDBOX_URL = 'https://apis-sandbox.fedex.com';
 const FEDEX_PRODUCTION_URL = 'https://apis.fedex.com';
 
 export class FedExCarrier extends BaseCarrier {
-  constructor(credentials, useSandbox = false) {
-    super(credentials);
+  constructor(credentials, useSandbox = false, options = {}) {
+    super(credentials, useSandbox, options);
     this.carrierName = CARRIERS.FEDEX;
-    this.baseUrl = useSandbox ? FEDEX_SANDBOX_URL : FEDEX_PRODUCTION_URL;
-    this.accessToken = null;
-    this.tokenExpiry = null;
+    this.baseUrl ||= useSandbox ? FEDEX_SANDBOX_URL : FEDEX_PRODUCTION_URL;
+    // Rate quotes are noticeably slower than the other carriers' transit lookups
+    this.requestPolicy = { ...DEFAULT_REQUEST_POLICY, timeoutMs: 4000 };
   }
 
   validateCredentials() {
@@ -30,15 +31,10 @@ export class FedExCarrier extends BaseCarrier {
 
   /**
    * Get OAuth 2.0 access token from FedEx
-   * Tokens are cached until expiry
+   * Caching and refresh are handled by BaseCarrier.getAccessToken
    */
-  async getAccessToken() {
-    // Return cached token if still valid
-    if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-      return this.accessToken;
-    }
-
-    const response = await fetch(`${this.baseUrl}/oauth/token`, {
+  async fetchAccessToken() {
+    const response = await this.request(`${this.baseUrl}/oauth/token`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -56,11 +52,10 @@ export class FedExCarrier extends BaseCarrier {
     }
 
     const data = await response.json();
-    this.accessToken = data.access_token;
-    // Set expiry 5 minutes before actual expiry for safety
-    this.tokenExpiry = new Date(Date.now() + (data.expires_in - 300) * 1000);
-
-    return this.accessToken;
+    return {
+      accessToken: data.access_token,
+      expiresIn: Number(data.expires_in),
+    };
   }
 
   /**
@@ -78,8 +73,8 @@ export class FedExCarrier extends BaseCarrier {
         };
       }
 
-      const token = await this.getAccessToken();
       const serviceType = request.serviceType || FEDEX_SERVICE_TYPES.GROUND;
+      const calendar = this.getDeliveryCalendar(request, serviceType);
 
       // Calculate ship date (today or next business day)
       const shipDate = request.shipDate || this.getNextBusinessDay(new Date());
@@ -122,11 +117,10 @@ export class FedExCarrier extends BaseCarrier {
         },
       };
 
-      const response = await fetch(`${this.baseUrl}/rate/v1/rates/quotes`, {
+      const response = await this.authorizedRequest(`${this.baseUrl}/rate/v1/rates/quotes`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`,
           'X-locale': 'en_US',
         },
         body: JSON.stringify(rateRequest),
@@ -143,7 +137,7 @@ export class FedExCarrier extends BaseCarrier {
       }
 
       const data = await response.json();
-      return this.parseRateResponse(data, shipDate);
+      return this.parseRateResponse(data, shipDate, calendar);
     } catch (error) {
       console.error('FedEx carrier error:', error);
       return {
@@ -156,8 +150,11 @@ export class FedExCarrier extends BaseCarrier {
 
   /**
    * Parse FedEx rate response to extract transit time info
+   * @param {Object} data
+   * @param {Date} shipDate
+   * @param {import('./calendar.js').DeliveryCalendar} [calendar] - Calendar for estimated dates
    */
-  parseRateResponse(data, shipDate) {
+  parseRateResponse(data, shipDate, calendar) {
     try {
       const rateReply = data.output?.rateReplyDetails?.[0];
       
@@ -175,8 +172,8 @@ export class FedExCarrier extends BaseCarrier {
                           this.parseTransitDays(commit?.transitTime?.description);
 
       // Calculate delivery dates
-      const deliveryDateMin = this.addBusinessDays(shipDate, transitDays || 3);
-      const deliveryDateMax = this.addBusinessDays(shipDate, (transitDays || 3) + 2);
+      const deliveryDateMin = this.addBusinessDays(shipDate, transitDays || 3, calendar);
+      const deliveryDateMax = this.addBusinessDays(shipDate, (transitDays || 3) + 2, calendar);
 
       // If FedEx provides specific delivery date, use it
       if (commit?.dateDetail?.dayFormat) {
@@ -184,8 +181,8 @@ export class FedExCarrier extends BaseCarrier {
         return {
           success: true,
           deliveryDateMin: fedexDeliveryDate,
-          deliveryDateMax: this.addBusinessDays(fedexDeliveryDate, 1),
-          transitDays: transitDays || this.calculateBusinessDays(shipDate, fedexDeliveryDate),
+          deliveryDateMax: this.addBusinessDays(fedexDeliveryDate, 1, calendar),
+          transitDays: transitDays || this.calculateBusinessDays(shipDate, fedexDeliveryDate, calendar),
           serviceName: rateReply.serviceName || 'FedEx Ground',
           carrier: this.carrierName,
         };
@@ -217,59 +214,4 @@ export class FedExCarrier extends BaseCarrier {
     const match = description.match(/(\d+)/);
     return match ? parseInt(match[1], 10) : null;
   }
-
-  /**
-   * Format date as YYYY-MM-DD for FedEx API
-   */
-  formatDate(date) {
-    return date.toISOString().split('T')[0];
-  }
-
-  /**
-   * Get the next business day (skip weekends)
-   */
-  getNextBusinessDay(date) {
-    const result = new Date(date);
-    result.setDate(result.getDate() + 1);
-    
-    while (result.getDay() === 0 || result.getDay() === 6) {
-      result.setDate(result.getDate() + 1);
-    }
-    
-    return result;
-  }
-
-  /**
-   * Add business days to a date (skip weekends)
-   */
-  addBusinessDays(startDate, days) {
-    const result = new Date(startDate);
-    let addedDays = 0;
-    
-    while (addedDays < days) {
-      result.setDate(result.getDate() + 1);
-      if (result.getDay() !== 0 && result.getDay() !== 6) {
-        addedDays++;
-      }
-    }
-    
-    return result;
-  }
-
-  /**
-   * Calculate business days between two dates
-   */
-  calculateBusinessDays(startDate, endDate) {
-    let count = 0;
-    const current = new Date(startDate);
-    
-    while (current < endDate) {
-      current.setDate(current.getDate() + 1);
-      if (current.getDay() !== 0 && current.getDay() !== 6) {
-        count++;
-      }
-    }
-    
-    return count;
-  }
 }
@@ -0,0 +1,98 @@
+/**
+ * LTL freight carrier implementation
+ * Oversized items ship by LTL freight, where transit times come from the merchant's
+ * freight provider rather than a parcel API. Transit days are looked up in a
+ * merchant-maintained lane table of origin state → destination state → transit days.
+ */
+
+import { BaseCarrier } from './base-carrier.js';
+import { CARRIERS, CARRIER_ENVIRONMENTS } from './types.js';
+
+// Lane field value that matches any state
+const ANY_STATE = '*';
+
+export class FreightCarrier extends BaseCarrier {
+  /**
+   * @param {import('./types.js').CarrierCredentials|null} credentials - Unused; lanes need no API access
+   * @param {boolean} [useSandbox] - Unused
+   * @param {import('./types.js').CarrierOptions} [options] - options.lanes is the shop's lane table
+   */
+  constructor(credentials, useSandbox = false, options = {}) {
+    super(credentials, useSandbox);
+    this.carrierName = CARRIERS.FREIGHT;
+    // Lanes are the merchant's own data, so there is no sandbox
+    this.environment = CARRIER_ENVIRONMENTS.PRODUCTION;
+    this.lanes = options.lanes || [];
+  }
+
+  validateCredentials() {
+    return this.lanes.length > 0;
+  }
+
+  /**
+   * Look up transit time in the lane table
+   * @param {import('./types.js').TransitTimeRequest} request
+   * @returns {Promise<import('./types.js').TransitTimeResponse>}
+   */
+  async getTransitTime(request) {
+    const lane = this.findLane(request.origin.state, request.destination.state);
+
+    if (!lane) {
+      return {
+        success: false,
+        error: `No freight lane configured for ${request.origin.state || 'origin'} → ${request.destination.state || 'destination'}`,
+        carrier: this.carrierName,
+      };
+    }
+
+    const calendar = this.getDeliveryCalendar(request);
+    const shipDate = request.shipDate || this.getNextBusinessDay(new Date());
+    const transitDaysMax = Math.max(lane.transitDaysMin, lane.transitDaysMax);
+
+    return {
+      success: true,
+      deliveryDateMin: this.addBusinessDays(shipDate, lane.transitDaysMin, calendar),
+      deliveryDateMax: this.addBusinessDays(shipDate, transitDaysMax, calendar),
+      transitDays: lane.transitDaysMin,
+      transitDaysMax,
+      serviceName: 'LTL Freight',
+      carrier: this.carrierName,
+    };
+  }
+
+  /**
+   * Find the most specific lane for an origin/destination pair
+   * Exact lanes win over lanes with a wildcard destination, then wildcard origin, then "* → *"
+   *
+   * @param {string} originState
+   * @param {string} destinationState
+   * @returns {import('./types.js').FreightLane|undefined}
+   */
+  findLane(originState, destinationState) {
+    const origin = normalizeState(originState);
+    const destination = normalizeState(destinationState);
+
+    const candidates = [
+      [origin, destination],
+      [origin, ANY_STATE],
+      [ANY_STATE, destination],
+      [ANY_STATE, ANY_STATE],
+    ];
+
+    for (const [laneOrigin, laneDestination] of candidates) {
+      const lane = this.lanes.find((l) =>
+        normalizeState(l.originState) === laneOrigin &&
+        normalizeState(l.destinationState) === laneDestination
+      );
+      if (lane) {
+        return lane;
+      }
+    }
+
+    return undefined;
+  }
+}
+
+function normalizeState(state) {
+  return (state || '').trim().toUpperCase();
+}
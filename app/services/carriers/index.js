@@ -4,29 +4,61 @@
  */
 
 import { FedExCarrier } from './fedex-carrier.js';
+import { UPSCarrier } from './ups-carrier.js';
+import { USPSCarrier } from './usps-carrier.js';
+import { FreightCarrier } from './freight-carrier.js';
+import { ManualCarrier } from './manual-carrier.js';
 import { CARRIERS } from './types.js';
 
-export { CARRIERS, FEDEX_SERVICE_TYPES } from './types.js';
+export {
+  CARRIERS,
+  CARRIER_ENVIRONMENTS,
+  CARRIER_STRATEGIES,
+  MANUAL_RULE_TYPES,
+  CALENDAR_EXCEPTION_TYPES,
+  FEDEX_SERVICE_TYPES,
+  UPS_SERVICE_TYPES,
+  USPS_SERVICE_TYPES,
+} from './types.js';
+export { selectTransitResult } from './strategy.js';
+export { createDeliveryCalendar, DeliveryCalendar, isValidDateKey, parseDateKey, toDateKey } from './calendar.js';
+export { getCircuitBreakerStates, CIRCUIT_STATES } from './resilience.js';
 export { FedExCarrier } from './fedex-carrier.js';
+export { UPSCarrier } from './ups-carrier.js';
+export { USPSCarrier } from './usps-carrier.js';
+export { FreightCarrier } from './freight-carrier.js';
+export { ManualCarrier } from './manual-carrier.js';
 export { BaseCarrier } from './base-carrier.js';
 
 /**
  * Create a carrier instance based on carrier type
+ * When CARRIER_MOCK_URL is set, every carrier talks to the local mock carrier server
+ * (scripts/mock-carrier-server.js) instead of the real sandbox/production APIs.
+ * 
  * @param {string} carrierType - Carrier type from CARRIERS enum
  * @param {import('./types.js').CarrierCredentials} credentials - Carrier API credentials
  * @param {boolean} useSandbox - Whether to use sandbox/test environment
+ * @param {import('./types.js').CarrierOptions} [options] - Overrides (e.g., baseUrl) and freight lanes / manual transit rules
  * @returns {import('./base-carrier.js').BaseCarrier}
  */
-export function createCarrier(carrierType, credentials, useSandbox = false) {
+export function createCarrier(carrierType, credentials, useSandbox = false, options = {}) {
+  const carrierOptions = { baseUrl: getMockCarrierUrl(), ...options };
+
   switch (carrierType) {
     case CARRIERS.FEDEX:
-      return new FedExCarrier(credentials, useSandbox);
-    
-    // Future carriers can be added here:
-    // case CARRIERS.UPS:
-    //   return new UPSCarrier(credentials, useSandbox);
-    // case CARRIERS.USPS:
-    //   return new USPSCarrier(credentials, useSandbox);
+      return new FedExCarrier(credentials, useSandbox, carrierOptions);
+
+    case CARRIERS.UPS:
+      return new UPSCarrier(credentials, useSandbox, carrierOptions);
+
+    case CARRIERS.USPS:
+      return new USPSCarrier(credentials, useSandbox, carrierOptions);
+
+    case CARRIERS.FREIGHT:
+      return new FreightCarrier(credentials, useSandbox, carrierOptions);
+
+    case CARRIERS.MANUAL:
+      return new ManualCarrier(credentials, useSandbox, carrierOptions);
     
     default:
       throw new Error(`Unsupported carrier: ${carrierType}`);
@@ -38,6 +70,14 @@ export function createCarrier(carrierType, credentials, useSandbox = false) {
  * @returns {string[]}
  */
 export function getSupportedCarriers() {
-  return [CARRIERS.FEDEX];
-  // When more carriers are added: return Object.values(CARRIERS);
+  return Object.values(CARRIERS);
+}
+
+/**
+ * URL of the local mock carrier server, if configured
+ * @returns {string|undefined}
+ */
+function getMockCarrierUrl() {
+  // eslint-disable-next-line no-undef
+  return process.env.CARRIER_MOCK_URL || undefined;
 }
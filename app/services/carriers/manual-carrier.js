@@ -0,0 +1,106 @@
+/**
+ * Manual carrier implementation
+ * For vendors and regional carriers without an API. Transit days come from a
+ * merchant-maintained table keyed by destination ZIP3 range, state, or country.
+ */
+
+import { BaseCarrier } from './base-carrier.js';
+import { CARRIERS, CARRIER_ENVIRONMENTS, MANUAL_RULE_TYPES } from './types.js';
+
+export class ManualCarrier extends BaseCarrier {
+  /**
+   * @param {import('./types.js').CarrierCredentials|null} credentials - Unused; the table needs no API access
+   * @param {boolean} [useSandbox] - Unused
+   * @param {import('./types.js').CarrierOptions} [options] - options.rules is the shop's transit table
+   */
+  constructor(credentials, useSandbox = false, options = {}) {
+    super(credentials, useSandbox);
+    this.carrierName = CARRIERS.MANUAL;
+    // The table is the merchant's own data, so there is no sandbox
+    this.environment = CARRIER_ENVIRONMENTS.PRODUCTION;
+    this.rules = options.rules || [];
+  }
+
+  validateCredentials() {
+    return this.rules.length > 0;
+  }
+
+  /**
+   * Look up transit time in the manual transit table
+   * @param {import('./types.js').TransitTimeRequest} request
+   * @returns {Promise<import('./types.js').TransitTimeResponse>}
+   */
+  async getTransitTime(request) {
+    const rule = this.findRule(request.destination);
+
+    if (!rule) {
+      return {
+        success: false,
+        error: 'No manual transit time for this destination',
+        carrier: this.carrierName,
+      };
+    }
+
+    const calendar = this.getDeliveryCalendar(request);
+    const shipDate = request.shipDate || this.getNextBusinessDay(new Date());
+    const transitDaysMax = Math.max(rule.transitDaysMin, rule.transitDaysMax);
+
+    return {
+      success: true,
+      deliveryDateMin: this.addBusinessDays(shipDate, rule.transitDaysMin, calendar),
+      deliveryDateMax: this.addBusinessDays(shipDate, transitDaysMax, calendar),
+      transitDays: rule.transitDaysMin,
+      transitDaysMax,
+      serviceName: 'Manual Transit Table',
+      carrier: this.carrierName,
+    };
+  }
+
+  /**
+   * Find the most specific rule for a destination
+   * ZIP3 rules win over state rules, which win over country rules. Among ZIP3 rules
+   * the narrowest range wins.
+   *
+   * @param {import('./types.js').Address} destination
+   * @returns {import('./types.js').ManualTransitRule|undefined}
+   */
+  findRule(destination) {
+    const countryCode = (destination.countryCode || '').toUpperCase();
+    const state = (destination.state || '').toUpperCase();
+    const zip3 = countryCode === 'US' ? parseInt((destination.postalCode || '').substring(0, 3), 10) : NaN;
+
+    if (!isNaN(zip3)) {
+      const zip3Rule = this.rules
+        .filter((rule) => rule.type === MANUAL_RULE_TYPES.ZIP3)
+        .map((rule) => ({ rule, range: parseZip3Range(rule.value) }))
+        .filter(({ range }) => range && zip3 >= range.start && zip3 <= range.end)
+        .sort((a, b) => (a.range.end - a.range.start) - (b.range.end - b.range.start))[0];
+
+      if (zip3Rule) {
+        return zip3Rule.rule;
+      }
+    }
+
+    return (
+      this.rules.find((rule) => rule.type === MANUAL_RULE_TYPES.STATE && rule.value === state) ||
+      this.rules.find((rule) => rule.type === MANUAL_RULE_TYPES.COUNTRY && rule.value === countryCode)
+    );
+  }
+}
+
+/**
+ * Parse a ZIP3 rule value ("303" or "100-149")
+ * @param {string} value
+ * @returns {{start: number, end: number}|null}
+ */
+export function parseZip3Range(value) {
+  const match = /^(\d{3})(?:\s*-\s*(\d{3}))?$/.exec((value || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : start;
+  return end >= start ? { start, end } : null;
+}
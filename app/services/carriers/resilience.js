@@ -0,0 +1,188 @@
+/**
+ * Resilience helpers for carrier API calls
+ * Per-request timeouts, bounded retries with backoff, and per-carrier circuit breakers
+ * so a slow or failing carrier doesn't stall every product page.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed', // Healthy - requests flow normally
+  OPEN: 'open', // Failing - requests are skipped until the cooldown ends
+  HALF_OPEN: 'half-open', // Cooldown ended - next request decides whether to close or re-open
+};
+
+/**
+ * @typedef {Object} RequestPolicy
+ * @property {number} timeoutMs - Abort each attempt after this long
+ * @property {number} retries - Extra attempts after the first for retryable failures
+ * @property {number} backoffMs - Base delay before the first retry, doubled per retry
+ * @property {number} maxBackoffMs - Upper bound for a single retry delay (including Retry-After)
+ */
+
+/** @type {RequestPolicy} */
+export const DEFAULT_REQUEST_POLICY = {
+  timeoutMs: 3000,
+  retries: 2,
+  backoffMs: 200,
+  maxBackoffMs: 1000,
+};
+
+/**
+ * Error thrown when a carrier's circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} circuit is open until ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Whether an HTTP status is worth retrying (and counts as a carrier failure)
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * fetch() with a per-attempt timeout and bounded retries
+ * Retries network errors, 429 and 5xx responses. Timeouts are not retried:
+ * a carrier that is already slow would only make the page wait longer.
+ * 
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {RequestPolicy} [policy]
+ * @returns {Promise<Response>} The last response (may still be a 429/5xx after all retries)
+ */
+export async function fetchWithRetry(url, options = {}, policy = DEFAULT_REQUEST_POLICY) {
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = attempt >= policy.retries;
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        signal: AbortSignal.timeout(policy.timeoutMs),
+      });
+
+      if (!isRetryableStatus(response.status) || isLastAttempt) {
+        return response;
+      }
+
+      await sleep(getRetryDelay(attempt, policy, response.headers.get('retry-after')));
+    } catch (error) {
+      if (error.name === 'TimeoutError' || isLastAttempt) {
+        throw error;
+      }
+
+      await sleep(getRetryDelay(attempt, policy));
+    }
+  }
+}
+
+/**
+ * Circuit breaker for a single carrier endpoint
+ * Opens after consecutive failures, then skips requests until the cooldown ends
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Display name (e.g., "fedex (sandbox)")
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures before opening
+   * @param {number} [options.cooldownMs=30000] - How long to stay open
+   */
+  constructor(name, { failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+  }
+
+  /**
+   * @returns {string} State from CIRCUIT_STATES enum
+   */
+  getState() {
+    if (!this.openedAt) {
+      return CIRCUIT_STATES.CLOSED;
+    }
+    return Date.now() < this.getRetryAt().getTime()
+      ? CIRCUIT_STATES.OPEN
+      : CIRCUIT_STATES.HALF_OPEN;
+  }
+
+  canRequest() {
+    return this.getState() !== CIRCUIT_STATES.OPEN;
+  }
+
+  getRetryAt() {
+    return new Date(this.openedAt.getTime() + this.cooldownMs);
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * @param {string} [reason] - Failure description shown in the admin
+   */
+  recordFailure(reason) {
+    this.failures++;
+    this.lastFailure = { reason, at: new Date() };
+
+    // A failed trial request while half-open re-opens immediately
+    if (this.failures >= this.failureThreshold || this.getState() === CIRCUIT_STATES.HALF_OPEN) {
+      this.openedAt = new Date();
+    }
+  }
+
+  /**
+   * Snapshot for display in the admin
+   */
+  toJSON() {
+    const state = this.getState();
+    return {
+      name: this.name,
+      state,
+      failures: this.failures,
+      retryAt: state === CIRCUIT_STATES.OPEN ? this.getRetryAt().toISOString() : null,
+      lastFailureReason: this.lastFailure?.reason ?? null,
+      lastFailureAt: this.lastFailure?.at.toISOString() ?? null,
+    };
+  }
+}
+
+// Breakers are per process and shared by all shops - a carrier outage affects everyone
+const breakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for a carrier endpoint
+ * @param {string} name
+ * @returns {CircuitBreaker}
+ */
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Snapshot of every circuit breaker created in this process
+ */
+export function getCircuitBreakerStates() {
+  return Array.from(breakers.values()).map((breaker) => breaker.toJSON());
+}
+
+function getRetryDelay(attempt, policy, retryAfter) {
+  const retryAfterMs = Number(retryAfter) * 1000;
+  const backoff = retryAfterMs > 0
+    ? retryAfterMs
+    : policy.backoffMs * 2 ** attempt * (0.5 + Math.random() / 2);
+  return Math.min(backoff, policy.maxBackoffMs);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,56 @@
+/**
+ * Carrier selection strategies
+ * Picks a single transit result when several carriers were queried
+ */
+
+import { CARRIER_STRATEGIES } from './types.js';
+
+/**
+ * Select the winning transit result according to the merchant's strategy
+ * 
+ * @param {import('./types.js').TransitTimeResponse[]} results - Results from each queried carrier
+ * @param {string} strategy - Strategy from CARRIER_STRATEGIES enum
+ * @param {string} [preferredCarrier] - Carrier to use first with the PREFERRED strategy
+ * @returns {import('./types.js').TransitTimeResponse|null} Winning result, or null if no carrier succeeded
+ */
+export function selectTransitResult(results, strategy, preferredCarrier) {
+  const successful = results.filter((result) => result?.success);
+
+  if (successful.length === 0) {
+    return null;
+  }
+
+  switch (strategy) {
+    case CARRIER_STRATEGIES.SLOWEST:
+      return successful.reduce((slowest, result) =>
+        compareDelivery(result, slowest) > 0 ? result : slowest
+      );
+
+    case CARRIER_STRATEGIES.PREFERRED: {
+      const preferred = successful.find((result) => result.carrier === preferredCarrier);
+      if (preferred) {
+        return preferred;
+      }
+      // Preferred carrier failed - fall back to the fastest backup
+      return selectTransitResult(successful, CARRIER_STRATEGIES.FASTEST);
+    }
+
+    case CARRIER_STRATEGIES.FASTEST:
+    default:
+      return successful.reduce((fastest, result) =>
+        compareDelivery(result, fastest) < 0 ? result : fastest
+      );
+  }
+}
+
+/**
+ * Compare two results by delivery window
+ * Earliest date first, then the narrower window, then fewer transit days
+ */
+function compareDelivery(a, b) {
+  return (
+    a.deliveryDateMin - b.deliveryDateMin ||
+    a.deliveryDateMax - b.deliveryDateMax ||
+    (a.transitDays ?? 0) - (b.transitDays ?? 0)
+  );
+}
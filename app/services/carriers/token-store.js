@@ -0,0 +1,57 @@
+/**
+ * OAuth token stores for carrier API clients
+ * Lets carrier instances share tokens across requests, app instances, and restarts
+ */
+
+/**
+ * @typedef {Object} StoredToken
+ * @property {string} accessToken - OAuth access token
+ * @property {Date} expiresAt - When the token expires
+ */
+
+/**
+ * @typedef {Object} TokenStore
+ * @property {(key: string) => Promise<StoredToken|null>} get - Read a token
+ * @property {(key: string, token: StoredToken) => Promise<void>} set - Write a token
+ */
+
+/**
+ * Token store backed by the CarrierToken Prisma table
+ * Only read when a carrier instance needs a new token, so no extra caching is needed here
+ * @implements {TokenStore}
+ */
+export class PrismaTokenStore {
+  /**
+   * @param {import('@prisma/client').PrismaClient} prisma
+   */
+  constructor(prisma) {
+    this.prisma = prisma;
+  }
+
+  async get(key) {
+    const record = await this.prisma.carrierToken.findUnique({
+      where: { cacheKey: key },
+    });
+
+    if (!record || record.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return { accessToken: record.accessToken, expiresAt: record.expiresAt };
+  }
+
+  async set(key, token) {
+    await this.prisma.carrierToken.upsert({
+      where: { cacheKey: key },
+      update: {
+        accessToken: token.accessToken,
+        expiresAt: token.expiresAt,
+      },
+      create: {
+        cacheKey: key,
+        accessToken: token.accessToken,
+        expiresAt: token.expiresAt,
+      },
+    });
+  }
+}
@@ -18,6 +18,7 @@
  * @property {Address} destination - Shipping destination (customer)
  * @property {Date} [shipDate] - Planned ship date (defaults to next business day based on handling time)
  * @property {string} [serviceType] - Carrier-specific service type (e.g., "FEDEX_GROUND")
+ * @property {CalendarException[]} [calendarExceptions] - Merchant delivery calendar exceptions
  */
 
 /**
@@ -27,8 +28,10 @@
  * @property {Date} [deliveryDateMin] - Earliest estimated delivery date
  * @property {Date} [deliveryDateMax] - Latest estimated delivery date
  * @property {number} [transitDays] - Number of transit days
+ * @property {number} [transitDaysMax] - Upper bound of transit days when the carrier quotes a range
  * @property {string} [serviceName] - Human-readable service name
  * @property {string} carrier - Carrier identifier (e.g., "fedex", "ups")
+ * @property {string} [environment] - Carrier API environment that served the request (e.g., "sandbox")
  */
 
 /**
@@ -38,16 +41,93 @@
  * @property {string} [accountNumber] - Account number
  */
 
+/**
+ * @typedef {Object} CarrierOptions
+ * @property {string} [baseUrl] - Override the carrier API URL (e.g., the local mock carrier server)
+ * @property {FreightLane[]} [lanes] - Merchant lane table for the freight carrier
+ * @property {ManualTransitRule[]} [rules] - Merchant transit table for the manual carrier
+ */
+
+/**
+ * @typedef {Object} FreightLane
+ * @property {string} originState - Origin state/province code, or "*" for any
+ * @property {string} destinationState - Destination state/province code, or "*" for any
+ * @property {number} transitDaysMin - Fewest business days in transit
+ * @property {number} transitDaysMax - Most business days in transit
+ */
+
+/**
+ * @typedef {Object} CalendarException
+ * @property {string} date - Day the exception applies to (YYYY-MM-DD)
+ * @property {string} carrier - Carrier from CARRIERS enum, or "*" for all carriers
+ * @property {string} type - From CALENDAR_EXCEPTION_TYPES
+ * @property {string} [note] - Merchant note (e.g., "Regional closure")
+ */
+
+/**
+ * @typedef {Object} ManualTransitRule
+ * @property {string} type - What the rule matches, from MANUAL_RULE_TYPES
+ * @property {string} value - ZIP3 range ("100-149" or "303"), state code ("CA") or country code ("CA")
+ * @property {number} transitDaysMin - Fewest business days in transit
+ * @property {number} transitDaysMax - Most business days in transit
+ */
+
 export const CARRIERS = {
   FEDEX: 'fedex',
   UPS: 'ups',
   USPS: 'usps',
+  FREIGHT: 'freight', // LTL freight from the merchant's lane table, used for freight products only
+  MANUAL: 'manual', // Merchant-maintained transit table, for carriers without an API
+};
+
+// Carrier API environments
+export const CARRIER_ENVIRONMENTS = {
+  SANDBOX: 'sandbox',
+  PRODUCTION: 'production',
+  MOCK: 'mock', // Local mock carrier server (CARRIER_MOCK_URL), for development and tests
 };
 
 export const FEDEX_SERVICE_TYPES = {
   GROUND: 'FEDEX_GROUND',
+  HOME_DELIVERY: 'GROUND_HOME_DELIVERY',
   EXPRESS_SAVER: 'FEDEX_EXPRESS_SAVER',
   TWO_DAY: 'FEDEX_2_DAY',
   OVERNIGHT: 'STANDARD_OVERNIGHT',
   PRIORITY_OVERNIGHT: 'PRIORITY_OVERNIGHT',
 };
+
+// UPS Time in Transit service level codes
+export const UPS_SERVICE_TYPES = {
+  GROUND: 'GND',
+  THREE_DAY_SELECT: '3DS',
+  TWO_DAY_AIR: '2DA',
+  NEXT_DAY_AIR_SAVER: '1DP',
+  NEXT_DAY_AIR: '1DA',
+};
+
+// USPS mail classes accepted by the Service Standards API
+export const USPS_SERVICE_TYPES = {
+  GROUND_ADVANTAGE: 'USPS_GROUND_ADVANTAGE',
+  PRIORITY_MAIL: 'PRIORITY_MAIL',
+  PRIORITY_MAIL_EXPRESS: 'PRIORITY_MAIL_EXPRESS',
+};
+
+// What a manual transit table rule matches on, most specific first
+export const MANUAL_RULE_TYPES = {
+  ZIP3: 'zip3', // US ZIP3 prefix or range
+  STATE: 'state', // Destination state/province code
+  COUNTRY: 'country', // Destination country code
+};
+
+// Merchant overrides of the built-in carrier delivery calendar
+export const CALENDAR_EXCEPTION_TYPES = {
+  CLOSED: 'closed', // Carrier does not deliver (e.g., a regional closure)
+  OPEN: 'open', // Carrier delivers despite a built-in holiday
+};
+
+// How to pick one result when several carriers are queried
+export const CARRIER_STRATEGIES = {
+  FASTEST: 'fastest', // Earliest delivery date wins
+  SLOWEST: 'slowest', // Latest delivery date wins (most conservative promise)
+  PREFERRED: 'preferred', // Preferred carrier wins, others are backups
+};
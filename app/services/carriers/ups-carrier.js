@@ -0,0 +1,186 @@
+/**
+ * UPS carrier implementation
+ * Uses UPS Time in Transit API for transit time estimates
+ * https://developer.ups.com/api/reference/timeintransit
+ *
+ * Credentials map onto the shared CarrierCredentials shape:
+ *   apiKey = UPS Client ID, secretKey = UPS Client Secret, accountNumber = UPS shipper number
+ */
+
+import { BaseCarrier } from './base-carrier.js';
+import { CARRIERS, UPS_SERVICE_TYPES } from './types.js';
+
+// UPS API endpoints
+const UPS_SANDBOX_URL = 'https://wwwcie.ups.com';
+const UPS_PRODUCTION_URL = 'https://onlinetools.ups.com';
+
+export class UPSCarrier extends BaseCarrier {
+  constructor(credentials, useSandbox = false, options = {}) {
+    super(credentials, useSandbox, options);
+    this.carrierName = CARRIERS.UPS;
+    this.baseUrl ||= useSandbox ? UPS_SANDBOX_URL : UPS_PRODUCTION_URL;
+  }
+
+  validateCredentials() {
+    return !!(
+      this.credentials?.apiKey &&
+      this.credentials?.secretKey &&
+      this.credentials?.accountNumber
+    );
+  }
+
+  /**
+   * Get OAuth 2.0 access token from UPS (client credentials flow)
+   * Caching and refresh are handled by BaseCarrier.getAccessToken
+   */
+  async fetchAccessToken() {
+    const basicAuth = btoa(`${this.credentials.apiKey}:${this.credentials.secretKey}`);
+
+    const response = await this.request(`${this.baseUrl}/security/v1/oauth/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${basicAuth}`,
+        'x-merchant-id': this.credentials.accountNumber,
+      },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`UPS OAuth failed: ${error}`);
+    }
+
+    const data = await response.json();
+    return {
+      accessToken: data.access_token,
+      expiresIn: Number(data.expires_in), // UPS returns expires_in as a string
+    };
+  }
+
+  /**
+   * Get transit time using UPS Time in Transit API
+   * @param {import('./types.js').TransitTimeRequest} request
+   * @returns {Promise<import('./types.js').TransitTimeResponse>}
+   */
+  async getTransitTime(request) {
+    try {
+      if (!this.validateCredentials()) {
+        return {
+          success: false,
+          error: 'UPS credentials not configured',
+          carrier: this.carrierName,
+        };
+      }
+
+      const serviceType = request.serviceType || UPS_SERVICE_TYPES.GROUND;
+      const calendar = this.getDeliveryCalendar(request, serviceType);
+
+      // Calculate ship date (today or next business day)
+      const shipDate = request.shipDate || this.getNextBusinessDay(new Date());
+
+      const transitRequest = {
+        originCountryCode: request.origin.countryCode,
+        originStateProvince: request.origin.state,
+        originCityName: request.origin.city,
+        originPostalCode: request.origin.postalCode,
+        destinationCountryCode: request.destination.countryCode,
+        destinationStateProvince: request.destination.state,
+        destinationCityName: request.destination.city,
+        destinationPostalCode: request.destination.postalCode,
+        residentialIndicator: '01',
+        shipDate: this.formatDate(shipDate),
+        weight: '1', // Default weight for estimate
+        weightUnitOfMeasure: 'LBS',
+        numberOfPackages: '1',
+      };
+
+      const response = await this.authorizedRequest(`${this.baseUrl}/api/shipments/v1/transittimes`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'transId': crypto.randomUUID(),
+          'transactionSrc': 'pdp-estimated-delivery-date',
+        },
+        body: JSON.stringify(transitRequest),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('UPS Time in Transit API error:', errorData);
+        return {
+          success: false,
+          error: errorData.response?.errors?.[0]?.message || 'Failed to get transit time',
+          carrier: this.carrierName,
+        };
+      }
+
+      const data = await response.json();
+      return this.parseTransitResponse(data, shipDate, serviceType, calendar);
+    } catch (error) {
+      console.error('UPS carrier error:', error);
+      return {
+        success: false,
+        error: error.message,
+        carrier: this.carrierName,
+      };
+    }
+  }
+
+  /**
+   * Parse UPS Time in Transit response for the requested service level
+   * @param {Object} data
+   * @param {Date} shipDate
+   * @param {string} serviceType
+   * @param {import('./calendar.js').DeliveryCalendar} [calendar] - Calendar for estimated dates
+   */
+  parseTransitResponse(data, shipDate, serviceType, calendar) {
+    try {
+      const services = data.emsResponse?.services || [];
+      const service = services.find((s) => s.serviceLevel === serviceType);
+
+      if (!service) {
+        return {
+          success: false,
+          error: `Service ${serviceType} not available for this lane`,
+          carrier: this.carrierName,
+        };
+      }
+
+      const transitDays = parseInt(service.businessTransitDays, 10) || null;
+
+      // If UPS provides a specific delivery date, use it
+      if (service.deliveryDate) {
+        // deliveryDate is YYYY-MM-DD; parse as a local calendar date
+        const [year, month, day] = service.deliveryDate.split('-').map(Number);
+        const upsDeliveryDate = new Date(year, month - 1, day);
+        return {
+          success: true,
+          deliveryDateMin: upsDeliveryDate,
+          deliveryDateMax: this.addBusinessDays(upsDeliveryDate, 1, calendar),
+          transitDays: transitDays || this.calculateBusinessDays(shipDate, upsDeliveryDate, calendar),
+          serviceName: service.serviceLevelDescription || 'UPS Ground',
+          carrier: this.carrierName,
+        };
+      }
+
+      return {
+        success: true,
+        deliveryDateMin: this.addBusinessDays(shipDate, transitDays || 3, calendar),
+        deliveryDateMax: this.addBusinessDays(shipDate, (transitDays || 3) + 2, calendar),
+        transitDays: transitDays || 5,
+        serviceName: service.serviceLevelDescription || 'UPS Ground',
+        carrier: this.carrierName,
+      };
+    } catch (error) {
+      console.error('Error parsing UPS response:', error);
+      return {
+        success: false,
+        error: 'Failed to parse transit response',
+        carrier: this.carrierName,
+      };
+    }
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * USPS carrier implementation
+ * Uses the USPS Service Standards API for transit time estimates
+ * https://developer.usps.com/api/service-standards
+ *
+ * Credentials map onto the shared CarrierCredentials shape:
+ *   apiKey = USPS Consumer Key, secretKey = USPS Consumer Secret (no account number required)
+ */
+
+import { BaseCarrier } from './base-carrier.js';
+import { CARRIERS, USPS_SERVICE_TYPES } from './types.js';
+
+// USPS API endpoints
+const USPS_SANDBOX_URL = 'https://apis-tem.usps.com';
+const USPS_PRODUCTION_URL = 'https://apis.usps.com';
+
+const USPS_SERVICE_NAMES = {
+  [USPS_SERVICE_TYPES.GROUND_ADVANTAGE]: 'USPS Ground Advantage',
+  [USPS_SERVICE_TYPES.PRIORITY_MAIL]: 'USPS Priority Mail',
+  [USPS_SERVICE_TYPES.PRIORITY_MAIL_EXPRESS]: 'USPS Priority Mail Express',
+};
+
+export class USPSCarrier extends BaseCarrier {
+  constructor(credentials, useSandbox = false, options = {}) {
+    super(credentials, useSandbox, options);
+    this.carrierName = CARRIERS.USPS;
+    this.baseUrl ||= useSandbox ? USPS_SANDBOX_URL : USPS_PRODUCTION_URL;
+  }
+
+  validateCredentials() {
+    return !!(
+      this.credentials?.apiKey &&
+      this.credentials?.secretKey
+    );
+  }
+
+  /**
+   * Get OAuth 2.0 access token from USPS (client credentials flow)
+   * Caching and refresh are handled by BaseCarrier.getAccessToken
+   */
+  async fetchAccessToken() {
+    const response = await this.request(`${this.baseUrl}/oauth2/v3/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        grant_type: 'client_credentials',
+        client_id: this.credentials.apiKey,
+        client_secret: this.credentials.secretKey,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`USPS OAuth failed: ${error}`);
+    }
+
+    const data = await response.json();
+    return {
+      accessToken: data.access_token,
+      expiresIn: Number(data.expires_in),
+    };
+  }
+
+  /**
+   * Get transit time using USPS Service Standards API
+   * @param {import('./types.js').TransitTimeRequest} request
+   * @returns {Promise<import('./types.js').TransitTimeResponse>}
+   */
+  async getTransitTime(request) {
+    try {
+      if (!this.validateCredentials()) {
+        return {
+          success: false,
+          error: 'USPS credentials not configured',
+          carrier: this.carrierName,
+        };
+      }
+
+      // Service standards are only published for domestic US mail
+      if (request.origin.countryCode !== 'US' || request.destination.countryCode !== 'US') {
+        return {
+          success: false,
+          error: 'USPS service standards are only available for US shipments',
+          carrier: this.carrierName,
+        };
+      }
+
+      const serviceType = request.serviceType || USPS_SERVICE_TYPES.GROUND_ADVANTAGE;
+      const calendar = this.getDeliveryCalendar(request, serviceType);
+
+      // Calculate ship date (today or next business day)
+      const shipDate = request.shipDate || this.getNextBusinessDay(new Date());
+
+      const params = new URLSearchParams({
+        originZIPCode: request.origin.postalCode.substring(0, 5),
+        destinationZIPCode: request.destination.postalCode.substring(0, 5),
+        acceptanceDate: this.formatDate(shipDate),
+        mailClass: serviceType,
+      });
+
+      const response = await this.authorizedRequest(`${this.baseUrl}/service-standards/v3/estimates?${params}`, {
+        headers: {
+          'Accept': 'application/json',
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('USPS Service Standards API error:', errorData);
+        return {
+          success: false,
+          error: errorData.error?.message || 'Failed to get service standard',
+          carrier: this.carrierName,
+        };
+      }
+
+      const data = await response.json();
+      return this.parseServiceStandardResponse(data, shipDate, serviceType, calendar);
+    } catch (error) {
+      console.error('USPS carrier error:', error);
+      return {
+        success: false,
+        error: error.message,
+        carrier: this.carrierName,
+      };
+    }
+  }
+
+  /**
+   * Parse USPS Service Standards response for the requested mail class
+   * @param {Object|Object[]} data
+   * @param {Date} shipDate
+   * @param {string} serviceType
+   * @param {import('./calendar.js').DeliveryCalendar} [calendar] - Calendar for estimated dates
+   */
+  parseServiceStandardResponse(data, shipDate, serviceType, calendar) {
+    try {
+      const estimates = Array.isArray(data) ? data : [data];
+      const estimate = estimates.find((e) => e?.mailClass === serviceType) || estimates[0];
+
+      if (!estimate) {
+        return {
+          success: false,
+          error: 'No service standard in response',
+          carrier: this.carrierName,
+        };
+      }
+
+      const transitDays = parseInt(estimate.serviceStandard, 10) || null;
+      const serviceName = USPS_SERVICE_NAMES[estimate.mailClass] || USPS_SERVICE_NAMES[serviceType];
+
+      // If USPS provides a scheduled delivery date, use it
+      const scheduled = estimate.delivery?.scheduledDeliveryDateTime;
+      if (scheduled) {
+        // Use the calendar date only; the time component is the USPS delivery window end
+        const [year, month, day] = scheduled.split('T')[0].split('-').map(Number);
+        const uspsDeliveryDate = new Date(year, month - 1, day);
+        return {
+          success: true,
+          deliveryDateMin: uspsDeliveryDate,
+          deliveryDateMax: this.addBusinessDays(uspsDeliveryDate, 1, calendar),
+          transitDays: transitDays || this.calculateBusinessDays(shipDate, uspsDeliveryDate, calendar),
+          serviceName,
+          carrier: this.carrierName,
+        };
+      }
+
+      return {
+        success: true,
+        deliveryDateMin: this.addBusinessDays(shipDate, transitDays || 3, calendar),
+        deliveryDateMax: this.addBusinessDays(shipDate, (transitDays || 3) + 2, calendar),
+        transitDays: transitDays || 5,
+        serviceName,
+        carrier: this.carrierName,
+      };
+    } catch (error) {
+      console.error('Error parsing USPS response:', error);
+      return {
+        success: false,
+        error: 'Failed to parse service standard response',
+        carrier: this.carrierName,
+      };
+    }
+  }
+}
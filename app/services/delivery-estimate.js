@@ -4,8 +4,49 @@
  */
 
 import prisma from '../db.server.js';
-import { createCarrier, CARRIERS, FEDEX_SERVICE_TYPES } from './carriers/index.js';
+import { unauthenticated } from '../shopify.server.js';
+import {
+  createCarrier,
+  createDeliveryCalendar,
+  parseDateKey,
+  toDateKey,
+  selectTransitResult,
+  getSupportedCarriers,
+  CARRIERS,
+  CARRIER_ENVIRONMENTS,
+  FEDEX_SERVICE_TYPES,
+  USPS_SERVICE_TYPES,
+} from './carriers/index.js';
+import { getPooledCarrier } from './carriers/carrier-pool.js';
+import { buildTransitCacheKey, getCachedTransitTime } from './transit-cache.server.js';
+import { getFreightLanes } from './freight-lanes.js';
+import { getManualTransitRules } from './manual-transit.js';
+import { getCalendarExceptions } from './calendar-exceptions.js';
+import { getWarehouseBlackouts, isBlackoutDate } from './warehouse-blackouts.js';
+import { getSeasonalBuffers, getActiveSeasonalBuffer } from './seasonal-buffers.js';
+import { resolveHandlingTime, getProductDetails } from './handling-time.server.js';
+import { toNumericId } from './handling-time.js';
+import { resolveBackorder } from './backorder.server.js';
+import { getBookedOrderCounts, bookOrder } from './fulfillment-capacity.js';
+import { getWarehouses, getStockedLocationIds } from './warehouses.server.js';
+import { selectWarehouse, applyWarehouse } from './warehouses.js';
+import { resolveVendorOrigin } from './vendor-origins.server.js';
+import { applyVendorOrigin } from './vendor-origins.js';
+import { getZonedNow, fromZonedTime, getShopTimezone, isValidTimeZone, DEFAULT_TIMEZONE } from './timezone.js';
 import { getLocationFromIP, getDefaultLocation, getLocationFromPostalCode } from './geolocation.js';
+import { normalizePostalCode } from './postal-codes.js';
+
+// Enough for most carts, and keeps one public request from fanning out into a flood of
+// product and stock lookups
+const MAX_CART_LINE_ITEMS = 25;
+
+// The storefront block shows its countdown at most this long before the cutoff (its
+// "Show When Cutoff Is Within" setting tops out at 24h)
+const COUNTDOWN_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead a ship day is searched for, so closures and holidays that together cover
+// every day give up instead of looping forever
+const SHIP_DATE_HORIZON_DAYS = 366;
 
 /**
  * @typedef {Object} DeliveryEstimate
@@ -16,133 +57,271 @@ import { getLocationFromIP, getDefaultLocation, getLocationFromPostalCode } from
  * @property {string} [displayText] - Human-readable delivery text (e.g., "Arrives Feb 10 - Feb 12")
  * @property {string} [location] - Destination location text (e.g., "Summerville, United States")
  * @property {number} [transitDays] - Estimated transit days
+ * @property {string} [carrier] - Carrier that provided the estimate (e.g., "fedex")
+ * @property {string} [serviceName] - Carrier service that provided the estimate (e.g., "FedEx Ground")
+ * @property {string} [environment] - Carrier API environment used (e.g., "sandbox", "production")
+ * @property {boolean} [isFreight] - Whether the estimate is for LTL freight
+ * @property {string} [warehouse] - Name of the warehouse the estimate ships from
+ * @property {string} [vendor] - Name of the drop-ship vendor the estimate ships from
+ * @property {number} [handlingTimeDays] - Handling time used for the ship date
+ * @property {boolean} [isBackordered] - Variant is out of stock but still for sale
+ * @property {string} [restockDate] - Expected restock date of a backordered variant (YYYY-MM-DD)
+ * @property {string[]} [seasonalBuffers] - Names of the peak-season buffers applied
+ * @property {string} [cutoffAt] - Instant (ISO) after which orders get the afterCutoff estimate
+ * @property {{displayText: string, deliveryDateMin: string, deliveryDateMax: string}} [afterCutoff] -
+ *   Estimate for orders placed after cutoffAt; only when the cutoff is close enough for the
+ *   storefront countdown
  */
 
 /**
  * Get delivery estimate for a shop and customer IP
+ * Whether a product ships LTL freight is decided here from its tags, never by the storefront.
  * 
  * @param {string} shop - Shopify shop domain
  * @param {string} [customerIP] - Customer's IP address for geolocation
  * @param {string} [postalCode] - Override postal code (if customer provided one)
+ * @param {Object} [options]
+ * @param {boolean} [options.freight] - Estimate LTL freight without a product, for the admin
+ *   preview; otherwise products carrying the shop's freight tag ship freight
+ * @param {string} [options.productId] - Product being viewed, for handling time rules
+ * @param {string} [options.variantId] - Selected variant, for handling time rules, backorders,
+ *   and choosing a warehouse that stocks it
+ * @param {string} [options.countryCode] - Country of postalCode (US, CA, MX); detected from the
+ *   format when omitted
  * @returns {Promise<DeliveryEstimate>}
  */
-export async function getDeliveryEstimate(shop, customerIP, postalCode) {
+export async function getDeliveryEstimate(shop, customerIP, postalCode, options = {}) {
   try {
     // Get app settings for this shop
-    const settings = await getAppSettings(shop);
-    
-    if (!settings) {
+    const { settings: shopSettings, error: settingsError } = await getEnabledSettings(shop);
+
+    if (settingsError) {
       return {
         success: false,
-        error: 'App not configured for this shop',
+        error: settingsError,
       };
     }
 
-    if (!settings.isEnabled) {
+    // Get customer location
+    const { destination, error } = await resolveDestination(customerIP, postalCode, options.countryCode);
+
+    if (error) {
       return {
         success: false,
-        error: 'Delivery estimates are disabled',
+        error,
       };
     }
 
-    // Get customer location
-    let destination;
-    if (postalCode) {
-      // Look up city and state from postal code
-      destination = await getLocationFromPostalCode(postalCode);
-      
-      if (!destination) {
-        // If lookup fails, use just the postal code
-        console.warn(`Could not resolve location for postal code: ${postalCode}`);
-        destination = {
-          postalCode,
-          city: '',
-          region: '',
-          countryCode: 'US',
-        };
-      }
-    } else {
-      // Geolocate from IP
-      destination = await getLocationFromIP(customerIP);
-      if (!destination) {
-        destination = getDefaultLocation();
-      }
+    const schedule = await getShopSchedule(shop);
+    const plan = await planShipment(shop, shopSettings, schedule, destination, options);
+
+    if (plan.error) {
+      return {
+        success: false,
+        error: plan.error,
+      };
     }
 
-    // Build origin from warehouse settings
-    const origin = {
-      street: settings.warehouseStreet || undefined,
-      city: settings.warehouseCity,
-      state: settings.warehouseState,
-      postalCode: settings.warehousePostalCode,
-      countryCode: settings.warehouseCountryCode,
+    const { settings, origin, shipDate, cutoff, today, estimateOptions } = plan;
+
+    // Orders placed just after the cutoff, for the storefront countdown. Looking it up costs a
+    // second round of carrier calls, so skip it while the countdown can't show yet.
+    const afterCutoffShipDate = cutoff - today <= COUNTDOWN_WINDOW_MS
+      ? calculateShipDate({ ...plan.shipDateOptions, now: new Date(cutoff.getTime() + 60 * 1000) })?.shipDate
+      : null;
+
+    const [estimate, afterCutoffEstimate] = await Promise.all([
+      estimateForShipDate(settings, origin, destination, shipDate, estimateOptions),
+      afterCutoffShipDate
+        ? estimateForShipDate(settings, origin, destination, afterCutoffShipDate, estimateOptions)
+        : { success: false },
+    ]);
+
+    if (!estimate.success) {
+      return estimate;
+    }
+
+    return {
+      ...estimate,
+      ...(plan.warehouse ? { warehouse: plan.warehouse.name } : {}),
+      ...(plan.vendorOrigin ? { vendor: plan.vendorOrigin.name } : {}),
+      handlingTimeDays: plan.handlingTimeDays,
+      ...(plan.backorder ? { isBackordered: true, restockDate: plan.backorder.restockDate } : {}),
+      ...(plan.buffer ? { seasonalBuffers: plan.buffer.names } : {}),
+      cutoffAt: fromZonedTime(cutoff, plan.timeZone).toISOString(),
+      ...(afterCutoffEstimate.success ? {
+        afterCutoff: {
+          displayText: afterCutoffEstimate.displayText,
+          deliveryDateMin: afterCutoffEstimate.deliveryDateMin,
+          deliveryDateMax: afterCutoffEstimate.deliveryDateMax,
+        },
+      } : {}),
     };
+  } catch (error) {
+    console.error('Error getting delivery estimate:', error);
+    return {
+      success: false,
+      error: 'Failed to calculate delivery estimate',
+    };
+  }
+}
 
-    // Calculate ship date based on handling time, cutoff, and processing days
-    const shipDate = calculateShipDate(settings.handlingTimeDays, settings.cutoffTime, settings.processingDays);
+/**
+ * @typedef {Object} CartLineItem
+ * @property {string} variantId - Variant id or GID
+ * @property {string} [productId] - Product id or GID
+ */
 
-    // Only try FedEx API if credentials are configured
-    let transitResult = null;
-    
-    if (settings.fedexApiKey && settings.fedexSecretKey && settings.fedexAccountNumber) {
-      try {
-        console.log('[Delivery Estimate] Using FedEx API (sandbox mode)');
-        
-        // Create carrier and get transit time (use sandbox by default for testing)
-        const carrier = createCarrier(CARRIERS.FEDEX, {
-          apiKey: settings.fedexApiKey,
-          secretKey: settings.fedexSecretKey,
-          accountNumber: settings.fedexAccountNumber,
-        }, true); // Use sandbox mode
-
-        transitResult = await carrier.getTransitTime({
-          origin,
-          destination: {
-            city: destination.city,
-            state: destination.region,
-            postalCode: destination.postalCode,
-            countryCode: destination.countryCode,
-          },
-          shipDate,
-          serviceType: FEDEX_SERVICE_TYPES.GROUND,
-        });
-        
-        if (transitResult.success) {
-          console.log('[Delivery Estimate] FedEx API succeeded:', {
-            transitDays: transitResult.transitDays,
-            deliveryDate: transitResult.deliveryDateMin
-          });
-        }
-      } catch (error) {
-        console.warn('[Delivery Estimate] FedEx API error, using fallback:', error.message);
-        transitResult = { success: false };
+/**
+ * @typedef {Object} Shipment
+ * @property {string|null} origin - Drop-ship vendor or warehouse the package ships from, or null
+ *   for the shop address
+ * @property {string[]} variantIds - Line items in the package
+ * @property {string} displayText - e.g., "Arrives Feb 10 - Feb 12"
+ * @property {string} deliveryDateMin
+ * @property {string} deliveryDateMax
+ * @property {string} [carrier]
+ * @property {string} [serviceName]
+ * @property {boolean} [isBackordered] - The package waits for a backordered item
+ */
+
+/**
+ * @typedef {Object} CartDeliveryEstimate
+ * @property {boolean} success
+ * @property {string} [error]
+ * @property {string} [location] - Destination location text
+ * @property {Shipment[]} [shipments] - One per origin, earliest first
+ * @property {string} [arrivesBy] - Latest delivery date across shipments; omitted when an item
+ *   couldn't be estimated
+ * @property {string} [displayText] - e.g., "Everything arrives by Feb 14"
+ * @property {string[]} [unavailableVariantIds] - Items with no estimate
+ */
+
+/**
+ * Estimate delivery for a whole cart
+ * Each line item gets its own ship date (its handling time, backorder status and origin), then
+ * items are grouped into one shipment per origin (drop-ship vendor or warehouse). A shipment
+ * leaves once its slowest item is ready, so carriers are only asked about that item's ship
+ * date, once per origin and freight class.
+ *
+ * @param {string} shop - Shopify shop domain
+ * @param {string} [customerIP] - Customer's IP address for geolocation
+ * @param {string} [postalCode] - Optional postal code override
+ * @param {CartLineItem[]} lineItems
+ * @param {Object} [options]
+ * @param {string} [options.countryCode] - Country of postalCode
+ * @returns {Promise<CartDeliveryEstimate>}
+ */
+export async function getCartDeliveryEstimate(shop, customerIP, postalCode, lineItems, options = {}) {
+  if (lineItems.length === 0) {
+    return { success: false, error: 'Cart is empty' };
+  }
+
+  try {
+    const { settings, error: settingsError } = await getEnabledSettings(shop);
+
+    if (settingsError) {
+      return { success: false, error: settingsError };
+    }
+
+    const { destination, error } = await resolveDestination(customerIP, postalCode, options.countryCode);
+
+    if (error) {
+      return { success: false, error };
+    }
+
+    const schedule = await getShopSchedule(shop);
+    const plans = await Promise.all(lineItems.map((item) => planShipment(shop, settings, schedule, destination, {
+      productId: item.productId,
+      variantId: item.variantId,
+    })));
+
+    // Items from the same origin and freight class wait for whichever ships last
+    const groups = new Map();
+    const unavailableVariantIds = [];
+
+    plans.forEach((plan, index) => {
+      const { variantId } = lineItems[index];
+
+      if (plan.error) {
+        unavailableVariantIds.push(variantId);
+        return;
+      }
+
+      const key = `${plan.vendorOrigin?.name ?? plan.warehouse?.locationId ?? ''}|${plan.estimateOptions.isFreight}`;
+      const group = groups.get(key);
+
+      groups.set(key, {
+        plan: !group || plan.shipDate > group.plan.shipDate ? plan : group.plan,
+        variantIds: [...(group?.variantIds || []), variantId],
+      });
+    });
+
+    const estimates = await Promise.all([...groups.values()].map(async ({ plan, variantIds }) => ({
+      plan,
+      variantIds,
+      estimate: await estimateForShipDate(plan.settings, plan.origin, destination, plan.shipDate, plan.estimateOptions),
+    })));
+
+    const failed = estimates.find(({ estimate }) => !estimate.success)?.estimate ||
+      { success: false, error: plans.find((plan) => plan.error)?.error };
+    const shipmentsByOrigin = new Map();
+
+    for (const { plan, variantIds, estimate } of estimates) {
+      if (!estimate.success) {
+        unavailableVariantIds.push(...variantIds);
+        continue;
       }
-    } else {
-      console.log('[Delivery Estimate] FedEx credentials not configured, using fallback');
+
+      // Parcel and freight items from one origin are shown as one shipment
+      const origin = plan.vendorOrigin?.name || plan.warehouse?.name || null;
+      const shipment = shipmentsByOrigin.get(origin);
+      const isSlower = !shipment ||
+        estimate.deliveryDateMax > shipment.deliveryDateMax ||
+        (estimate.deliveryDateMax === shipment.deliveryDateMax && estimate.deliveryDateMin > shipment.deliveryDateMin);
+
+      shipmentsByOrigin.set(origin, {
+        ...(isSlower ? {
+          origin,
+          displayText: estimate.displayText,
+          deliveryDateMin: estimate.deliveryDateMin,
+          deliveryDateMax: estimate.deliveryDateMax,
+          carrier: estimate.carrier,
+          serviceName: estimate.serviceName,
+          ...(plan.backorder ? { isBackordered: true } : {}),
+        } : shipment),
+        variantIds: [...(shipment?.variantIds || []), ...variantIds],
+      });
     }
 
-    if (!transitResult || !transitResult.success) {
-      // Try fallback estimate based on distance zones
-      console.log('[Delivery Estimate] Using fallback zone-based estimation');
-      return generateFallbackEstimate(origin, destination, shipDate, settings);
+    if (shipmentsByOrigin.size === 0) {
+      return failed;
+    }
+
+    const shipments = [...shipmentsByOrigin.values()]
+      .sort((a, b) => a.deliveryDateMax.localeCompare(b.deliveryDateMax));
+    const location = estimates.find(({ estimate }) => estimate.success).estimate.location;
+
+    if (unavailableVariantIds.length > 0) {
+      return {
+        success: true,
+        location,
+        shipments,
+        unavailableVariantIds,
+      };
     }
 
-    // Format the response
-    const locationText = formatLocation(destination);
-    const dateText = settings.showExactDates
-      ? formatDateRange(transitResult.deliveryDateMin, transitResult.deliveryDateMax)
-      : formatTransitDays(transitResult.transitDays);
+    const arrivesBy = shipments[shipments.length - 1].deliveryDateMax;
 
     return {
       success: true,
-      deliveryDateMin: transitResult.deliveryDateMin?.toISOString(),
-      deliveryDateMax: transitResult.deliveryDateMax?.toISOString(),
-      displayText: `Arrives ${dateText}`,
-      location: locationText,
-      transitDays: transitResult.transitDays,
+      location,
+      shipments,
+      arrivesBy,
+      displayText: `Everything arrives by ${new Date(arrivesBy).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
     };
   } catch (error) {
-    console.error('Error getting delivery estimate:', error);
+    console.error('Error getting cart delivery estimate:', error);
     return {
       success: false,
       error: 'Failed to calculate delivery estimate',
@@ -150,6 +329,380 @@ export async function getDeliveryEstimate(shop, customerIP, postalCode) {
   }
 }
 
+/**
+ * @typedef {Object} ShipmentPlan
+ * Where an item ships from and when, worked out before any carrier is asked
+ * @property {Object} settings - App settings with the vendor's or warehouse's overrides applied
+ * @property {import('./carriers/types.js').Address} origin
+ * @property {import('./vendor-origins.js').VendorOrigin|null} vendorOrigin
+ * @property {import('./warehouses.js').Warehouse|null} warehouse
+ * @property {number} handlingTimeDays
+ * @property {import('./backorder.server.js').Backorder|null} backorder
+ * @property {import('./seasonal-buffers.js').ActiveSeasonalBuffer|null} buffer
+ * @property {Object} shipDateOptions - What calculateShipDate was called with
+ * @property {Date} shipDate
+ * @property {Date} cutoff
+ * @property {string} timeZone - Warehouse timezone
+ * @property {Date} today - Warehouse wall-clock time
+ * @property {Object} estimateOptions - For estimateForShipDate
+ */
+
+/**
+ * Get the shop's settings when estimates are on
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{settings?: Object, error?: string}>}
+ */
+async function getEnabledSettings(shop) {
+  const settings = await getAppSettings(shop);
+
+  if (!settings) {
+    return { error: 'App not configured for this shop' };
+  }
+
+  if (!settings.isEnabled) {
+    return { error: 'Delivery estimates are disabled' };
+  }
+
+  return { settings };
+}
+
+/**
+ * Load the shop-wide data ship dates depend on: merchant overrides of the carrier holiday
+ * calendars, days the warehouse is closed, peak-season buffers, and orders already booked
+ * against each warehouse's daily capacity
+ * @param {string} shop - Shop domain
+ */
+async function getShopSchedule(shop) {
+  // Warehouses can set a daily capacity of their own, so bookings are loaded even when the
+  // shop has none
+  const [calendarExceptions, blackouts, seasonalBuffers, orderCounts] = await Promise.all([
+    getCalendarExceptions(shop),
+    getWarehouseBlackouts(shop),
+    getSeasonalBuffers(shop),
+    getBookedOrderCounts(shop),
+  ]);
+
+  return { calendarExceptions, blackouts, seasonalBuffers, orderCounts };
+}
+
+/**
+ * Work out where an item ships from and its ship date
+ * @param {string} shop - Shop domain
+ * @param {Object} shopSettings - App settings
+ * @param {Awaited<ReturnType<typeof getShopSchedule>>} schedule
+ * @param {import('./geolocation.js').GeoLocation} destination
+ * @param {{freight?: boolean, productId?: string, variantId?: string}} options
+ * @returns {Promise<ShipmentPlan|{error: string}>}
+ */
+async function planShipment(shop, shopSettings, schedule, destination, options) {
+  // Drop-ship products ship from the vendor's dock. Everything else ships from the closest
+  // warehouse that stocks the variant, with its own handling time, cutoff, processing days
+  // and timezone; shops without synced warehouses use the settings.
+  const vendorOrigin = await resolveVendorOrigin(shop, options);
+  const warehouse = vendorOrigin ? null : await resolveWarehouse(shop, destination, options.variantId);
+  const settings = vendorOrigin
+    ? applyVendorOrigin(shopSettings, vendorOrigin)
+    : warehouse ? applyWarehouse(shopSettings, warehouse) : shopSettings;
+
+  // Build origin from warehouse settings
+  const origin = {
+    street: settings.warehouseStreet || undefined,
+    city: settings.warehouseCity,
+    state: settings.warehouseState,
+    postalCode: settings.warehousePostalCode,
+    countryCode: settings.warehouseCountryCode,
+  };
+
+  // The warehouse timezone the cutoff is measured in
+  const [timeZone, handlingTime] = await Promise.all([
+    resolveWarehouseTimezone(settings),
+    // Product, variant, collection or tag rules override the shop's handling time
+    resolveHandlingTime(settings, { productId: options.productId, variantId: options.variantId }),
+  ]);
+
+  const today = getZonedNow(timeZone);
+  const buffer = getActiveSeasonalBuffer(schedule.seasonalBuffers, today);
+
+  // Out-of-stock variants that keep selling ship once restocked, and oversized products
+  // carrying the freight tag ship LTL freight
+  const [backorder, isFreight] = await Promise.all([
+    resolveBackorder(settings, options.variantId, toDateKey(today)),
+    settings.freightEnabled && (!!options.freight || isFreightProduct(shop, settings.freightTag, options)),
+  ]);
+
+  // Calculate ship date based on handling time, cutoff, processing days, warehouse closures,
+  // carrier pickup holidays, daily capacity, backorder restock, and any peak-season handling buffer
+  const shipDateOptions = {
+    handlingDays: handlingTime.handlingTimeDays + (backorder?.leadTimeDays || 0) + (buffer?.handlingDays || 0),
+    cutoffTime: settings.cutoffTime,
+    processingDays: settings.processingDays,
+    pickupCalendar: createDeliveryCalendar({
+      countryCode: origin.countryCode,
+      exceptions: schedule.calendarExceptions,
+    }),
+    // Warehouse closures don't stop a vendor from shipping
+    blackouts: vendorOrigin ? [] : schedule.blackouts,
+    timeZone,
+    dailyCapacity: settings.dailyOrderCapacity,
+    orderCounts: schedule.orderCounts[warehouse?.locationId ?? ''] || {},
+    availableFrom: backorder?.restockDate ? parseDateKey(backorder.restockDate) : undefined,
+  };
+  const shipDateResult = calculateShipDate(shipDateOptions);
+
+  if (!shipDateResult) {
+    return { error: 'No ship date available in the next year' };
+  }
+
+  return {
+    settings,
+    origin,
+    vendorOrigin,
+    warehouse,
+    handlingTimeDays: handlingTime.handlingTimeDays,
+    backorder,
+    buffer,
+    shipDateOptions,
+    ...shipDateResult,
+    timeZone,
+    today,
+    estimateOptions: {
+      calendarExceptions: schedule.calendarExceptions,
+      isFreight,
+      buffer,
+    },
+  };
+}
+
+/**
+ * Whether a product carries the shop's freight tag
+ * @param {string} shop - Shop domain
+ * @param {string} freightTag - Shop's freight product tag
+ * @param {{productId?: string, variantId?: string}} product
+ * @returns {Promise<boolean>}
+ */
+async function isFreightProduct(shop, freightTag, { productId, variantId }) {
+  const ids = { productId: toNumericId(productId), variantId: toNumericId(variantId) };
+  const tag = String(freightTag || '').trim().toLowerCase();
+
+  if (!tag || (!ids.productId && !ids.variantId)) {
+    return false;
+  }
+
+  const details = await getProductDetails(shop, ids);
+  return !!details?.tags.some((productTag) => productTag.trim().toLowerCase() === tag);
+}
+
+/**
+ * Read cart line items from a request body, one per variant
+ * Accepts camelCase ids or the snake_case items of the storefront /cart.js response.
+ *
+ * @param {Array} items - Raw items: {variantId, productId}
+ * @returns {CartLineItem[]}
+ */
+export function normalizeCartLineItems(items) {
+  const lineItems = new Map();
+
+  for (const item of Array.isArray(items) ? items : []) {
+    const variantId = item?.variantId ?? item?.variant_id;
+
+    if (!variantId || lineItems.has(String(variantId))) {
+      continue;
+    }
+
+    const productId = item.productId ?? item.product_id;
+    lineItems.set(String(variantId), {
+      variantId: String(variantId),
+      productId: productId ? String(productId) : undefined,
+    });
+  }
+
+  return [...lineItems.values()].slice(0, MAX_CART_LINE_ITEMS);
+}
+
+/**
+ * Book a new order into the processing day it will be picked in, for the daily capacity
+ * The order takes the first processing day whose cutoff it made and that still has room, the
+ * same day getDeliveryEstimate starts handling time from. Its cutoff, processing days and
+ * timezone come from the warehouse getDeliveryEstimate picks for the shipping address and the
+ * first item that isn't drop-shipped, and the order only counts against that warehouse's capacity.
+ *
+ * @param {string} shop - Shopify shop domain
+ * @param {string} orderId - Numeric Shopify order id
+ * @param {Date} createdAt - When the order was placed
+ * @param {Object} [options]
+ * @param {import('./geolocation.js').GeoLocation} [options.destination] - Shipping address
+ * @param {{productId?: string, variantId?: string}[]} [options.lineItems] - Items that ship
+ * @returns {Promise<string|null>} Processing day (YYYY-MM-DD), or null when the warehouse has no
+ *   capacity limit, every item is drop-shipped, or no processing day is open within the next year
+ */
+export async function bookOrderCapacity(shop, orderId, createdAt, options = {}) {
+  const shopSettings = await getAppSettings(shop);
+
+  if (!shopSettings) {
+    return null;
+  }
+
+  // Vendors ship drop-shipped items from their own docks, outside the warehouse's capacity
+  const { lineItems = [] } = options;
+  let warehouseItem = null;
+
+  for (const item of lineItems) {
+    if (!(await resolveVendorOrigin(shop, item))) {
+      warehouseItem = item;
+      break;
+    }
+  }
+
+  if (lineItems.length > 0 && !warehouseItem) {
+    return null;
+  }
+
+  const warehouse = options.destination
+    ? await resolveWarehouse(shop, options.destination, warehouseItem?.variantId)
+    : null;
+  const settings = warehouse ? applyWarehouse(shopSettings, warehouse) : shopSettings;
+
+  if (!settings.dailyOrderCapacity) {
+    return null;
+  }
+
+  const [calendarExceptions, blackouts, timeZone] = await Promise.all([
+    getCalendarExceptions(shop),
+    getWarehouseBlackouts(shop),
+    resolveWarehouseTimezone(settings),
+  ]);
+
+  const shipDateOptions = {
+    // With no handling days the ship date is the processing day itself
+    handlingDays: 0,
+    cutoffTime: settings.cutoffTime,
+    processingDays: settings.processingDays,
+    pickupCalendar: createDeliveryCalendar({
+      countryCode: settings.warehouseCountryCode,
+      exceptions: calendarExceptions,
+    }),
+    blackouts,
+    timeZone,
+    dailyCapacity: settings.dailyOrderCapacity,
+    now: getZonedNow(timeZone, createdAt),
+  };
+
+  return await bookOrder(shop, orderId, warehouse?.locationId ?? '', (orderCounts) => {
+    const shipDateResult = calculateShipDate({ ...shipDateOptions, orderCounts });
+    return shipDateResult ? toDateKey(shipDateResult.shipDate) : null;
+  });
+}
+
+/**
+ * Look up transit time for a ship date and format the estimate
+ * Parcel lookups fall back to zone-based estimation; freight lookups don't.
+ *
+ * @param {Object} settings - App settings
+ * @param {import('./carriers/types.js').Address} origin
+ * @param {import('./carriers/types.js').Address} destination
+ * @param {Date} shipDate
+ * @param {Object} options
+ * @param {import('./carriers/types.js').CalendarException[]} options.calendarExceptions
+ * @param {boolean} options.isFreight - Use the shop's LTL lane table instead of parcel carriers
+ * @param {import('./seasonal-buffers.js').ActiveSeasonalBuffer|null} [options.buffer] - Peak-season buffer
+ * @returns {Promise<DeliveryEstimate>}
+ */
+async function estimateForShipDate(settings, origin, destination, shipDate, { calendarExceptions, isFreight, buffer = null }) {
+  let transitResult;
+
+  if (isFreight) {
+    // Freight products use the shop's LTL lane table instead of parcel carriers
+    const lanes = await getFreightLanes(settings.shop);
+    transitResult = await queryTableCarrier(
+      CARRIERS.FREIGHT,
+      { lanes },
+      origin,
+      destination,
+      shipDate,
+      calendarExceptions
+    );
+
+    if (!transitResult.success) {
+      // Parcel or zone-based times would promise a freight item far too early
+      console.log(`[Delivery Estimate] ${transitResult.error}`);
+      return {
+        success: false,
+        error: 'Freight delivery estimate unavailable for this location',
+      };
+    }
+  } else {
+    // Query every enabled carrier in parallel and pick one result by the shop's strategy
+    const carrierResults = await queryCarriers(settings, origin, destination, shipDate, calendarExceptions);
+    transitResult = selectTransitResult(
+      carrierResults,
+      settings.carrierStrategy,
+      settings.carrier
+    );
+
+    if (!transitResult) {
+      // Try fallback estimate based on distance zones
+      console.log('[Delivery Estimate] Using fallback zone-based estimation');
+      return generateFallbackEstimate(origin, destination, shipDate, settings, calendarExceptions, buffer);
+    }
+  }
+
+  if (buffer) {
+    transitResult = applySeasonalBuffer(transitResult, buffer, createDeliveryCalendar({
+      carrier: transitResult.carrier,
+      countryCode: destination.countryCode,
+      exceptions: calendarExceptions,
+    }));
+  }
+
+  // Format the response
+  const locationText = formatLocation(destination);
+  const dateText = settings.showExactDates
+    ? formatDateRange(transitResult.deliveryDateMin, transitResult.deliveryDateMax)
+    : formatTransitDays(transitResult.transitDays, transitResult.transitDaysMax);
+
+  return {
+    success: true,
+    deliveryDateMin: transitResult.deliveryDateMin?.toISOString(),
+    deliveryDateMax: transitResult.deliveryDateMax?.toISOString(),
+    displayText: `Arrives ${dateText}`,
+    location: locationText,
+    transitDays: transitResult.transitDays,
+    carrier: transitResult.carrier,
+    serviceName: transitResult.serviceName,
+    environment: transitResult.environment,
+    ...(isFreight ? { isFreight: true } : {}),
+  };
+}
+
+/**
+ * Push a transit result back by a peak-season buffer
+ * Extra transit days move both ends of the delivery window; window days only move the latest date.
+ *
+ * @param {import('./carriers/types.js').TransitTimeResponse} transitResult
+ * @param {import('./seasonal-buffers.js').ActiveSeasonalBuffer} buffer
+ * @param {import('./carriers/calendar.js').DeliveryCalendar} calendar - Carrier delivery calendar
+ * @returns {import('./carriers/types.js').TransitTimeResponse}
+ */
+function applySeasonalBuffer(transitResult, buffer, calendar) {
+  if (!transitResult.deliveryDateMin || (!buffer.transitDays && !buffer.windowDays)) {
+    return transitResult;
+  }
+
+  // Same default window as formatTransitDays
+  const transitDaysMax = transitResult.transitDaysMax ?? transitResult.transitDays + 2;
+
+  return {
+    ...transitResult,
+    deliveryDateMin: calendar.addDeliveryDays(transitResult.deliveryDateMin, buffer.transitDays),
+    deliveryDateMax: calendar.addDeliveryDays(
+      transitResult.deliveryDateMax || transitResult.deliveryDateMin,
+      buffer.transitDays + buffer.windowDays
+    ),
+    transitDays: transitResult.transitDays + buffer.transitDays,
+    transitDaysMax: transitDaysMax + buffer.transitDays + buffer.windowDays,
+  };
+}
+
 /**
  * Get app settings for a shop
  * @param {string} shop - Shop domain
@@ -179,10 +732,338 @@ export async function saveAppSettings(shop, data) {
   });
 }
 
+/**
+ * Get the customer location from a postal code, or geolocate their IP
+ * @param {string} [customerIP]
+ * @param {string} [postalCode]
+ * @param {string} [countryCode] - Country of postalCode
+ * @returns {Promise<{destination?: import('./geolocation.js').GeoLocation, error?: string}>}
+ *   error when the postal code isn't valid for the country
+ */
+async function resolveDestination(customerIP, postalCode, countryCode) {
+  let destination;
+  if (postalCode) {
+    const normalized = normalizePostalCode(postalCode, countryCode);
+
+    if (normalized.error) {
+      return { error: normalized.error };
+    }
+
+    // Look up city and state from postal code
+    destination = await getLocationFromPostalCode(normalized.postalCode, normalized.countryCode);
+    
+    if (!destination) {
+      // If lookup fails, use just the postal code
+      console.warn(`Could not resolve location for postal code: ${postalCode}`);
+      destination = {
+        postalCode: normalized.postalCode,
+        city: '',
+        region: '',
+        countryCode: normalized.countryCode,
+      };
+    }
+  } else {
+    // Geolocate from IP
+    destination = await getLocationFromIP(customerIP);
+    if (!destination) {
+      destination = getDefaultLocation();
+    }
+  }
+
+  return { destination };
+}
+
+/**
+ * Choose the warehouse an order ships from
+ * @param {string} shop - Shop domain
+ * @param {import('./geolocation.js').GeoLocation} destination
+ * @param {string} [variantId] - Selected variant, to prefer warehouses that stock it
+ * @returns {Promise<import('./warehouses.js').Warehouse|null>} null when the shop has no warehouses
+ */
+async function resolveWarehouse(shop, destination, variantId) {
+  const warehouses = await getWarehouses(shop);
+
+  if (warehouses.length === 0) {
+    return null;
+  }
+
+  const stockedLocationIds = await getStockedLocationIds(shop, variantId);
+  return selectWarehouse(warehouses, destination, stockedLocationIds);
+}
+
+/**
+ * Get the warehouse timezone, defaulting to the shop's timezone
+ * Shops saved before the timezone setting existed have none; the shop's timezone is read
+ * from the Admin API once and stored.
+ *
+ * @param {Object} settings - App settings
+ * @returns {Promise<string>} IANA timezone
+ */
+async function resolveWarehouseTimezone(settings) {
+  if (isValidTimeZone(settings.warehouseTimezone)) {
+    return settings.warehouseTimezone;
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(settings.shop);
+    const timeZone = await getShopTimezone(admin);
+
+    if (timeZone) {
+      await prisma.appSettings.update({
+        where: { shop: settings.shop },
+        data: { warehouseTimezone: timeZone },
+      });
+      return timeZone;
+    }
+  } catch (error) {
+    console.error(`Failed to resolve timezone for ${settings.shop}:`, error.message);
+  }
+
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Query all enabled carriers for a shop in parallel
+ * Carriers without configured credentials are skipped
+ * 
+ * @returns {Promise<import('./carriers/types.js').TransitTimeResponse[]>}
+ */
+async function queryCarriers(settings, origin, destination, shipDate, calendarExceptions = []) {
+  const carrierTypes = parseEnabledCarriers(settings.enabledCarriers);
+  const useSandbox = getCarrierEnvironment(settings) === CARRIER_ENVIRONMENTS.SANDBOX;
+
+  const queries = carrierTypes.map(async (carrierType) => {
+    const credentials = getCarrierCredentials(settings, carrierType);
+
+    if (!credentials) {
+      console.log(`[Delivery Estimate] ${carrierType} credentials not configured, skipping`);
+      return null;
+    }
+
+    try {
+      if (carrierType === CARRIERS.MANUAL) {
+        const rules = await getManualTransitRules(settings.shop);
+        return await queryTableCarrier(
+          CARRIERS.MANUAL,
+          { rules },
+          origin,
+          destination,
+          shipDate,
+          calendarExceptions
+        );
+      }
+
+      const carrier = getPooledCarrier(settings.shop, carrierType, credentials, useSandbox);
+      console.log(`[Delivery Estimate] Using ${carrierType} API (${carrier.environment} mode)`);
+      const serviceType = getCarrierServiceType(settings, carrierType);
+
+      const cacheKey = buildTransitCacheKey({
+        shop: settings.shop,
+        carrier: carrierType,
+        environment: carrier.environment,
+        originPostalCode: origin.postalCode,
+        destinationPostalCode: destination.postalCode,
+        destinationCountryCode: destination.countryCode,
+        serviceType,
+        shipDate,
+      });
+
+      const result = await getCachedTransitTime(cacheKey, async () => {
+        // Skip carriers whose circuit breaker is open - cached results are still served
+        if (carrier.isCircuitOpen()) {
+          console.log(`[Delivery Estimate] ${carrierType} circuit open, skipping`);
+          return { success: false, error: 'Carrier temporarily unavailable', carrier: carrierType };
+        }
+
+        return carrier.getTransitTime({
+          origin,
+          destination: {
+            city: destination.city,
+            state: destination.region,
+            postalCode: destination.postalCode,
+            countryCode: destination.countryCode,
+          },
+          shipDate,
+          serviceType,
+          calendarExceptions,
+        });
+      });
+
+      if (result.success) {
+        console.log(`[Delivery Estimate] ${carrierType} API succeeded:`, {
+          transitDays: result.transitDays,
+          deliveryDate: result.deliveryDateMin
+        });
+      }
+
+      return { ...result, environment: carrier.environment };
+    } catch (error) {
+      console.warn(`[Delivery Estimate] ${carrierType} API error:`, error.message);
+      return { success: false, error: error.message, carrier: carrierType };
+    }
+  });
+
+  return (await Promise.all(queries)).filter(Boolean);
+}
+
+/**
+ * Query a carrier backed by the shop's own table (freight lanes, manual transit table)
+ * Tables are read from the database on every call, so no transit cache is needed
+ * and edits apply immediately
+ * 
+ * @param {string} carrierType - CARRIERS.FREIGHT or CARRIERS.MANUAL
+ * @param {import('./carriers/types.js').CarrierOptions} options - The shop's lanes or rules
+ * @returns {Promise<import('./carriers/types.js').TransitTimeResponse>}
+ */
+async function queryTableCarrier(carrierType, options, origin, destination, shipDate, calendarExceptions = []) {
+  const carrier = createCarrier(carrierType, null, false, options);
+
+  const result = await carrier.getTransitTime({
+    origin,
+    destination: {
+      city: destination.city,
+      state: destination.region,
+      postalCode: destination.postalCode,
+      countryCode: destination.countryCode,
+    },
+    shipDate,
+    calendarExceptions,
+  });
+
+  return { ...result, environment: carrier.environment };
+}
+
+/**
+ * Get the carrier API environment for a shop
+ * Anything other than an explicit "production" uses the sandbox
+ * 
+ * @param {Object} settings - AppSettings record
+ * @returns {string} Environment from CARRIER_ENVIRONMENTS enum
+ */
+export function getCarrierEnvironment(settings) {
+  return settings?.carrierEnvironment === CARRIER_ENVIRONMENTS.PRODUCTION
+    ? CARRIER_ENVIRONMENTS.PRODUCTION
+    : CARRIER_ENVIRONMENTS.SANDBOX;
+}
+
+/**
+ * Parse the comma-separated list of enabled parcel carriers
+ * Unknown carriers and freight (which is routed per product) are dropped; defaults to FedEx if empty
+ * 
+ * @param {string} [enabledCarriersStr] - e.g. "fedex,ups"
+ * @returns {string[]}
+ */
+export function parseEnabledCarriers(enabledCarriersStr = CARRIERS.FEDEX) {
+  const supported = getSupportedCarriers();
+  const carriers = enabledCarriersStr
+    .split(',')
+    .map(c => c.trim())
+    .filter(c => supported.includes(c) && c !== CARRIERS.FREIGHT);
+
+  return carriers.length > 0 ? carriers : [CARRIERS.FEDEX];
+}
+
+/**
+ * Build carrier API credentials from a shop's settings
+ * Returns null when the carrier's credentials are incomplete
+ * 
+ * @param {Object} settings - AppSettings record
+ * @param {string} carrierType - Carrier type from CARRIERS enum
+ * @returns {import('./carriers/types.js').CarrierCredentials|null}
+ */
+export function getCarrierCredentials(settings, carrierType) {
+  switch (carrierType) {
+    case CARRIERS.FEDEX:
+      if (!settings.fedexApiKey || !settings.fedexSecretKey || !settings.fedexAccountNumber) {
+        return null;
+      }
+      return {
+        apiKey: settings.fedexApiKey,
+        secretKey: settings.fedexSecretKey,
+        accountNumber: settings.fedexAccountNumber,
+      };
+
+    case CARRIERS.UPS:
+      if (!settings.upsClientId || !settings.upsClientSecret || !settings.upsAccountNumber) {
+        return null;
+      }
+      return {
+        apiKey: settings.upsClientId,
+        secretKey: settings.upsClientSecret,
+        accountNumber: settings.upsAccountNumber,
+      };
+
+    case CARRIERS.USPS:
+      if (!settings.uspsClientId || !settings.uspsClientSecret) {
+        return null;
+      }
+      return {
+        apiKey: settings.uspsClientId,
+        secretKey: settings.uspsClientSecret,
+      };
+
+    case CARRIERS.MANUAL:
+      // The manual transit table needs no credentials
+      return {};
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the merchant-selected service type for a carrier
+ * Returns undefined to let the carrier use its default service
+ * 
+ * @param {Object} settings - AppSettings record
+ * @param {string} carrierType - Carrier type from CARRIERS enum
+ * @returns {string|undefined}
+ */
+function getCarrierServiceType(settings, carrierType) {
+  if (carrierType === CARRIERS.FEDEX) {
+    return settings.fedexServiceType || FEDEX_SERVICE_TYPES.GROUND;
+  }
+  if (carrierType === CARRIERS.USPS) {
+    return settings.uspsMailClass || USPS_SERVICE_TYPES.GROUND_ADVANTAGE;
+  }
+  return undefined;
+}
+
 /**
  * Calculate the ship date based on handling time, cutoff, and processing days
+ * Days when carriers don't pick up (holidays in the pickup calendar) and days the warehouse
+ * is closed (blackouts) are skipped like non-processing days. With a daily capacity, orders
+ * start on the first processing day that isn't fully booked.
+ * 
+ * @param {Object} options
+ * @param {number} options.handlingDays - Processing days needed before shipping
+ * @param {string} options.cutoffTime - Daily cutoff (HH:MM); later orders start the next day
+ * @param {string} [options.processingDays] - Comma-separated weekdays the warehouse ships (0=Sun)
+ * @param {import('./carriers/calendar.js').DeliveryCalendar} [options.pickupCalendar]
+ * @param {import('./warehouse-blackouts.js').WarehouseBlackout[]} [options.blackouts]
+ * @param {string} [options.timeZone] - Warehouse IANA timezone; "today", the cutoff, and
+ *   processing days are all evaluated in it
+ * @param {number|null} [options.dailyCapacity] - Orders the warehouse can process per day
+ * @param {Object<string, number>} [options.orderCounts] - Orders booked per processing day (YYYY-MM-DD)
+ * @param {Date} [options.availableFrom] - Day the item can first be processed (a future
+ *   restock date); handling time counts from it instead of today
+ * @param {Date} [options.now] - Order time as warehouse wall-clock time (defaults to now)
+ * @returns {{shipDate: Date, cutoff: Date}|null} Ship date, and the cutoff (warehouse wall-clock
+ *   time) after which orders get a later ship date; null when no ship day is open within
+ *   SHIP_DATE_HORIZON_DAYS
  */
-function calculateShipDate(handlingDays, cutoffTime, processingDaysStr = '1,2,3,4,5') {
+function calculateShipDate({
+  handlingDays,
+  cutoffTime,
+  processingDays: processingDaysStr = '1,2,3,4,5',
+  pickupCalendar = createDeliveryCalendar(),
+  blackouts = [],
+  timeZone = DEFAULT_TIMEZONE,
+  dailyCapacity = null,
+  orderCounts = {},
+  availableFrom,
+  now: orderTime = getZonedNow(timeZone),
+}) {
   // Parse processing days (0=Sun, 1=Mon, ..., 6=Sat)
   const processingDays = processingDaysStr
     .split(',')
@@ -193,8 +1074,29 @@ function calculateShipDate(handlingDays, cutoffTime, processingDaysStr = '1,2,3,
   if (processingDays.length === 0) {
     processingDays.push(1, 2, 3, 4, 5);
   }
+
+  const isShipDay = (date) =>
+    processingDays.includes(date.getDay()) &&
+    !pickupCalendar.isHoliday(date) &&
+    !isBlackoutDate(date, blackouts);
+
+  const isFullyBooked = (date) =>
+    !!dailyCapacity && (orderCounts[toDateKey(date)] || 0) >= dailyCapacity;
+
+  // Move date forward to the first day that passes, giving up past the horizon
+  const advanceTo = (date, passes) => {
+    for (let i = 0; i < SHIP_DATE_HORIZON_DAYS; i++) {
+      if (passes(date)) {
+        return true;
+      }
+      date.setDate(date.getDate() + 1);
+    }
+    return false;
+  };
   
-  const now = new Date();
+  // Warehouse wall-clock time, not the server's; a future restock date starts at its midnight,
+  // before any cutoff
+  const now = availableFrom && availableFrom > orderTime ? availableFrom : orderTime;
   const [cutoffHour, cutoffMinute] = cutoffTime.split(':').map(Number);
   
   // Create cutoff time for today
@@ -209,44 +1111,46 @@ function calculateShipDate(handlingDays, cutoffTime, processingDaysStr = '1,2,3,
     shipDate.setDate(shipDate.getDate() + 1);
   }
   
-  // Move to next processing day if current day is not a processing day
-  while (!processingDays.includes(shipDate.getDay())) {
-    shipDate.setDate(shipDate.getDate() + 1);
+  // Move to next processing day if current day is not a processing day, or is fully booked
+  if (!advanceTo(shipDate, (date) => isShipDay(date) && !isFullyBooked(date))) {
+    return null;
   }
+
+  // Orders keep this ship date until the cutoff on the first processing day
+  const orderCutoff = new Date(shipDate);
+  orderCutoff.setHours(cutoffHour, cutoffMinute, 0, 0);
   
-  // Add handling days (only count processing days)
-  let daysAdded = 0;
-  while (daysAdded < handlingDays) {
+  // Add handling days (only count processing days), so the ship date lands on one
+  for (let daysAdded = 0; daysAdded < handlingDays; daysAdded++) {
     shipDate.setDate(shipDate.getDate() + 1);
-    // Only count processing days
-    if (processingDays.includes(shipDate.getDay())) {
-      daysAdded++;
+    if (!advanceTo(shipDate, isShipDay)) {
+      return null;
     }
   }
   
-  // If ship date falls on non-processing day, move to next processing day
-  while (!processingDays.includes(shipDate.getDay())) {
-    shipDate.setDate(shipDate.getDate() + 1);
-  }
-  
-  return shipDate;
+  return { shipDate, cutoff: orderCutoff };
 }
 
 /**
  * Generate a fallback estimate when carrier API fails
- * Uses zone-based estimation
+ * Uses zone-based estimation, the destination's carrier holidays, and any peak-season buffer
  */
-function generateFallbackEstimate(origin, destination, shipDate, settings) {
+function generateFallbackEstimate(origin, destination, shipDate, settings, calendarExceptions = [], buffer = null) {
   // Estimate transit days based on postal code zones
-  const transitDays = estimateTransitDays(origin.postalCode, destination.postalCode);
+  const transitDays = estimateTransitDays(origin.postalCode, destination.postalCode) + (buffer?.transitDays || 0);
+  const transitDaysMax = transitDays + 2 + (buffer?.windowDays || 0);
+  const calendar = createDeliveryCalendar({
+    countryCode: destination.countryCode,
+    exceptions: calendarExceptions,
+  });
   
-  const deliveryDateMin = addBusinessDays(shipDate, transitDays);
-  const deliveryDateMax = addBusinessDays(shipDate, transitDays + 2);
+  const deliveryDateMin = calendar.addDeliveryDays(shipDate, transitDays);
+  const deliveryDateMax = calendar.addDeliveryDays(shipDate, transitDaysMax);
   
   const locationText = formatLocation(destination);
   const dateText = settings.showExactDates
     ? formatDateRange(deliveryDateMin, deliveryDateMax)
-    : formatTransitDays(transitDays);
+    : formatTransitDays(transitDays, transitDaysMax);
 
   return {
     success: true,
@@ -280,23 +1184,6 @@ function estimateTransitDays(originZip, destZip) {
   return 6;                         // Coast-to-coast: 6 days
 }
 
-/**
- * Add business days to a date
- */
-function addBusinessDays(startDate, days) {
-  const result = new Date(startDate);
-  let added = 0;
-  
-  while (added < days) {
-    result.setDate(result.getDate() + 1);
-    if (result.getDay() !== 0 && result.getDay() !== 6) {
-      added++;
-    }
-  }
-  
-  return result;
-}
-
 /**
  * Format a date range for display
  * e.g., "Feb 10 - Feb 12" or "Feb 10 - 12" if same month
@@ -304,6 +1191,10 @@ function addBusinessDays(startDate, days) {
 function formatDateRange(minDate, maxDate) {
   const options = { month: 'short', day: 'numeric' };
   const minStr = minDate.toLocaleDateString('en-US', options);
+
+  if (minDate.toDateString() === maxDate.toDateString()) {
+    return minStr;
+  }
   
   if (minDate.getMonth() === maxDate.getMonth()) {
     return `${minStr} - ${maxDate.getDate()}`;
@@ -317,9 +1208,11 @@ function formatDateRange(minDate, maxDate) {
  * Format transit days for display
  * e.g., "3-5 business days"
  */
-function formatTransitDays(days) {
-  const max = days + 2;
-  return `${days}-${max} business days`;
+function formatTransitDays(days, maxDays = days + 2) {
+  if (maxDays <= days) {
+    return `${days} business days`;
+  }
+  return `${days}-${maxDays} business days`;
 }
 
 /**
@@ -0,0 +1,59 @@
+/**
+ * Freight Lane Service
+ * Stores each shop's LTL freight lane table (origin state → destination state → transit days)
+ */
+
+import prisma from '../db.server.js';
+
+/**
+ * Get all freight lanes for a shop, most specific first
+ * @param {string} shop - Shop domain
+ * @returns {Promise<import('./carriers/types.js').FreightLane[]>}
+ */
+export async function getFreightLanes(shop) {
+  return await prisma.freightLane.findMany({
+    where: { shop },
+    orderBy: [{ originState: 'asc' }, { destinationState: 'asc' }],
+  });
+}
+
+/**
+ * Create or update the lane for an origin/destination pair
+ * @param {string} shop - Shop domain
+ * @param {import('./carriers/types.js').FreightLane} lane
+ */
+export async function saveFreightLane(shop, lane) {
+  const originState = normalizeLaneState(lane.originState);
+  const destinationState = normalizeLaneState(lane.destinationState);
+  const transitDaysMin = Math.max(0, lane.transitDaysMin);
+  const transitDaysMax = Math.max(transitDaysMin, lane.transitDaysMax);
+
+  return await prisma.freightLane.upsert({
+    where: {
+      shop_originState_destinationState: { shop, originState, destinationState },
+    },
+    update: { transitDaysMin, transitDaysMax },
+    create: { shop, originState, destinationState, transitDaysMin, transitDaysMax },
+  });
+}
+
+/**
+ * Delete a freight lane
+ * @param {string} shop - Shop domain
+ * @param {string} id - Lane id
+ */
+export async function deleteFreightLane(shop, id) {
+  return await prisma.freightLane.deleteMany({
+    where: { shop, id },
+  });
+}
+
+/**
+ * Normalize a lane state to an upper-case code; blank means any state ("*")
+ * @param {string} [state]
+ * @returns {string}
+ */
+export function normalizeLaneState(state) {
+  const normalized = (state || '').trim().toUpperCase();
+  return normalized || '*';
+}
@@ -0,0 +1,96 @@
+/**
+ * Fulfillment Capacity Service
+ * Books each new order into a processing day at the warehouse it ships from, so ship dates roll
+ * forward once that warehouse's daily order capacity is used up. Processing days are in each
+ * warehouse's own timezone, so every warehouse is counted separately; "" stands for the
+ * AppSettings address of shops without synced warehouses.
+ */
+
+import prisma from '../db.server.js';
+
+// Bookings are only needed until their processing day has passed
+const BOOKING_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Concurrent bookings for the same shop conflict and are retried
+const MAX_BOOKING_ATTEMPTS = 5;
+const RETRYABLE_ERROR_CODES = [
+  'P2002', // Unique constraint: a duplicate webhook booked the same order
+  'P2034', // Write conflict or deadlock with another booking
+];
+
+/**
+ * Orders booked into each processing day, per warehouse
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object<string, Object<string, number>>>} Order count keyed by warehouse
+ *   location id ("" for the AppSettings address), then by processing day (YYYY-MM-DD)
+ */
+export async function getBookedOrderCounts(shop) {
+  const groups = await prisma.capacityOrder.groupBy({
+    by: ['locationId', 'processingDay'],
+    where: { shop },
+    _count: { _all: true },
+  });
+  const counts = {};
+
+  for (const group of groups) {
+    counts[group.locationId] = { ...counts[group.locationId], [group.processingDay]: group._count._all };
+  }
+
+  return counts;
+}
+
+/**
+ * Book an order into a processing day
+ * The day is chosen from the current counts and booked in one serializable transaction, so two
+ * orders can't both take a day's last slot. Webhooks can be delivered more than once; an order
+ * that is already booked keeps its day.
+ *
+ * @param {string} shop - Shop domain
+ * @param {string} orderId - Numeric Shopify order id
+ * @param {string} locationId - Warehouse location id the order ships from, or "" for the
+ *   AppSettings address
+ * @param {(orderCounts: Object<string, number>) => string|null} chooseDay - Picks the
+ *   processing day (YYYY-MM-DD) from the orders booked per day at that warehouse
+ * @returns {Promise<string|null>} Processing day, or null when chooseDay found none
+ */
+export async function bookOrder(shop, orderId, locationId, chooseDay) {
+  await prisma.capacityOrder.deleteMany({
+    where: { shop, createdAt: { lt: new Date(Date.now() - BOOKING_RETENTION_MS) } },
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const existing = await tx.capacityOrder.findUnique({
+          where: { shop_orderId: { shop, orderId } },
+        });
+
+        if (existing) {
+          return existing.processingDay;
+        }
+
+        const processingDay = chooseDay(await countBookings(tx, shop, locationId));
+
+        if (processingDay) {
+          await tx.capacityOrder.create({ data: { shop, orderId, locationId, processingDay } });
+        }
+
+        return processingDay;
+      }, { isolationLevel: 'Serializable' });
+    } catch (error) {
+      if (!RETRYABLE_ERROR_CODES.includes(error.code) || attempt >= MAX_BOOKING_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+async function countBookings(client, shop, locationId) {
+  const groups = await client.capacityOrder.groupBy({
+    by: ['processingDay'],
+    where: { shop, locationId },
+    _count: { _all: true },
+  });
+
+  return Object.fromEntries(groups.map((group) => [group.processingDay, group._count._all]));
+}
@@ -0,0 +1,90 @@
+/**
+ * Local GeoIP provider
+ * Looks shopper IPs up in an MMDB file on disk (MaxMind GeoLite2 City or DB-IP City Lite), so
+ * no shopper IP leaves the server and lookups take microseconds. The file is watched and
+ * reloaded when `npm run geoip:update` (or anything else) replaces it.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import maxmind from 'maxmind';
+
+export const DEFAULT_GEOIP_DATABASE_PATH = 'data/GeoLite2-City.mmdb';
+
+// A missing database is checked for again after this long, so a first download is picked up
+const MISSING_RETRY_MS = 60 * 1000;
+
+let readerPromise = null;
+let missingSince = 0;
+
+/**
+ * Path of the MMDB file (GEOIP_DATABASE_PATH, relative to the working directory)
+ * @returns {string}
+ */
+export function getGeoIPDatabasePath() {
+  // eslint-disable-next-line no-undef
+  return path.resolve(process.env.GEOIP_DATABASE_PATH || DEFAULT_GEOIP_DATABASE_PATH);
+}
+
+/**
+ * Look an IP up in the local database
+ * @param {string} ip - Public IPv4 or IPv6 address
+ * @returns {Promise<Omit<import('./geolocation.js').GeoLocation, 'source'>|null>} null when the
+ *   database is missing or has no record for the IP
+ */
+export async function lookupGeoIP(ip) {
+  if (!ip || !maxmind.validate(ip)) {
+    return null;
+  }
+
+  const reader = await getReader();
+  const record = reader?.get(ip);
+
+  if (!record) {
+    return null;
+  }
+
+  return {
+    city: record.city?.names?.en || '',
+    region: record.subdivisions?.[0]?.iso_code || '',
+    postalCode: record.postal?.code || '',
+    countryCode: record.country?.iso_code || record.registered_country?.iso_code || '',
+    latitude: record.location?.latitude,
+    longitude: record.location?.longitude,
+  };
+}
+
+async function getReader() {
+  if (readerPromise) {
+    return readerPromise;
+  }
+
+  if (missingSince && Date.now() - missingSince < MISSING_RETRY_MS) {
+    return null;
+  }
+
+  const databasePath = getGeoIPDatabasePath();
+
+  if (!fs.existsSync(databasePath)) {
+    if (!missingSince) {
+      console.warn(`[GeoIP] No database at ${databasePath}; run "npm run geoip:update" to download one`);
+    }
+    missingSince = Date.now();
+    return null;
+  }
+
+  missingSince = 0;
+  readerPromise = maxmind.open(databasePath, {
+    watchForUpdates: true,
+    // Don't keep the process alive just to watch the file
+    watchForUpdatesNonPersistent: true,
+    watchForUpdatesHook: () => console.log(`[GeoIP] Reloaded ${databasePath}`),
+  }).catch((error) => {
+    console.error(`[GeoIP] Failed to open ${databasePath}:`, error.message);
+    readerPromise = null;
+    missingSince = Date.now();
+    return null;
+  });
+
+  return readerPromise;
+}
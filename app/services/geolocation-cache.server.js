@@ -0,0 +1,106 @@
+/**
+ * Geolocation cache
+ * Sits in front of IP and postal code lookups, so a shopper browsing several products is located
+ * once. Lookups that find nothing are cached briefly too, so a bad ZIP or an unknown IP doesn't
+ * hit the fallback APIs on every page view. Failed lookups (timeouts, error responses) aren't
+ * cached, so one upstream blip doesn't pin shoppers to the default location. IPs are hashed
+ * before they are used as keys.
+ *
+ * Configuration:
+ *   GEOLOCATION_CACHE_STORE                - "memory" (default, in-process LRU) or "prisma" (shared across instances)
+ *   GEOLOCATION_CACHE_TTL_SECONDS          - Lifetime of found locations, defaults to 24 hours
+ *   GEOLOCATION_CACHE_NEGATIVE_TTL_SECONDS - Lifetime of "not found" results, defaults to 5 minutes
+ */
+
+import crypto from 'node:crypto';
+import prisma from '../db.server.js';
+import { MemoryCacheStore, PrismaCacheStore } from './cache.js';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_NEGATIVE_TTL_SECONDS = 5 * 60;
+
+const ttlMs = (Number(process.env.GEOLOCATION_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000;
+const negativeTtlMs = (Number(process.env.GEOLOCATION_CACHE_NEGATIVE_TTL_SECONDS) || DEFAULT_NEGATIVE_TTL_SECONDS) * 1000;
+
+const store = process.env.GEOLOCATION_CACHE_STORE === 'prisma'
+  ? new PrismaCacheStore(prisma, 'geo')
+  : new MemoryCacheStore({ maxEntries: 50000 });
+
+export const GEOLOCATION_CACHE_KINDS = {
+  IP: 'ip',
+  POSTAL_CODE: 'postal',
+};
+
+// Hits and misses per kind since the process started
+const stats = Object.fromEntries(
+  Object.values(GEOLOCATION_CACHE_KINDS).map((kind) => [kind, { hits: 0, negativeHits: 0, misses: 0 }])
+);
+
+/**
+ * Build the cache key for an IP lookup
+ * @param {string} ip - Cleaned public IP address
+ * @returns {string}
+ */
+export function buildIPCacheKey(ip) {
+  return `${GEOLOCATION_CACHE_KINDS.IP}|${crypto.createHash('sha256').update(ip).digest('hex')}`;
+}
+
+/**
+ * Build the cache key for a postal code lookup
+ * @param {string} postalCode - Normalized postal code
+ * @param {string} countryCode - ISO country code
+ * @returns {string}
+ */
+export function buildPostalCodeCacheKey(postalCode, countryCode) {
+  return `${GEOLOCATION_CACHE_KINDS.POSTAL_CODE}|${countryCode}|${postalCode}`;
+}
+
+/**
+ * Return a cached location, or run the lookup and cache what it found (including nothing)
+ *
+ * @param {string} key - Key from buildIPCacheKey or buildPostalCodeCacheKey
+ * @param {() => Promise<import('./geolocation.js').GeoLocation|null>} lookup - Lookup on cache
+ *   miss; resolves null for a definite "not found" and throws when the answer is unknown
+ * @returns {Promise<import('./geolocation.js').GeoLocation|null>} null when not found or failed
+ */
+export async function getCachedLocation(key, lookup) {
+  const counters = stats[key.split('|')[0]];
+  const cached = await store.get(key).catch((error) => {
+    console.warn('[Geolocation Cache] Read failed:', error.message);
+    return undefined;
+  });
+
+  // Entries wrap the location so a cached "not found" (null) isn't mistaken for a miss
+  if (cached) {
+    if (cached.location) {
+      counters.hits++;
+    } else {
+      counters.negativeHits++;
+    }
+    return cached.location;
+  }
+
+  counters.misses++;
+  let location;
+
+  try {
+    location = await lookup();
+  } catch (error) {
+    console.warn('[Geolocation Cache] Lookup failed, not caching:', error.message);
+    return null;
+  }
+
+  await store.set(key, { location }, location ? ttlMs : negativeTtlMs).catch((error) => {
+    console.warn('[Geolocation Cache] Write failed:', error.message);
+  });
+
+  return location;
+}
+
+/**
+ * Hit and miss counts for this process
+ * @returns {Record<string, {hits: number, negativeHits: number, misses: number}>} By kind
+ */
+export function getGeolocationCacheStats() {
+  return structuredClone(stats);
+}
@@ -1,10 +1,16 @@
 /**
  * Geolocation service for automatically determining user location
- * Uses public IP-based geolocation APIs - no browser permissions required
- * 
- * This service provides fallback mechanisms to ensure reliable location detection
+ * Looks IPs up in a local GeoIP database first - no browser permissions required, and shopper
+ * IPs stay on the server. Public IP geolocation APIs can be enabled as a fallback chain with
+ * GEOLOCATION_HTTP_FALLBACK (comma-separated service names, tried in order). IP and postal code
+ * results are cached (see geolocation-cache.server.js).
  */
 
+import { lookupGeoIP } from './geoip.js';
+import { normalizeIP, isPublicIP, parseCIDR, createCIDRMatcher, CIDR_PRESETS } from './ip-address.js';
+import { normalizePostalCode, lookupPostalCode } from './postal-codes.js';
+import { getCachedLocation, buildIPCacheKey, buildPostalCodeCacheKey } from './geolocation-cache.server.js';
+
 /**
  * @typedef {Object} GeoLocation
  * @property {string} city - City name
@@ -16,11 +22,14 @@
  * @property {string} source - Which service provided the data
  */
 
-// List of free geolocation APIs to try (in order of preference)
-const GEOLOCATION_SERVICES = [
+const DEFAULT_HTTP_TIMEOUT_MS = 3000;
+
+// Free geolocation APIs that can be enabled as fallbacks, by name
+// ip-api's free tier is plain HTTP only
+const HTTP_GEOLOCATION_SERVICES = [
   {
     name: 'ip-api',
-    url: (ip) => `http://ip-api.com/json/${ip || ''}?fields=status,city,region,zip,countryCode,lat,lon`,
+    url: (ip) => `http://ip-api.com/json/${ip}?fields=status,city,region,zip,countryCode,lat,lon`,
     parse: (data) => {
       if (data.status !== 'success') return null;
       return {
@@ -35,7 +44,7 @@ const GEOLOCATION_SERVICES = [
   },
   {
     name: 'ipapi.co',
-    url: (ip) => `https://ipapi.co/${ip || 'json'}/json/`,
+    url: (ip) => `https://ipapi.co/${ip}/json/`,
     parse: (data) => {
       if (data.error) return null;
       return {
@@ -50,7 +59,7 @@ const GEOLOCATION_SERVICES = [
   },
   {
     name: 'ipinfo.io',
-    url: (ip) => `https://ipinfo.io/${ip || ''}/json`,
+    url: (ip) => `https://ipinfo.io/${ip}/json`,
     parse: (data) => {
       if (!data.city) return null;
       const [lat, lon] = (data.loc || '').split(',').map(Number);
@@ -67,28 +76,85 @@ const GEOLOCATION_SERVICES = [
 ];
 
 /**
- * Get location from IP address using public geolocation APIs
- * Tries multiple services with fallback
+ * HTTP geolocation services enabled by GEOLOCATION_HTTP_FALLBACK, in order
+ * Unknown names are skipped with a warning.
+ *
+ * @returns {Array<{name: string, url: Function, parse: Function}>}
+ */
+function getHttpFallbackChain() {
+  // eslint-disable-next-line no-undef
+  return (process.env.GEOLOCATION_HTTP_FALLBACK || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const service = HTTP_GEOLOCATION_SERVICES.find((s) => s.name === name);
+      if (!service) {
+        console.warn(`Unknown geolocation service "${name}" in GEOLOCATION_HTTP_FALLBACK`);
+      }
+      return service;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get location from IP address
+ * Tries the local GeoIP database, then each enabled HTTP service. Only a location with a
+ * postal code counts, since transit times need one.
  * 
- * @param {string} [ipAddress] - IP address to geolocate (uses requester's IP if not provided)
- * @returns {Promise<GeoLocation|null>}
+ * @param {string} [ipAddress] - IP address to geolocate
+ * @returns {Promise<GeoLocation|null>} null when the IP is missing, private or reserved, or not found
  */
 export async function getLocationFromIP(ipAddress) {
-  // Clean up the IP address (handle IPv6-mapped IPv4, proxied IPs, etc.)
-  const cleanIP = cleanIPAddress(ipAddress);
+  // Private and reserved addresses can't be geolocated. HTTP services given no IP would
+  // locate the app server instead of the shopper, so nothing is looked up or cached.
+  const cleanIP = isPublicIP(ipAddress) ? normalizeIP(ipAddress) : '';
+
+  if (!cleanIP) {
+    return null;
+  }
+
+  return getCachedLocation(buildIPCacheKey(cleanIP), () => lookupLocationFromIP(cleanIP));
+}
+
+/**
+ * Geolocate a cleaned IP, bypassing the cache
+ * @param {string} cleanIP
+ * @returns {Promise<GeoLocation|null>} null when every source answered without a location
+ * @throws {Error} When a source failed (timeout, error status) and none found the IP, so the
+ *   miss isn't cached
+ */
+async function lookupLocationFromIP(cleanIP) {
+  let failed = false;
+
+  try {
+    const location = await lookupGeoIP(cleanIP);
+    if (location && location.postalCode) {
+      return {
+        ...location,
+        source: 'mmdb',
+      };
+    }
+  } catch (error) {
+    console.warn('Local GeoIP lookup failed:', error.message);
+    failed = true;
+  }
+
+  // eslint-disable-next-line no-undef
+  const timeoutMs = Number(process.env.GEOLOCATION_HTTP_TIMEOUT_MS) || DEFAULT_HTTP_TIMEOUT_MS;
   
-  for (const service of GEOLOCATION_SERVICES) {
+  for (const service of getHttpFallbackChain()) {
     try {
       const response = await fetch(service.url(cleanIP), {
         headers: {
           'Accept': 'application/json',
         },
-        // Timeout after 3 seconds per service
-        signal: AbortSignal.timeout(3000),
+        signal: AbortSignal.timeout(timeoutMs),
       });
 
       if (!response.ok) {
         console.warn(`Geolocation service ${service.name} returned ${response.status}`);
+        failed = true;
         continue;
       }
 
@@ -103,95 +169,97 @@ export async function getLocationFromIP(ipAddress) {
       }
     } catch (error) {
       console.warn(`Geolocation service ${service.name} failed:`, error.message);
+      failed = true;
       continue;
     }
   }
 
-  console.error('All geolocation services failed');
+  if (failed) {
+    throw new Error('Geolocation sources failed');
+  }
+
+  console.warn('No geolocation result from the GeoIP database or fallback services');
   return null;
 }
 
-/**
- * Clean up IP address for geolocation lookup
- * Handles various IP formats from different proxy/CDN setups
- */
-function cleanIPAddress(ip) {
-  if (!ip) return '';
-  
-  // Handle comma-separated IPs (from X-Forwarded-For)
-  if (ip.includes(',')) {
-    ip = ip.split(',')[0].trim();
-  }
-  
-  // Handle IPv6-mapped IPv4 (::ffff:192.168.1.1)
-  if (ip.startsWith('::ffff:')) {
-    ip = ip.substring(7);
-  }
-  
-  // Don't look up localhost/private IPs
-  if (isPrivateIP(ip)) {
-    return '';
-  }
-  
-  return ip;
-}
+let trustedProxyMatcher = null;
 
 /**
- * Check if an IP is private/local (can't be geolocated)
+ * Matcher for TRUSTED_PROXIES: comma-separated CIDRs, addresses, or presets (e.g. "cloudflare")
+ * of the proxies between shoppers and the app. Invalid entries are skipped with a warning.
+ *
+ * @returns {(ip: string) => boolean}
  */
-function isPrivateIP(ip) {
-  if (!ip) return true;
-  
-  // IPv4 private ranges
-  if (ip.startsWith('10.') ||
-      ip.startsWith('192.168.') ||
-      ip.startsWith('172.16.') ||
-      ip.startsWith('172.17.') ||
-      ip.startsWith('172.18.') ||
-      ip.startsWith('172.19.') ||
-      ip.startsWith('172.2') ||
-      ip.startsWith('172.30.') ||
-      ip.startsWith('172.31.') ||
-      ip === '127.0.0.1' ||
-      ip === 'localhost' ||
-      ip === '::1') {
-    return true;
+function getTrustedProxyMatcher() {
+  if (!trustedProxyMatcher) {
+    // eslint-disable-next-line no-undef
+    const ranges = (process.env.TRUSTED_PROXIES || '')
+      .split(',')
+      .map((range) => range.trim())
+      .filter(Boolean)
+      .filter((range) => {
+        if (CIDR_PRESETS[range.toLowerCase()] || parseCIDR(range)) {
+          return true;
+        }
+        console.warn(`Invalid CIDR range "${range}" in TRUSTED_PROXIES`);
+        return false;
+      });
+
+    trustedProxyMatcher = createCIDRMatcher(ranges);
   }
-  
-  return false;
+
+  return trustedProxyMatcher;
 }
 
 /**
  * Get client IP from request headers
- * Handles various proxy/CDN setups (Cloudflare, nginx, etc.)
+ * Walks X-Forwarded-For from the right, where each proxy appends the address it received the
+ * request from, and skips trusted proxies (TRUSTED_PROXIES) and private hops. The first other
+ * address is the shopper: anything to its left came from the shopper and could be spoofed.
+ * Headers like CF-Connecting-IP aren't used, since a shopper can send them too.
+ *
+ * Assumes the app is reached through a load balancer or tunnel that appends to
+ * X-Forwarded-For, as hosting platforms and `shopify app dev` do.
+ *
+ * Requests through the Shopify app proxy reach the app from Shopify's servers, whose addresses
+ * aren't published. Once the proxy signature has been verified, the first untrusted hop is
+ * Shopify's server and is skipped too; the one before it is the address Shopify received the
+ * request from.
  * 
  * @param {Request} request - The incoming request
- * @returns {string|null}
+ * @param {Object} [options]
+ * @param {boolean} [options.appProxy] - Request has a verified Shopify app proxy signature
+ * @returns {string|null} null when the shopper's address is unknown or not public
  */
-export function getClientIP(request) {
-  const headers = request.headers;
-  
-  // Try different headers in order of reliability
-  const ipHeaders = [
-    'cf-connecting-ip',        // Cloudflare
-    'x-real-ip',               // nginx
-    'x-forwarded-for',         // Standard proxy header
-    'x-client-ip',             // Various proxies
-    'true-client-ip',          // Akamai
-    'x-cluster-client-ip',     // Various load balancers
-  ];
-  
-  for (const header of ipHeaders) {
-    const value = headers.get(header);
-    if (value) {
-      // X-Forwarded-For may contain multiple IPs, take the first
-      const ip = value.split(',')[0].trim();
-      if (ip && !isPrivateIP(ip)) {
-        return ip;
-      }
+export function getClientIP(request, { appProxy = false } = {}) {
+  const isTrustedProxy = getTrustedProxyMatcher();
+  const hops = (request.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+
+  let shopifyHops = appProxy ? 1 : 0;
+
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const ip = normalizeIP(hops[i]);
+
+    // A garbled hop can't be attributed to a trusted proxy
+    if (!ip) {
+      return null;
     }
+
+    if (isTrustedProxy(ip) || !isPublicIP(ip)) {
+      continue;
+    }
+
+    if (shopifyHops > 0) {
+      shopifyHops--;
+      continue;
+    }
+
+    return ip;
   }
-  
+
   return null;
 }
 
@@ -212,53 +280,74 @@ export function getDefaultLocation() {
 }
 
 /**
- * Look up city and state from a US postal code
- * Uses the free ZipCodeAPI service
+ * Look up city and region from a postal code
+ * Uses the bundled postal code dataset, falling back to zippopotam.us (free, no API key
+ * required) for codes it doesn't have. Invalid postal codes aren't looked up or cached.
  * 
- * @param {string} postalCode - US ZIP code
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} [countryCode] - Country of the postal code (detected from the format when omitted)
  * @returns {Promise<GeoLocation|null>}
  */
-export async function getLocationFromPostalCode(postalCode) {
+export async function getLocationFromPostalCode(postalCode, countryCode) {
   if (!postalCode) return null;
   
-  // Clean the postal code (remove spaces, dashes, etc.)
-  const cleanZip = postalCode.replace(/[^0-9]/g, '').substring(0, 5);
+  const normalized = normalizePostalCode(postalCode, countryCode);
   
-  if (cleanZip.length !== 5) {
+  if (normalized.error) {
     console.warn(`Invalid postal code format: ${postalCode}`);
     return null;
   }
   
-  try {
-    // Try zippopotam.us (free, no API key required)
-    const response = await fetch(`https://api.zippopotam.us/us/${cleanZip}`, {
-      signal: AbortSignal.timeout(3000),
-    });
-    
-    if (!response.ok) {
-      console.warn(`Postal code lookup failed with status ${response.status}`);
-      return null;
-    }
-    
-    const data = await response.json();
-    
-    if (!data.places || data.places.length === 0) {
-      return null;
-    }
-    
-    const place = data.places[0];
-    
-    return {
-      city: place['place name'],
-      region: place['state abbreviation'],
-      postalCode: cleanZip,
-      countryCode: data['country abbreviation'],
-      latitude: parseFloat(place.latitude),
-      longitude: parseFloat(place.longitude),
-      source: 'postal-code-lookup',
-    };
-  } catch (error) {
-    console.warn(`Postal code lookup failed for ${cleanZip}:`, error.message);
+  return getCachedLocation(
+    buildPostalCodeCacheKey(normalized.postalCode, normalized.countryCode),
+    () => lookupLocationFromPostalCode(normalized)
+  );
+}
+
+/**
+ * Locate a normalized postal code, bypassing the cache
+ * @param {{postalCode: string, countryCode: string}} normalized - From normalizePostalCode
+ * @returns {Promise<GeoLocation|null>} null when the code is unknown
+ * @throws {Error} When zippopotam.us times out or fails, so the miss isn't cached
+ */
+async function lookupLocationFromPostalCode(normalized) {
+  const location = lookupPostalCode(normalized.postalCode, normalized.countryCode);
+  
+  if (location) {
+    return location;
+  }
+  
+  // zippopotam.us knows Canadian codes by FSA only
+  const lookupCode = normalized.countryCode === 'CA' ? normalized.postalCode.slice(0, 3) : normalized.postalCode;
+  
+  const response = await fetch(`https://api.zippopotam.us/${normalized.countryCode.toLowerCase()}/${encodeURIComponent(lookupCode)}`, {
+    signal: AbortSignal.timeout(3000),
+  });
+  
+  // zippopotam.us answers 404 for codes it doesn't know
+  if (response.status === 404) {
     return null;
   }
+  
+  if (!response.ok) {
+    throw new Error(`Postal code lookup failed with status ${response.status}`);
+  }
+  
+  const data = await response.json();
+  
+  if (!data.places || data.places.length === 0) {
+    return null;
+  }
+  
+  const place = data.places[0];
+  
+  return {
+    city: place['place name'],
+    region: place['state abbreviation'],
+    postalCode: normalized.postalCode,
+    countryCode: normalized.countryCode,
+    latitude: parseFloat(place.latitude),
+    longitude: parseFloat(place.longitude),
+    source: 'postal-code-lookup',
+  };
 }
@@ -0,0 +1,113 @@
+/**
+ * Handling time rules
+ * Per-product handling time overrides, matched by variant, product, collection, or tag.
+ * Storage and Admin API lookups live in handling-time.server.js.
+ */
+
+export const HANDLING_RULE_TYPES = {
+  VARIANT: 'variant',
+  PRODUCT: 'product',
+  COLLECTION: 'collection',
+  TAG: 'tag',
+};
+
+// Most specific first
+const RULE_PRIORITY = [
+  HANDLING_RULE_TYPES.VARIANT,
+  HANDLING_RULE_TYPES.PRODUCT,
+  HANDLING_RULE_TYPES.COLLECTION,
+  HANDLING_RULE_TYPES.TAG,
+];
+
+const MAX_HANDLING_DAYS = 60;
+
+/**
+ * @typedef {Object} HandlingTimeRule
+ * @property {string} type - What the rule matches, from HANDLING_RULE_TYPES
+ * @property {string} value - Numeric Shopify id for variants, products and collections; tag
+ *   text (lowercase) for tags
+ * @property {string} [title] - Display name of the matched resource
+ * @property {number} handlingTimeDays - Business days to process the order before shipping
+ */
+
+/**
+ * @typedef {Object} HandlingTimeProduct
+ * @property {string} [variantId] - Numeric variant id
+ * @property {string} [productId] - Numeric product id
+ * @property {string[]} [collectionIds] - Numeric ids of collections containing the product
+ * @property {string[]} [tags] - Product tags
+ * @property {string} [vendor] - Product vendor
+ */
+
+/**
+ * Find the most specific rule for a product
+ * Variant rules win over product rules, then collection rules, then tag rules. When a product
+ * is in several matching collections (or has several matching tags), the longest handling
+ * time wins.
+ *
+ * @param {HandlingTimeRule[]} rules
+ * @param {HandlingTimeProduct} product
+ * @returns {HandlingTimeRule|undefined}
+ */
+export function findHandlingTimeRule(rules, product) {
+  const matchValues = {
+    [HANDLING_RULE_TYPES.VARIANT]: product.variantId ? [product.variantId] : [],
+    [HANDLING_RULE_TYPES.PRODUCT]: product.productId ? [product.productId] : [],
+    [HANDLING_RULE_TYPES.COLLECTION]: product.collectionIds || [],
+    [HANDLING_RULE_TYPES.TAG]: (product.tags || []).map(normalizeTag),
+  };
+
+  for (const type of RULE_PRIORITY) {
+    const match = rules
+      .filter((rule) => rule.type === type && matchValues[type].includes(rule.value))
+      .sort((a, b) => b.handlingTimeDays - a.handlingTimeDays)[0];
+
+    if (match) {
+      return match;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Validate and normalize a rule entered by the merchant
+ * @param {Object} input - Raw type, value, title, handlingTimeDays
+ * @returns {{rule?: HandlingTimeRule, error?: string}}
+ */
+export function normalizeHandlingTimeRule(input) {
+  const type = String(input.type || '').trim().toLowerCase();
+  const handlingTimeDays = parseInt(input.handlingTimeDays, 10);
+
+  if (!Object.values(HANDLING_RULE_TYPES).includes(type)) {
+    return { error: `Unknown rule type "${input.type}"` };
+  }
+
+  const value = type === HANDLING_RULE_TYPES.TAG ? normalizeTag(input.value) : toNumericId(input.value);
+
+  if (!value) {
+    return { error: type === HANDLING_RULE_TYPES.TAG ? 'Enter a product tag' : `Choose a ${type}` };
+  }
+
+  if (isNaN(handlingTimeDays) || handlingTimeDays < 0 || handlingTimeDays > MAX_HANDLING_DAYS) {
+    return { error: `Handling time must be between 0 and ${MAX_HANDLING_DAYS} business days` };
+  }
+
+  const title = String(input.title || '').trim() || (type === HANDLING_RULE_TYPES.TAG ? value : `#${value}`);
+
+  return { rule: { type, value, title, handlingTimeDays } };
+}
+
+/**
+ * Numeric id from a Shopify GID ("gid://shopify/Product/123") or plain id ("123")
+ * @param {string|number} id
+ * @returns {string} Numeric id, or "" if the input isn't an id
+ */
+export function toNumericId(id) {
+  const match = /(?:^|\/)(\d+)$/.exec(String(id ?? '').trim());
+  return match ? match[1] : '';
+}
+
+function normalizeTag(tag) {
+  return String(tag || '').trim().toLowerCase();
+}
@@ -0,0 +1,159 @@
+/**
+ * Handling Time Rule Service
+ * Stores each shop's handling time overrides and resolves the handling time for a product.
+ * Collection and tag rules need the product's collections and tags, which are read from the
+ * Admin API (read_products scope) and cached briefly.
+ */
+
+import prisma from '../db.server.js';
+import { unauthenticated } from '../shopify.server.js';
+import { MemoryCacheStore } from './cache.js';
+import { HANDLING_RULE_TYPES, findHandlingTimeRule, toNumericId } from './handling-time.js';
+
+const PRODUCT_TTL_MS = 10 * 60 * 1000;
+
+const productStore = new MemoryCacheStore({ maxEntries: 5000 });
+
+const PRODUCT_FIELDS = `
+  id
+  vendor
+  tags
+  collections(first: 250) {
+    nodes {
+      id
+    }
+  }
+`;
+
+const PRODUCT_QUERY = `#graphql
+  query HandlingTimeProduct($id: ID!) {
+    product(id: $id) {
+      ${PRODUCT_FIELDS}
+    }
+  }
+`;
+
+const VARIANT_QUERY = `#graphql
+  query HandlingTimeVariant($id: ID!) {
+    productVariant(id: $id) {
+      product {
+        ${PRODUCT_FIELDS}
+      }
+    }
+  }
+`;
+
+/**
+ * Get all handling time rules for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<import('./handling-time.js').HandlingTimeRule[]>}
+ */
+export async function getHandlingTimeRules(shop) {
+  return await prisma.handlingTimeRule.findMany({
+    where: { shop },
+    orderBy: [{ type: 'asc' }, { title: 'asc' }],
+  });
+}
+
+/**
+ * Create or update the rule for a type/value pair
+ * @param {string} shop - Shop domain
+ * @param {import('./handling-time.js').HandlingTimeRule} rule - Normalized rule
+ */
+export async function saveHandlingTimeRule(shop, rule) {
+  const { type, value, title, handlingTimeDays } = rule;
+
+  return await prisma.handlingTimeRule.upsert({
+    where: { shop_type_value: { shop, type, value } },
+    update: { title, handlingTimeDays },
+    create: { shop, type, value, title, handlingTimeDays },
+  });
+}
+
+/**
+ * Delete a handling time rule
+ * @param {string} shop - Shop domain
+ * @param {string} id - Rule id
+ */
+export async function deleteHandlingTimeRule(shop, id) {
+  return await prisma.handlingTimeRule.deleteMany({
+    where: { shop, id },
+  });
+}
+
+/**
+ * Resolve the handling time for a product, falling back to the shop default
+ * @param {Object} settings - App settings
+ * @param {Object} [product]
+ * @param {string} [product.productId] - Product id or GID
+ * @param {string} [product.variantId] - Variant id or GID
+ * @returns {Promise<{handlingTimeDays: number, rule?: import('./handling-time.js').HandlingTimeRule}>}
+ */
+export async function resolveHandlingTime(settings, { productId, variantId } = {}) {
+  const fallback = { handlingTimeDays: settings.handlingTimeDays };
+  const ids = { productId: toNumericId(productId), variantId: toNumericId(variantId) };
+
+  if (!ids.productId && !ids.variantId) {
+    return fallback;
+  }
+
+  const rules = await getHandlingTimeRules(settings.shop);
+  let rule = findHandlingTimeRule(rules, ids);
+
+  // Variant and product rules match on the ids alone; anything else needs the product's details
+  const needsDetails = rules.some((r) =>
+    r.type === HANDLING_RULE_TYPES.COLLECTION ||
+    r.type === HANDLING_RULE_TYPES.TAG ||
+    (r.type === HANDLING_RULE_TYPES.PRODUCT && !ids.productId)
+  );
+
+  if (!rule && needsDetails) {
+    const details = await getProductDetails(settings.shop, ids);
+    if (details) {
+      rule = findHandlingTimeRule(rules, { ...details, variantId: ids.variantId });
+    }
+  }
+
+  return rule ? { handlingTimeDays: rule.handlingTimeDays, rule } : fallback;
+}
+
+/**
+ * Product id, collections, tags and vendor from the Admin API, cached per product/variant
+ * @param {string} shop - Shop domain
+ * @param {{productId?: string, variantId?: string}} ids - Numeric ids
+ * @returns {Promise<import('./handling-time.js').HandlingTimeProduct|null>}
+ */
+export async function getProductDetails(shop, { productId, variantId }) {
+  const key = `${shop}|${variantId ? `variant:${variantId}` : `product:${productId}`}`;
+  const cached = await productStore.get(key);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const response = variantId
+      ? await admin.graphql(VARIANT_QUERY, { variables: { id: `gid://shopify/ProductVariant/${variantId}` } })
+      : await admin.graphql(PRODUCT_QUERY, { variables: { id: `gid://shopify/Product/${productId}` } });
+    const { data } = await response.json();
+    const product = variantId ? data?.productVariant?.product : data?.product;
+
+    if (!product) {
+      return null;
+    }
+
+    const details = {
+      productId: toNumericId(product.id),
+      collectionIds: product.collections.nodes.map((c) => toNumericId(c.id)),
+      tags: product.tags,
+      vendor: product.vendor,
+    };
+
+    await productStore.set(key, details, PRODUCT_TTL_MS);
+    return details;
+  } catch (error) {
+    console.error(`[Handling Time] Product lookup failed for ${shop}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * IP address helpers
+ * Normalizes addresses as they appear in proxy headers and matches them against CIDR ranges,
+ * for IPv4 and IPv6. IPv4-mapped IPv6 addresses (::ffff:203.0.113.7) are treated as IPv4.
+ */
+
+import net from 'node:net';
+
+// Ranges that are never a shopper's public address: unspecified, private, shared (CGNAT),
+// loopback, link-local, documentation, benchmarking, multicast and reserved
+const NON_PUBLIC_RANGES = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.0.2.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '198.51.100.0/24',
+  '203.0.113.0/24',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/128',
+  '::1/128',
+  '100::/64',
+  '2001:db8::/32',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8',
+];
+
+// Published at https://www.cloudflare.com/ips/
+const CLOUDFLARE_RANGES = [
+  '173.245.48.0/20',
+  '103.21.244.0/22',
+  '103.22.200.0/22',
+  '103.31.4.0/22',
+  '141.101.64.0/18',
+  '108.162.192.0/18',
+  '190.93.240.0/20',
+  '188.114.96.0/20',
+  '197.234.240.0/22',
+  '198.41.128.0/17',
+  '162.158.0.0/15',
+  '104.16.0.0/13',
+  '104.24.0.0/14',
+  '172.64.0.0/13',
+  '131.0.72.0/22',
+  '2400:cb00::/32',
+  '2606:4700::/32',
+  '2803:f800::/32',
+  '2405:b500::/32',
+  '2405:8100::/32',
+  '2a06:98c0::/29',
+  '2c0f:f248::/32',
+];
+
+/**
+ * Named range lists that can be used in place of CIDRs
+ */
+export const CIDR_PRESETS = {
+  cloudflare: CLOUDFLARE_RANGES,
+};
+
+/**
+ * Normalize an address from a header: strips ports, brackets and IPv6 zone indexes, lowercases,
+ * and unwraps IPv4-mapped IPv6
+ * @param {string} value - e.g. "203.0.113.7:443", "[2001:DB8::1]:443", "::ffff:203.0.113.7"
+ * @returns {string|null} null when it isn't an IP address
+ */
+export function normalizeIP(value) {
+  let ip = String(value || '').trim();
+
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+
+  if (bracketed) {
+    ip = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(ip)) {
+    ip = ip.split(':')[0];
+  }
+
+  ip = ip.replace(/%.*$/, '').toLowerCase();
+
+  if (!net.isIP(ip)) {
+    return null;
+  }
+
+  const mapped = ip.match(/^(?:0{0,4}:){0,5}:?ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+
+  if (mapped) {
+    if (mapped[1]) {
+      return mapped[1];
+    }
+
+    const high = parseInt(mapped[2], 16);
+    const low = parseInt(mapped[3], 16);
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+
+  return ip;
+}
+
+/**
+ * Parse a CIDR range; a bare address is a single-host range
+ * @param {string} value - e.g. "10.0.0.0/8", "2001:db8::/32" or "203.0.113.7"
+ * @returns {{address: string, prefix: number, family: 'ipv4'|'ipv6'}|null} null when invalid
+ */
+export function parseCIDR(value) {
+  const [addressText, prefixText, ...rest] = String(value || '').trim().split('/');
+  const address = normalizeIP(addressText);
+
+  if (!address || rest.length > 0 || (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText))) {
+    return null;
+  }
+
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  const maxPrefix = family === 'ipv4' ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+  if (prefix > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix, family };
+}
+
+/**
+ * Build a matcher for a list of CIDR ranges and preset names
+ * @param {string[]} ranges - CIDRs, bare addresses, or CIDR_PRESETS names
+ * @returns {(ip: string) => boolean}
+ * @throws {Error} When a range is neither a valid CIDR nor a preset
+ */
+export function createCIDRMatcher(ranges) {
+  const blockList = new net.BlockList();
+
+  for (const range of ranges) {
+    const preset = CIDR_PRESETS[String(range).trim().toLowerCase()];
+
+    for (const entry of preset || [range]) {
+      const cidr = parseCIDR(entry);
+
+      if (!cidr) {
+        throw new Error(`Invalid CIDR range "${entry}"`);
+      }
+
+      blockList.addSubnet(cidr.address, cidr.prefix, cidr.family);
+    }
+  }
+
+  return (ip) => {
+    const address = normalizeIP(ip);
+    return !!address && blockList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+  };
+}
+
+const isNonPublicIP = createCIDRMatcher(NON_PUBLIC_RANGES);
+
+/**
+ * Whether an address can be a shopper's public address (and so can be geolocated)
+ * @param {string} ip
+ * @returns {boolean}
+ */
+export function isPublicIP(ip) {
+  return !!normalizeIP(ip) && !isNonPublicIP(ip);
+}
@@ -0,0 +1,148 @@
+/**
+ * Manual Transit Table Service
+ * Stores each shop's manual transit table and converts it to and from CSV
+ */
+
+import prisma from '../db.server.js';
+import { MANUAL_RULE_TYPES } from './carriers/types.js';
+import { parseZip3Range } from './carriers/manual-carrier.js';
+
+const CSV_COLUMNS = ['type', 'value', 'min_days', 'max_days'];
+
+/**
+ * Get all manual transit rules for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<import('./carriers/types.js').ManualTransitRule[]>}
+ */
+export async function getManualTransitRules(shop) {
+  return await prisma.manualTransitRule.findMany({
+    where: { shop },
+    orderBy: [{ type: 'asc' }, { value: 'asc' }],
+  });
+}
+
+/**
+ * Create or update the rule for a type/value pair
+ * @param {string} shop - Shop domain
+ * @param {import('./carriers/types.js').ManualTransitRule} rule - Normalized rule
+ */
+export async function saveManualTransitRule(shop, rule) {
+  const { type, value, transitDaysMin, transitDaysMax } = rule;
+
+  return await prisma.manualTransitRule.upsert({
+    where: { shop_type_value: { shop, type, value } },
+    update: { transitDaysMin, transitDaysMax },
+    create: { shop, type, value, transitDaysMin, transitDaysMax },
+  });
+}
+
+/**
+ * Delete a manual transit rule
+ * @param {string} shop - Shop domain
+ * @param {string} id - Rule id
+ */
+export async function deleteManualTransitRule(shop, id) {
+  return await prisma.manualTransitRule.deleteMany({
+    where: { shop, id },
+  });
+}
+
+/**
+ * Import rules, optionally replacing the whole table
+ * @param {string} shop - Shop domain
+ * @param {import('./carriers/types.js').ManualTransitRule[]} rules - Normalized rules
+ * @param {boolean} [replace] - Delete existing rules first
+ */
+export async function importManualTransitRules(shop, rules, replace = false) {
+  await prisma.$transaction([
+    ...(replace ? [prisma.manualTransitRule.deleteMany({ where: { shop } })] : []),
+    ...rules.map(({ type, value, transitDaysMin, transitDaysMax }) =>
+      prisma.manualTransitRule.upsert({
+        where: { shop_type_value: { shop, type, value } },
+        update: { transitDaysMin, transitDaysMax },
+        create: { shop, type, value, transitDaysMin, transitDaysMax },
+      })
+    ),
+  ]);
+}
+
+/**
+ * Validate and normalize a rule entered by the merchant
+ * @param {Object} input - Raw type, value, transitDaysMin, transitDaysMax
+ * @returns {{rule?: import('./carriers/types.js').ManualTransitRule, error?: string}}
+ */
+export function normalizeManualTransitRule(input) {
+  const type = String(input.type || '').trim().toLowerCase();
+  let value = String(input.value || '').trim().toUpperCase();
+  const transitDaysMin = parseInt(input.transitDaysMin, 10);
+  const transitDaysMax = input.transitDaysMax === '' || input.transitDaysMax == null
+    ? transitDaysMin
+    : parseInt(input.transitDaysMax, 10);
+
+  if (!Object.values(MANUAL_RULE_TYPES).includes(type)) {
+    return { error: `Unknown rule type "${input.type}" (use zip3, state, or country)` };
+  }
+
+  if (type === MANUAL_RULE_TYPES.ZIP3) {
+    const range = parseZip3Range(value);
+    if (!range) {
+      return { error: `Invalid ZIP3 range "${input.value}" (use e.g. 303 or 100-149)` };
+    }
+    value = range.start === range.end
+      ? formatZip3(range.start)
+      : `${formatZip3(range.start)}-${formatZip3(range.end)}`;
+  } else if (!/^[A-Z]{2,3}$/.test(value)) {
+    return { error: `Invalid ${type} code "${input.value}"` };
+  }
+
+  if (isNaN(transitDaysMin) || isNaN(transitDaysMax) || transitDaysMin < 0 || transitDaysMax < transitDaysMin) {
+    return { error: `Invalid transit days for ${type} ${value}` };
+  }
+
+  return { rule: { type, value, transitDaysMin, transitDaysMax } };
+}
+
+/**
+ * Parse a CSV export of the table (columns: type, value, min_days, max_days)
+ * Invalid rows are reported by line number and skipped
+ *
+ * @param {string} csv
+ * @returns {{rules: import('./carriers/types.js').ManualTransitRule[], errors: string[]}}
+ */
+export function parseManualTransitCsv(csv) {
+  const rules = [];
+  const errors = [];
+
+  csv.split(/\r?\n/).forEach((line, index) => {
+    const cells = line.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+    if (!line.trim() || (index === 0 && cells[0].toLowerCase() === CSV_COLUMNS[0])) {
+      return;
+    }
+
+    const [type, value, transitDaysMin, transitDaysMax] = cells;
+    const { rule, error } = normalizeManualTransitRule({ type, value, transitDaysMin, transitDaysMax });
+
+    if (error) {
+      errors.push(`Line ${index + 1}: ${error}`);
+    } else {
+      rules.push(rule);
+    }
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Serialize rules as CSV
+ * @param {import('./carriers/types.js').ManualTransitRule[]} rules
+ * @returns {string}
+ */
+export function toManualTransitCsv(rules) {
+  const rows = rules.map((rule) => [rule.type, rule.value, rule.transitDaysMin, rule.transitDaysMax].join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function formatZip3(zip3) {
+  return String(zip3).padStart(3, '0');
+}
@@ -0,0 +1,125 @@
+/**
+ * Postal code validation and lookups
+ * Normalizes US ZIP codes, Canadian postal codes and Mexican códigos postales, and finds their
+ * centroid and region in the bundled dataset in data/postal-codes (rebuilt with
+ * `npm run postal-codes:build`). Canadian codes are looked up by FSA, their first three
+ * characters. Other countries pass through unvalidated.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const POSTAL_CODE_DATA_DIR = 'data/postal-codes';
+
+const POSTAL_CODE_FORMATS = {
+  US: {
+    // ZIP+4 is accepted; estimates only need the 5-digit ZIP
+    pattern: /^(\d{5})(?:\d{4})?$/,
+    format: ([, zip]) => zip,
+    error: 'Enter a 5-digit ZIP code',
+  },
+  CA: {
+    // Letters D, F, I, O, Q and U are never used; W and Z never start a code
+    pattern: /^([ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z])(\d[ABCEGHJ-NPRSTV-Z]\d)?$/,
+    format: ([, fsa, ldu]) => (ldu ? `${fsa} ${ldu}` : fsa),
+    error: 'Enter a postal code like A1A 1A1',
+  },
+  MX: {
+    pattern: /^(\d{5})$/,
+    format: ([, cp]) => cp,
+    error: 'Enter a 5-digit código postal',
+  },
+};
+
+export const POSTAL_CODE_COUNTRIES = Object.keys(POSTAL_CODE_FORMATS);
+
+// Country code -> dataset (null once a missing file has been reported)
+const datasets = new Map();
+
+/**
+ * Validate and normalize a postal code
+ * @param {string} postalCode - As entered, e.g. "m5v3l9" or "10001-1234"
+ * @param {string} [countryCode] - ISO country code; detected from the format when omitted, with
+ *   5 digits read as a US ZIP (a Mexican código postal looks the same, so MX must be given)
+ * @returns {{postalCode?: string, countryCode?: string, error?: string}}
+ */
+export function normalizePostalCode(postalCode, countryCode) {
+  const country = String(countryCode || '').trim().toUpperCase() ||
+    (POSTAL_CODE_FORMATS.CA.pattern.test(compact(postalCode)) ? 'CA' : 'US');
+  const code = compact(postalCode);
+
+  if (!/^[A-Z]{2}$/.test(country)) {
+    return { error: `Unknown country "${countryCode}"` };
+  }
+
+  if (!code) {
+    return { error: 'Enter a postal code' };
+  }
+
+  const format = POSTAL_CODE_FORMATS[country];
+
+  if (!format) {
+    return { postalCode: String(postalCode).trim().toUpperCase(), countryCode: country };
+  }
+
+  const match = code.match(format.pattern);
+
+  if (!match) {
+    return { error: format.error };
+  }
+
+  return { postalCode: format.format(match), countryCode: country };
+}
+
+/**
+ * Look a normalized postal code up in the bundled dataset
+ * @param {string} postalCode - From normalizePostalCode
+ * @param {string} countryCode - From normalizePostalCode
+ * @returns {import('./geolocation.js').GeoLocation|null} null for unknown codes and countries
+ *   without a dataset
+ */
+export function lookupPostalCode(postalCode, countryCode) {
+  const dataset = getDataset(countryCode);
+  const place = dataset?.[countryCode === 'CA' ? postalCode.slice(0, 3) : postalCode];
+
+  if (!place) {
+    return null;
+  }
+
+  const [region, city, latitude, longitude] = place;
+
+  return {
+    city,
+    region,
+    postalCode,
+    countryCode,
+    latitude,
+    longitude,
+    source: 'postal-code-dataset',
+  };
+}
+
+function compact(postalCode) {
+  return String(postalCode || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function getDataset(countryCode) {
+  if (!POSTAL_CODE_FORMATS[countryCode]) {
+    return null;
+  }
+
+  if (!datasets.has(countryCode)) {
+    const file = path.resolve(POSTAL_CODE_DATA_DIR, `${countryCode}.json`);
+    let dataset = null;
+
+    try {
+      dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`[Postal Codes] No ${countryCode} dataset at ${file}:`, error.message);
+    }
+
+    datasets.set(countryCode, dataset);
+  }
+
+  return datasets.get(countryCode);
+}
@@ -0,0 +1,114 @@
+/**
+ * Seasonal Buffer Service
+ * Stores each shop's peak-season buffers: extra handling days, extra transit days, or a wider
+ * delivery window during a date range (e.g., Black Friday through Christmas)
+ */
+
+import prisma from '../db.server.js';
+import { isDateInRange } from './carriers/calendar.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BUFFER_DAYS = 30;
+
+/**
+ * @typedef {Object} SeasonalBuffer
+ * @property {string} name - Merchant label (e.g., "Holiday peak")
+ * @property {string} startDate - First day of the window (YYYY-MM-DD)
+ * @property {string} endDate - Last day of the window (YYYY-MM-DD)
+ * @property {boolean} recurring - Repeats every year; the window may run past New Year
+ * @property {number} handlingDays - Extra handling days before shipping
+ * @property {number} transitDays - Extra carrier transit days
+ * @property {number} windowDays - Extra days added to the latest delivery date only
+ */
+
+/**
+ * @typedef {Object} ActiveSeasonalBuffer
+ * @property {string[]} names - Names of the buffers active today
+ * @property {number} handlingDays
+ * @property {number} transitDays
+ * @property {number} windowDays
+ */
+
+/**
+ * Get all seasonal buffers for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<SeasonalBuffer[]>}
+ */
+export async function getSeasonalBuffers(shop) {
+  return await prisma.seasonalBuffer.findMany({
+    where: { shop },
+    orderBy: [{ startDate: 'asc' }],
+  });
+}
+
+/**
+ * Add a seasonal buffer
+ * @param {string} shop - Shop domain
+ * @param {Object} input - Raw form values
+ */
+export async function saveSeasonalBuffer(shop, input) {
+  const name = String(input.name || '').trim();
+  const { startDate, endDate } = input;
+  const recurring = !!input.recurring;
+  const [handlingDays, transitDays, windowDays] = [input.handlingDays, input.transitDays, input.windowDays]
+    .map((value) => parseInt(value || '0', 10));
+
+  if (!name) {
+    throw new Error('Enter a name for the buffer');
+  }
+
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+    throw new Error('Dates must be YYYY-MM-DD');
+  }
+
+  // Recurring windows may wrap past New Year, one-off windows may not
+  if (!recurring && endDate < startDate) {
+    throw new Error('End date must be on or after the start date');
+  }
+
+  if ([handlingDays, transitDays, windowDays].some((days) => isNaN(days) || days < 0 || days > MAX_BUFFER_DAYS)) {
+    throw new Error(`Buffer days must be between 0 and ${MAX_BUFFER_DAYS}`);
+  }
+
+  if (handlingDays + transitDays + windowDays === 0) {
+    throw new Error('Add at least one day of handling, transit, or window buffer');
+  }
+
+  return await prisma.seasonalBuffer.create({
+    data: { shop, name, startDate, endDate, recurring, handlingDays, transitDays, windowDays },
+  });
+}
+
+/**
+ * Delete a seasonal buffer
+ * @param {string} shop - Shop domain
+ * @param {string} id - Buffer id
+ */
+export async function deleteSeasonalBuffer(shop, id) {
+  return await prisma.seasonalBuffer.deleteMany({
+    where: { shop, id },
+  });
+}
+
+/**
+ * Combine the buffers active on a date
+ * Overlapping buffers don't stack: each kind of buffer takes the largest active value.
+ *
+ * @param {SeasonalBuffer[]} buffers
+ * @param {Date} date - Today in the warehouse timezone
+ * @returns {ActiveSeasonalBuffer|null}
+ */
+export function getActiveSeasonalBuffer(buffers, date) {
+  const active = buffers.filter((buffer) => isDateInRange(date, buffer));
+
+  if (active.length === 0) {
+    return null;
+  }
+
+  return {
+    names: active.map((buffer) => buffer.name),
+    handlingDays: Math.max(...active.map((buffer) => buffer.handlingDays)),
+    transitDays: Math.max(...active.map((buffer) => buffer.transitDays)),
+    windowDays: Math.max(...active.map((buffer) => buffer.windowDays)),
+  };
+}
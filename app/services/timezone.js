@@ -0,0 +1,108 @@
+/**
+ * Timezone helpers
+ * Ship-date math runs on Date objects read with local getters (getDay, getHours, ...). To
+ * evaluate the cutoff and processing days in the warehouse's timezone rather than the
+ * server's, "now" is converted to a Date whose local fields show the warehouse's wall-clock
+ * time.
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const SHOP_TIMEZONE_QUERY = `#graphql
+  query ShopTimezone {
+    shop {
+      ianaTimezone
+    }
+  }
+`;
+
+/**
+ * Whether a string is an IANA timezone this runtime knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * All IANA timezones supported by the runtime
+ * @returns {string[]}
+ */
+export function getTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [DEFAULT_TIMEZONE];
+}
+
+/**
+ * Wall-clock time in a timezone, as a Date whose local fields show that time
+ * Invalid or missing timezones fall back to UTC.
+ *
+ * @param {string} [timeZone] - IANA timezone (e.g., "America/New_York")
+ * @param {Date} [date] - Instant to convert (defaults to now)
+ * @returns {Date}
+ */
+export function getZonedNow(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const field = (type) => Number(parts.find((p) => p.type === type).value);
+
+  return new Date(
+    field('year'),
+    field('month') - 1,
+    field('day'),
+    field('hour'),
+    field('minute'),
+    field('second')
+  );
+}
+
+/**
+ * Real instant of a wall-clock time in a timezone (the inverse of getZonedNow)
+ * @param {Date} wallTime - Date whose local fields show the time in the timezone
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {Date}
+ */
+export function fromZonedTime(wallTime, timeZone) {
+  const offsetAt = (instant) => getZonedNow(timeZone, instant).getTime() - instant.getTime();
+
+  // Guess with the offset at the wall time, then correct once in case DST changes in between
+  const guess = new Date(wallTime.getTime() - offsetAt(wallTime));
+  return new Date(wallTime.getTime() - offsetAt(guess));
+}
+
+/**
+ * Look up the shop's timezone through the Admin API
+ * @param {Object} admin - Admin API context from authenticate.admin or unauthenticated.admin
+ * @returns {Promise<string|null>} IANA timezone, or null if it can't be read
+ */
+export async function getShopTimezone(admin) {
+  try {
+    const response = await admin.graphql(SHOP_TIMEZONE_QUERY);
+    const { data } = await response.json();
+    const timeZone = data?.shop?.ianaTimezone;
+    return isValidTimeZone(timeZone) ? timeZone : null;
+  } catch (error) {
+    console.error('Failed to read shop timezone:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Transit time cache
+ * Sits in front of carrier.getTransitTime so visitors in the same area share one carrier lookup.
+ * Entries are keyed by shop, carrier, environment, origin postal code, destination ZIP3/FSA,
+ * service type and ship date.
+ *
+ * Configuration:
+ *   TRANSIT_CACHE_STORE        - "memory" (default, in-process LRU) or "prisma" (shared across instances)
+ *   TRANSIT_CACHE_TTL_SECONDS  - Entry lifetime, defaults to 12 hours
+ */
+
+import prisma from '../db.server.js';
+import { MemoryCacheStore, PrismaCacheStore } from './cache.js';
+
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60;
+
+const ttlMs = (Number(process.env.TRANSIT_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000;
+
+const store = process.env.TRANSIT_CACHE_STORE === 'prisma'
+  ? new PrismaCacheStore(prisma, 'transit')
+  : new MemoryCacheStore({ maxEntries: 20000 });
+
+/**
+ * @typedef {Object} TransitCacheKeyParts
+ * @property {string} shop - Shopify shop domain
+ * @property {string} carrier - Carrier type from CARRIERS enum
+ * @property {string} environment - Carrier API environment
+ * @property {string} originPostalCode - Warehouse postal code
+ * @property {string} destinationPostalCode - Customer postal code
+ * @property {string} destinationCountryCode - Customer ISO country code
+ * @property {string} [serviceType] - Carrier service type (carrier default if omitted)
+ * @property {Date} shipDate - Planned ship date
+ */
+
+/**
+ * Build the cache key for a transit lookup
+ * @param {TransitCacheKeyParts} parts
+ * @returns {string}
+ */
+export function buildTransitCacheKey(parts) {
+  return [
+    parts.shop,
+    parts.carrier,
+    parts.environment,
+    normalizePostalCode(parts.originPostalCode),
+    getPostalPrefix(parts.destinationPostalCode, parts.destinationCountryCode),
+    parts.serviceType || 'default',
+    parts.shipDate.toISOString().split('T')[0],
+  ].join('|');
+}
+
+/**
+ * Return a cached transit result, or run the lookup and cache it if it succeeded
+ * 
+ * @param {string} key - Key from buildTransitCacheKey
+ * @param {() => Promise<import('./carriers/types.js').TransitTimeResponse>} lookup - Carrier lookup on cache miss
+ * @returns {Promise<import('./carriers/types.js').TransitTimeResponse>}
+ */
+export async function getCachedTransitTime(key, lookup) {
+  const cached = await store.get(key).catch((error) => {
+    console.warn('[Transit Cache] Read failed:', error.message);
+    return undefined;
+  });
+
+  if (cached) {
+    return reviveTransitResult(cached);
+  }
+
+  const result = await lookup();
+
+  // Only cache real answers - failures should be retried on the next request
+  if (result?.success) {
+    await store.set(key, result, ttlMs).catch((error) => {
+      console.warn('[Transit Cache] Write failed:', error.message);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Remove all cached transit results for a shop
+ * @param {string} shop - Shopify shop domain
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function purgeTransitCache(shop) {
+  return store.deleteByPrefix(`${shop}|`);
+}
+
+/**
+ * Destination prefix shared by nearby customers:
+ * ZIP3 for US, FSA (forward sortation area) for Canada, full code elsewhere
+ */
+function getPostalPrefix(postalCode, countryCode) {
+  const normalized = normalizePostalCode(postalCode);
+
+  if (countryCode === 'US' || countryCode === 'CA') {
+    return `${countryCode}:${normalized.substring(0, 3)}`;
+  }
+
+  return `${countryCode || ''}:${normalized}`;
+}
+
+function normalizePostalCode(postalCode) {
+  return (postalCode || '').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+}
+
+/**
+ * Restore Date fields after a JSON round trip through the store
+ */
+function reviveTransitResult(result) {
+  return {
+    ...result,
+    deliveryDateMin: result.deliveryDateMin ? new Date(result.deliveryDateMin) : undefined,
+    deliveryDateMax: result.deliveryDateMax ? new Date(result.deliveryDateMax) : undefined,
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Drop-ship vendor origins
+ * Products from drop-ship vendors ship from the vendor's dock, with the vendor's handling time,
+ * processing days and carrier. Storage and product lookups live in vendor-origins.server.js.
+ */
+
+import { CARRIERS, CARRIER_STRATEGIES } from './carriers/types.js';
+import { isValidTimeZone } from './timezone.js';
+
+export const VENDOR_MATCH_TYPES = {
+  VENDOR: 'vendor',
+  TAG: 'tag',
+};
+
+const MAX_HANDLING_DAYS = 60;
+
+// Freight uses the lane table for freight products only, so it can't be a vendor's carrier
+const VENDOR_CARRIERS = [CARRIERS.FEDEX, CARRIERS.UPS, CARRIERS.USPS, CARRIERS.MANUAL];
+
+/**
+ * @typedef {Object} VendorOrigin
+ * @property {string} name - Display name, e.g. the manufacturer
+ * @property {string} matchType - From VENDOR_MATCH_TYPES
+ * @property {string} matchValue - Lowercase vendor name or tag
+ * @property {string} [street]
+ * @property {string} city
+ * @property {string} state
+ * @property {string} postalCode
+ * @property {string} countryCode
+ * @property {string|null} [timezone] - IANA timezone, or null for the shop's
+ * @property {number} handlingTimeDays
+ * @property {string} processingDays - Comma-separated weekdays (0=Sun)
+ * @property {string|null} [carrier] - CARRIERS value, or null for the shop's carriers
+ */
+
+/**
+ * Find the vendor origin for a product; a vendor match wins over a tag match
+ * @param {VendorOrigin[]} origins
+ * @param {{vendor?: string, tags?: string[]}} product
+ * @returns {VendorOrigin|undefined}
+ */
+export function findVendorOrigin(origins, { vendor, tags = [] }) {
+  const vendorName = normalizeMatchValue(vendor);
+  const productTags = tags.map(normalizeMatchValue);
+
+  return (
+    origins.find((origin) => origin.matchType === VENDOR_MATCH_TYPES.VENDOR && origin.matchValue === vendorName) ||
+    origins.find((origin) => origin.matchType === VENDOR_MATCH_TYPES.TAG && productTags.includes(origin.matchValue))
+  );
+}
+
+/**
+ * App settings with a vendor's dock in place of the shop's warehouse
+ * Warehouse-only settings (daily capacity) don't apply to the vendor.
+ *
+ * @param {Object} settings - App settings
+ * @param {VendorOrigin} origin
+ * @returns {Object}
+ */
+export function applyVendorOrigin(settings, origin) {
+  return {
+    ...settings,
+    warehouseStreet: origin.street,
+    warehouseCity: origin.city,
+    warehouseState: origin.state,
+    warehousePostalCode: origin.postalCode,
+    warehouseCountryCode: origin.countryCode,
+    warehouseTimezone: origin.timezone || settings.warehouseTimezone,
+    handlingTimeDays: origin.handlingTimeDays,
+    processingDays: origin.processingDays,
+    dailyOrderCapacity: null,
+    ...(origin.carrier ? {
+      enabledCarriers: origin.carrier,
+      carrier: origin.carrier,
+      carrierStrategy: CARRIER_STRATEGIES.PREFERRED,
+    } : {}),
+  };
+}
+
+/**
+ * Validate and normalize a vendor origin entered by the merchant
+ * @param {Object} input - Raw form values
+ * @returns {{origin?: VendorOrigin, error?: string}}
+ */
+export function normalizeVendorOrigin(input) {
+  const matchType = String(input.matchType || '').trim().toLowerCase();
+  const matchValue = normalizeMatchValue(input.matchValue);
+  const handlingTimeDays = parseInt(input.handlingTimeDays, 10);
+  const processingDays = String(input.processingDays || '').trim();
+  const carrier = String(input.carrier || '').trim() || null;
+  const timezone = String(input.timezone || '').trim() || null;
+  const [city, state, postalCode] = [input.city, input.state, input.postalCode]
+    .map((value) => String(value || '').trim());
+
+  if (!Object.values(VENDOR_MATCH_TYPES).includes(matchType)) {
+    return { error: `Unknown match type "${input.matchType}"` };
+  }
+
+  if (!matchValue) {
+    return { error: matchType === VENDOR_MATCH_TYPES.TAG ? 'Enter a product tag' : 'Enter a vendor name' };
+  }
+
+  if (!city || !postalCode) {
+    return { error: 'Enter the city and postal code the vendor ships from' };
+  }
+
+  if (isNaN(handlingTimeDays) || handlingTimeDays < 0 || handlingTimeDays > MAX_HANDLING_DAYS) {
+    return { error: `Handling time must be between 0 and ${MAX_HANDLING_DAYS} business days` };
+  }
+
+  if (!/^[0-6](,[0-6])*$/.test(processingDays)) {
+    return { error: 'Choose at least one processing day' };
+  }
+
+  if (carrier && !VENDOR_CARRIERS.includes(carrier)) {
+    return { error: `Unknown carrier "${carrier}"` };
+  }
+
+  if (timezone && !isValidTimeZone(timezone)) {
+    return { error: `Unknown timezone "${timezone}"` };
+  }
+
+  return {
+    origin: {
+      name: String(input.name || '').trim() || String(input.matchValue).trim(),
+      matchType,
+      matchValue,
+      street: String(input.street || '').trim() || null,
+      city,
+      state,
+      postalCode,
+      countryCode: String(input.countryCode || '').trim().toUpperCase() || 'US',
+      timezone,
+      handlingTimeDays,
+      processingDays,
+      carrier,
+    },
+  };
+}
+
+function normalizeMatchValue(value) {
+  return String(value || '').trim().toLowerCase();
+}
@@ -0,0 +1,74 @@
+/**
+ * Vendor Origin Service
+ * Stores each shop's drop-ship vendor origins and finds the one a product ships from. Matching
+ * needs the product's vendor and tags, read from the Admin API (read_products scope).
+ */
+
+import prisma from '../db.server.js';
+import { getProductDetails } from './handling-time.server.js';
+import { toNumericId } from './handling-time.js';
+import { findVendorOrigin } from './vendor-origins.js';
+
+/**
+ * Get all vendor origins for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<import('./vendor-origins.js').VendorOrigin[]>}
+ */
+export async function getVendorOrigins(shop) {
+  return await prisma.vendorOrigin.findMany({
+    where: { shop },
+    orderBy: [{ name: 'asc' }],
+  });
+}
+
+/**
+ * Create or update the origin for a match type/value pair
+ * @param {string} shop - Shop domain
+ * @param {import('./vendor-origins.js').VendorOrigin} origin - Normalized origin
+ */
+export async function saveVendorOrigin(shop, origin) {
+  const { matchType, matchValue, ...fields } = origin;
+
+  return await prisma.vendorOrigin.upsert({
+    where: { shop_matchType_matchValue: { shop, matchType, matchValue } },
+    update: fields,
+    create: { shop, matchType, matchValue, ...fields },
+  });
+}
+
+/**
+ * Delete a vendor origin
+ * @param {string} shop - Shop domain
+ * @param {string} id - Origin id
+ */
+export async function deleteVendorOrigin(shop, id) {
+  return await prisma.vendorOrigin.deleteMany({
+    where: { shop, id },
+  });
+}
+
+/**
+ * Find the drop-ship vendor a product ships from
+ * @param {string} shop - Shop domain
+ * @param {Object} [product]
+ * @param {string} [product.productId] - Product id or GID
+ * @param {string} [product.variantId] - Variant id or GID
+ * @returns {Promise<import('./vendor-origins.js').VendorOrigin|null>} null for products that
+ *   ship from the shop's own warehouses
+ */
+export async function resolveVendorOrigin(shop, { productId, variantId } = {}) {
+  const ids = { productId: toNumericId(productId), variantId: toNumericId(variantId) };
+
+  if (!ids.productId && !ids.variantId) {
+    return null;
+  }
+
+  const origins = await getVendorOrigins(shop);
+
+  if (origins.length === 0) {
+    return null;
+  }
+
+  const details = await getProductDetails(shop, ids);
+  return (details && findVendorOrigin(origins, details)) || null;
+}
@@ -0,0 +1,94 @@
+/**
+ * Warehouse Blackout Service
+ * Stores the days each shop's warehouse is closed (holiday shutdowns, inventory counts) so
+ * ship dates skip them
+ */
+
+import prisma from '../db.server.js';
+import { isDateInRange } from './carriers/calendar.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} WarehouseBlackout
+ * @property {string} startDate - First closed day (YYYY-MM-DD)
+ * @property {string} endDate - Last closed day (YYYY-MM-DD), same as startDate for a single day
+ * @property {boolean} recurring - Repeats every year; only the month and day are used and the
+ *   range may wrap into the next year (e.g., Dec 24 – Jan 2)
+ * @property {string} [note] - Merchant note (e.g., "Inventory count")
+ */
+
+/**
+ * Get all blackouts for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<WarehouseBlackout[]>}
+ */
+export async function getWarehouseBlackouts(shop) {
+  return await prisma.warehouseBlackout.findMany({
+    where: { shop },
+    orderBy: [{ recurring: 'desc' }, { startDate: 'asc' }],
+  });
+}
+
+/**
+ * Add a blackout
+ * @param {string} shop - Shop domain
+ * @param {WarehouseBlackout} blackout
+ */
+export async function saveWarehouseBlackout(shop, blackout) {
+  const { startDate, endDate = startDate, recurring = false, note = null } = blackout;
+
+  if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+    throw new Error('Dates must be YYYY-MM-DD');
+  }
+
+  // Recurring ranges may wrap past New Year, one-off ranges may not
+  if (!recurring && endDate < startDate) {
+    throw new Error('End date must be on or after the start date');
+  }
+
+  // Yearly closures that together cover every day would leave no ship date at all
+  if (recurring) {
+    const yearly = (await getWarehouseBlackouts(shop)).filter((existing) => existing.recurring);
+
+    if (!hasOpenDay([...yearly, { startDate, endDate, recurring }])) {
+      throw new Error('Yearly closures must leave the warehouse open part of the year');
+    }
+  }
+
+  return await prisma.warehouseBlackout.create({
+    data: { shop, startDate, endDate, recurring, note },
+  });
+}
+
+/**
+ * Delete a blackout
+ * @param {string} shop - Shop domain
+ * @param {string} id - Blackout id
+ */
+export async function deleteWarehouseBlackout(shop, id) {
+  return await prisma.warehouseBlackout.deleteMany({
+    where: { shop, id },
+  });
+}
+
+/**
+ * Whether the warehouse is closed on a date
+ * @param {Date} date
+ * @param {WarehouseBlackout[]} blackouts
+ * @returns {boolean}
+ */
+export function isBlackoutDate(date, blackouts) {
+  return blackouts.some((blackout) => isDateInRange(date, blackout));
+}
+
+function hasOpenDay(recurringBlackouts) {
+  // Checked in a non-leap year: a day open then is open every year, while Feb 29 isn't
+  for (const date = new Date(2001, 0, 1); date.getFullYear() === 2001; date.setDate(date.getDate() + 1)) {
+    if (!isBlackoutDate(date, recurringBlackouts)) {
+      return true;
+    }
+  }
+
+  return false;
+}
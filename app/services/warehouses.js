@@ -0,0 +1,98 @@
+/**
+ * Warehouse selection
+ * Picks the origin for an estimate from the shop's warehouses: the closest one that stocks the
+ * variant. Storage, Shopify Location sync and stock lookups live in warehouses.server.js.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * @typedef {Object} Warehouse
+ * @property {string} locationId - Numeric Shopify location id
+ * @property {string} name
+ * @property {string} [street]
+ * @property {string} city
+ * @property {string} state
+ * @property {string} postalCode
+ * @property {string} countryCode
+ * @property {number|null} [latitude]
+ * @property {number|null} [longitude]
+ * @property {string|null} [timezone] - IANA timezone, or null for the shop's
+ * @property {number|null} [handlingTimeDays] - null for the shop's
+ * @property {string|null} [cutoffTime] - HH:MM, or null for the shop's
+ * @property {string|null} [processingDays] - Comma-separated weekdays, or null for the shop's
+ * @property {number|null} [dailyOrderCapacity] - Orders per processing day, or null for the shop's
+ * @property {boolean} isEnabled - Considered as an origin
+ */
+
+/**
+ * Great-circle distance between two points
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number} Kilometres
+ */
+export function distanceKm(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Pick the warehouse to ship from
+ * Only enabled warehouses that stock the variant are considered; if none do (or stock is
+ * unknown), every enabled warehouse is. Warehouses are ranked by distance when both ends have
+ * coordinates, then by whether they're in the destination country.
+ *
+ * @param {Warehouse[]} warehouses
+ * @param {import('./geolocation.js').GeoLocation} destination
+ * @param {Set<string>|null} [stockedLocationIds] - Locations with the variant available
+ * @returns {Warehouse|null} null when the shop has no enabled warehouses
+ */
+export function selectWarehouse(warehouses, destination, stockedLocationIds = null) {
+  const enabled = warehouses.filter((warehouse) => warehouse.isEnabled);
+  const stocked = stockedLocationIds
+    ? enabled.filter((warehouse) => stockedLocationIds.has(warehouse.locationId))
+    : [];
+  const candidates = stocked.length > 0 ? stocked : enabled;
+
+  const rank = (warehouse) => {
+    if (hasCoordinates(warehouse) && hasCoordinates(destination)) {
+      return [0, distanceKm(warehouse, destination)];
+    }
+    return [warehouse.countryCode === destination.countryCode ? 1 : 2, 0];
+  };
+
+  return candidates
+    .map((warehouse) => ({ warehouse, rank: rank(warehouse) }))
+    .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1])[0]?.warehouse || null;
+}
+
+/**
+ * App settings with a warehouse's address and overrides in place of the shop's
+ * @param {Object} settings - App settings
+ * @param {Warehouse} warehouse
+ * @returns {Object}
+ */
+export function applyWarehouse(settings, warehouse) {
+  return {
+    ...settings,
+    warehouseStreet: warehouse.street,
+    warehouseCity: warehouse.city,
+    warehouseState: warehouse.state,
+    warehousePostalCode: warehouse.postalCode,
+    warehouseCountryCode: warehouse.countryCode,
+    warehouseTimezone: warehouse.timezone || settings.warehouseTimezone,
+    handlingTimeDays: warehouse.handlingTimeDays ?? settings.handlingTimeDays,
+    cutoffTime: warehouse.cutoffTime || settings.cutoffTime,
+    processingDays: warehouse.processingDays || settings.processingDays,
+    dailyOrderCapacity: warehouse.dailyOrderCapacity ?? settings.dailyOrderCapacity,
+  };
+}
+
+function hasCoordinates(point) {
+  return Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+}
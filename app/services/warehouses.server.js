@@ -0,0 +1,226 @@
+/**
+ * Warehouse Service
+ * Stores each shop's warehouses, syncs them from Shopify Locations (read_locations scope), and
+ * reads which locations stock a variant (read_inventory scope) so estimates ship from a
+ * warehouse that can fill the order.
+ */
+
+import prisma from '../db.server.js';
+import { unauthenticated } from '../shopify.server.js';
+import { MemoryCacheStore } from './cache.js';
+import { toNumericId } from './handling-time.js';
+import { isValidTimeZone } from './timezone.js';
+
+// Short, so origins follow stock moving between locations
+const STOCK_TTL_MS = 60 * 1000;
+
+const MAX_HANDLING_TIME_DAYS = 60;
+
+const stockStore = new MemoryCacheStore({ maxEntries: 5000 });
+
+const LOCATIONS_QUERY = `#graphql
+  query WarehouseLocations($cursor: String) {
+    locations(first: 50, after: $cursor) {
+      nodes {
+        id
+        name
+        fulfillsOnlineOrders
+        address {
+          address1
+          city
+          provinceCode
+          zip
+          countryCode
+          latitude
+          longitude
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const VARIANT_STOCK_QUERY = `#graphql
+  query WarehouseVariantStock($id: ID!) {
+    productVariant(id: $id) {
+      inventoryItem {
+        tracked
+        inventoryLevels(first: 50) {
+          nodes {
+            location {
+              id
+            }
+            quantities(names: ["available"]) {
+              quantity
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Get all warehouses for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<import('./warehouses.js').Warehouse[]>}
+ */
+export async function getWarehouses(shop) {
+  return await prisma.warehouse.findMany({
+    where: { shop },
+    orderBy: [{ name: 'asc' }],
+  });
+}
+
+/**
+ * Replace the shop's warehouses with its active Shopify locations that fulfill online orders
+ * Handling time, cutoff, processing days, timezone, daily capacity and enabled state set in the
+ * app are kept
+ * for locations that still exist; removed locations are deleted.
+ *
+ * @param {Object} admin - Authenticated Admin API client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<number>} Number of warehouses synced
+ */
+export async function syncWarehouses(admin, shop) {
+  const locations = [];
+  let cursor = null;
+
+  do {
+    const response = await admin.graphql(LOCATIONS_QUERY, { variables: { cursor } });
+    const { data } = await response.json();
+    locations.push(...data.locations.nodes);
+    cursor = data.locations.pageInfo.hasNextPage ? data.locations.pageInfo.endCursor : null;
+  } while (cursor);
+
+  // Locations without a postal address (e.g., app-managed locations) can't be an origin
+  const origins = locations.filter(
+    (location) => location.fulfillsOnlineOrders && location.address?.city && location.address?.zip
+  );
+
+  for (const location of origins) {
+    const locationId = toNumericId(location.id);
+    const address = {
+      name: location.name,
+      street: location.address.address1 || null,
+      city: location.address.city,
+      state: location.address.provinceCode || '',
+      postalCode: location.address.zip,
+      countryCode: location.address.countryCode || 'US',
+      latitude: location.address.latitude ?? null,
+      longitude: location.address.longitude ?? null,
+    };
+
+    await prisma.warehouse.upsert({
+      where: { shop_locationId: { shop, locationId } },
+      update: address,
+      create: { shop, locationId, ...address },
+    });
+  }
+
+  await prisma.warehouse.deleteMany({
+    where: { shop, locationId: { notIn: origins.map((location) => toNumericId(location.id)) } },
+  });
+
+  return origins.length;
+}
+
+/**
+ * Update a warehouse's overrides; empty values fall back to the shop settings
+ * @param {string} shop - Shop domain
+ * @param {string} id - Warehouse id
+ * @param {Object} input - Raw handlingTimeDays, cutoffTime, processingDays, timezone,
+ *   dailyOrderCapacity, isEnabled
+ */
+export async function updateWarehouse(shop, id, input) {
+  const handlingTimeDays = input.handlingTimeDays === '' || input.handlingTimeDays == null
+    ? null
+    : parseInt(input.handlingTimeDays, 10);
+  const cutoffTime = String(input.cutoffTime || '').trim() || null;
+  const processingDays = String(input.processingDays || '').trim() || null;
+  const timezone = String(input.timezone || '').trim() || null;
+  const dailyOrderCapacity = input.dailyOrderCapacity === '' || input.dailyOrderCapacity == null
+    ? null
+    : parseInt(input.dailyOrderCapacity, 10);
+
+  if (handlingTimeDays !== null &&
+    (isNaN(handlingTimeDays) || handlingTimeDays < 0 || handlingTimeDays > MAX_HANDLING_TIME_DAYS)) {
+    throw new Error(`Handling time must be between 0 and ${MAX_HANDLING_TIME_DAYS} business days`);
+  }
+
+  if (cutoffTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(cutoffTime)) {
+    throw new Error('Cutoff time must be HH:MM');
+  }
+
+  if (processingDays && !/^[0-6](,[0-6])*$/.test(processingDays)) {
+    throw new Error('Choose at least one processing day');
+  }
+
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new Error(`Unknown timezone "${timezone}"`);
+  }
+
+  if (dailyOrderCapacity !== null && (isNaN(dailyOrderCapacity) || dailyOrderCapacity < 1)) {
+    throw new Error('Daily capacity must be at least 1 order');
+  }
+
+  return await prisma.warehouse.updateMany({
+    where: { shop, id },
+    data: {
+      handlingTimeDays,
+      cutoffTime,
+      processingDays,
+      timezone,
+      dailyOrderCapacity,
+      isEnabled: !!input.isEnabled,
+    },
+  });
+}
+
+/**
+ * Locations with the variant available, cached briefly
+ * @param {string} shop - Shop domain
+ * @param {string} [variantId] - Variant id or GID
+ * @returns {Promise<Set<string>|null>} Numeric location ids, or null when stock is unknown or
+ *   not tracked
+ */
+export async function getStockedLocationIds(shop, variantId) {
+  const id = toNumericId(variantId);
+
+  if (!id) {
+    return null;
+  }
+
+  const key = `${shop}|${id}`;
+  const cached = await stockStore.get(key);
+
+  if (cached) {
+    return new Set(cached);
+  }
+
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    const response = await admin.graphql(VARIANT_STOCK_QUERY, {
+      variables: { id: `gid://shopify/ProductVariant/${id}` },
+    });
+    const { data } = await response.json();
+    const inventoryItem = data?.productVariant?.inventoryItem;
+
+    if (!inventoryItem?.tracked) {
+      return null;
+    }
+
+    const locationIds = inventoryItem.inventoryLevels.nodes
+      .filter((level) => level.quantities.some((quantity) => quantity.quantity > 0))
+      .map((level) => toNumericId(level.location.id));
+
+    await stockStore.set(key, locationIds, STOCK_TTL_MS);
+    return new Set(locationIds);
+  } catch (error) {
+    console.error(`[Warehouses] Stock lookup failed for ${shop}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,7 @@
+-- AddCarrierSelection
+ALTER TABLE "AppSettings" ADD COLUMN "carrier" TEXT NOT NULL DEFAULT 'fedex';
+
+-- AddUpsCredentials
+ALTER TABLE "AppSettings" ADD COLUMN "upsClientId" TEXT;
+ALTER TABLE "AppSettings" ADD COLUMN "upsClientSecret" TEXT;
+ALTER TABLE "AppSettings" ADD COLUMN "upsAccountNumber" TEXT;
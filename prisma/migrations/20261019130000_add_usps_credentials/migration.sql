@@ -0,0 +1,4 @@
+-- AddUspsCredentials
+ALTER TABLE "AppSettings" ADD COLUMN "uspsClientId" TEXT;
+ALTER TABLE "AppSettings" ADD COLUMN "uspsClientSecret" TEXT;
+ALTER TABLE "AppSettings" ADD COLUMN "uspsMailClass" TEXT NOT NULL DEFAULT 'USPS_GROUND_ADVANTAGE';
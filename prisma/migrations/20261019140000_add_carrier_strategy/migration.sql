@@ -0,0 +1,6 @@
+-- AddEnabledCarriers
+ALTER TABLE "AppSettings" ADD COLUMN "enabledCarriers" TEXT NOT NULL DEFAULT 'fedex';
+ALTER TABLE "AppSettings" ADD COLUMN "carrierStrategy" TEXT NOT NULL DEFAULT 'preferred';
+
+-- Keep each shop's previously selected carrier enabled
+UPDATE "AppSettings" SET "enabledCarriers" = "carrier";
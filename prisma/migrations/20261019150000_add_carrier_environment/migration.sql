@@ -0,0 +1,2 @@
+-- AddCarrierEnvironment
+ALTER TABLE "AppSettings" ADD COLUMN "carrierEnvironment" TEXT NOT NULL DEFAULT 'sandbox';
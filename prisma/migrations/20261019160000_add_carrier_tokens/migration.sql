@@ -0,0 +1,7 @@
+-- CreateTable
+CREATE TABLE "CarrierToken" (
+    "cacheKey" TEXT NOT NULL PRIMARY KEY,
+    "accessToken" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "CacheEntry" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "namespace" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "CacheEntry_namespace_expiresAt_idx" ON "CacheEntry"("namespace", "expiresAt");
@@ -0,0 +1,17 @@
+-- AddFreightEnabled
+ALTER TABLE "AppSettings" ADD COLUMN "freightEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "FreightLane" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "originState" TEXT NOT NULL,
+    "destinationState" TEXT NOT NULL,
+    "transitDaysMin" INTEGER NOT NULL,
+    "transitDaysMax" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FreightLane_shop_originState_destinationState_key" ON "FreightLane"("shop", "originState", "destinationState");
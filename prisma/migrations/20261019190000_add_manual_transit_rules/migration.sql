@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "ManualTransitRule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "transitDaysMin" INTEGER NOT NULL,
+    "transitDaysMax" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ManualTransitRule_shop_type_value_key" ON "ManualTransitRule"("shop", "type", "value");
@@ -0,0 +1,16 @@
+-- AddFedexServiceType
+ALTER TABLE "AppSettings" ADD COLUMN "fedexServiceType" TEXT NOT NULL DEFAULT 'FEDEX_GROUND';
+
+-- CreateTable
+CREATE TABLE "CalendarException" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "carrier" TEXT NOT NULL DEFAULT '*',
+    "type" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CalendarException_shop_date_carrier_key" ON "CalendarException"("shop", "date", "carrier");
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "WarehouseBlackout" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "startDate" TEXT NOT NULL,
+    "endDate" TEXT NOT NULL,
+    "recurring" BOOLEAN NOT NULL DEFAULT false,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "WarehouseBlackout_shop_idx" ON "WarehouseBlackout"("shop");
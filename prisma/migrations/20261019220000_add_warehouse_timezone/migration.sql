@@ -0,0 +1,2 @@
+-- AddWarehouseTimezone
+ALTER TABLE "AppSettings" ADD COLUMN "warehouseTimezone" TEXT;
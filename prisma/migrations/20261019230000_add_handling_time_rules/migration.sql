@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "HandlingTimeRule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "handlingTimeDays" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "HandlingTimeRule_shop_type_value_key" ON "HandlingTimeRule"("shop", "type", "value");
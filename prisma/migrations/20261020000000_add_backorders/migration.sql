@@ -0,0 +1,18 @@
+-- AddBackorderLeadTime
+ALTER TABLE "AppSettings" ADD COLUMN "backorderLeadTimeDays" INTEGER NOT NULL DEFAULT 14;
+
+-- CreateTable
+CREATE TABLE "BackorderRule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "restockDate" TEXT,
+    "leadTimeDays" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BackorderRule_shop_type_value_key" ON "BackorderRule"("shop", "type", "value");
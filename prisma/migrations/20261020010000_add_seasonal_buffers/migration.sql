@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "SeasonalBuffer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "startDate" TEXT NOT NULL,
+    "endDate" TEXT NOT NULL,
+    "recurring" BOOLEAN NOT NULL DEFAULT false,
+    "handlingDays" INTEGER NOT NULL DEFAULT 0,
+    "transitDays" INTEGER NOT NULL DEFAULT 0,
+    "windowDays" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "SeasonalBuffer_shop_idx" ON "SeasonalBuffer"("shop");
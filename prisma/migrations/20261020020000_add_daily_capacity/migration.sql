@@ -0,0 +1,17 @@
+-- AddDailyOrderCapacity
+ALTER TABLE "AppSettings" ADD COLUMN "dailyOrderCapacity" INTEGER;
+
+-- CreateTable
+CREATE TABLE "CapacityOrder" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "processingDay" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CapacityOrder_shop_orderId_key" ON "CapacityOrder"("shop", "orderId");
+
+-- CreateIndex
+CREATE INDEX "CapacityOrder_shop_processingDay_idx" ON "CapacityOrder"("shop", "processingDay");
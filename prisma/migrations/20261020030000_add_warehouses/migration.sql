@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "Warehouse" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "street" TEXT,
+    "city" TEXT NOT NULL,
+    "state" TEXT NOT NULL,
+    "postalCode" TEXT NOT NULL,
+    "countryCode" TEXT NOT NULL DEFAULT 'US',
+    "latitude" REAL,
+    "longitude" REAL,
+    "timezone" TEXT,
+    "handlingTimeDays" INTEGER,
+    "cutoffTime" TEXT,
+    "processingDays" TEXT,
+    "isEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Warehouse_shop_locationId_key" ON "Warehouse"("shop", "locationId");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "VendorOrigin" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "matchType" TEXT NOT NULL,
+    "matchValue" TEXT NOT NULL,
+    "street" TEXT,
+    "city" TEXT NOT NULL,
+    "state" TEXT NOT NULL,
+    "postalCode" TEXT NOT NULL,
+    "countryCode" TEXT NOT NULL DEFAULT 'US',
+    "timezone" TEXT,
+    "handlingTimeDays" INTEGER NOT NULL,
+    "processingDays" TEXT NOT NULL DEFAULT '1,2,3,4,5',
+    "carrier" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VendorOrigin_shop_matchType_matchValue_key" ON "VendorOrigin"("shop", "matchType", "matchValue");
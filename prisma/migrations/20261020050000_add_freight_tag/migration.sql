@@ -0,0 +1,2 @@
+-- AddFreightTag
+ALTER TABLE "AppSettings" ADD COLUMN "freightTag" TEXT NOT NULL DEFAULT 'freight';
@@ -0,0 +1,11 @@
+-- AddWarehouseDailyOrderCapacity
+ALTER TABLE "Warehouse" ADD COLUMN "dailyOrderCapacity" INTEGER;
+
+-- AddCapacityOrderLocation
+ALTER TABLE "CapacityOrder" ADD COLUMN "locationId" TEXT NOT NULL DEFAULT '';
+
+-- DropIndex
+DROP INDEX "CapacityOrder_shop_processingDay_idx";
+
+-- CreateIndex
+CREATE INDEX "CapacityOrder_shop_locationId_processingDay_idx" ON "CapacityOrder"("shop", "locationId", "processingDay");
@@ -0,0 +1,221 @@
+/**
+ * Postal code dataset builder
+ * Turns GeoNames postal code dumps into the bundled lookup files in data/postal-codes: US ZIP
+ * codes, Canadian FSAs (the first three characters of a postal code) and Mexican códigos
+ * postales, each with a centroid and region code. Commit the output.
+ *
+ * Usage:
+ *   npm run postal-codes:build              # download US.zip, CA.zip and MX.zip from GeoNames
+ *   npm run postal-codes:build -- ./dumps   # use US.txt/CA.txt/MX.txt (or .zip) already on disk
+ *
+ * GeoNames postal code data is CC BY 4.0 (https://download.geonames.org/export/zip/).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+const GEONAMES_URL = 'https://download.geonames.org/export/zip';
+const COUNTRIES = ['US', 'CA', 'MX'];
+const OUTPUT_DIR = path.resolve('data/postal-codes');
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+// GeoNames uses INEGI numbers for Mexican states, so map the state name to its ISO 3166-2 code.
+// Checked in order with startsWith, so Baja California Sur comes before Baja California.
+const MX_STATE_CODES = [
+  ['aguascalientes', 'AGU'],
+  ['baja california sur', 'BCS'],
+  ['baja california', 'BCN'],
+  ['campeche', 'CAM'],
+  ['chiapas', 'CHP'],
+  ['chihuahua', 'CHH'],
+  ['ciudad de mexico', 'CMX'],
+  ['distrito federal', 'CMX'],
+  ['coahuila', 'COA'],
+  ['colima', 'COL'],
+  ['durango', 'DUR'],
+  ['guanajuato', 'GUA'],
+  ['guerrero', 'GRO'],
+  ['hidalgo', 'HID'],
+  ['jalisco', 'JAL'],
+  ['mexico', 'MEX'],
+  ['estado de mexico', 'MEX'],
+  ['michoacan', 'MIC'],
+  ['morelos', 'MOR'],
+  ['nayarit', 'NAY'],
+  ['nuevo leon', 'NLE'],
+  ['oaxaca', 'OAX'],
+  ['puebla', 'PUE'],
+  ['queretaro', 'QUE'],
+  ['quintana roo', 'ROO'],
+  ['san luis potosi', 'SLP'],
+  ['sinaloa', 'SIN'],
+  ['sonora', 'SON'],
+  ['tabasco', 'TAB'],
+  ['tamaulipas', 'TAM'],
+  ['tlaxcala', 'TLA'],
+  ['veracruz', 'VER'],
+  ['yucatan', 'YUC'],
+  ['zacatecas', 'ZAC'],
+];
+
+// A Canadian postal code's first letter is its province; X is shared by NT and NU
+const CA_PROVINCES_BY_LETTER = {
+  A: 'NL', B: 'NS', C: 'PE', E: 'NB', G: 'QC', H: 'QC', J: 'QC', K: 'ON', L: 'ON', M: 'ON',
+  N: 'ON', P: 'ON', R: 'MB', S: 'SK', T: 'AB', V: 'BC', X: 'NT', Y: 'YT',
+};
+const NUNAVUT_FSAS = ['X0A', 'X0B', 'X0C'];
+
+/**
+ * Read one file from a zip archive (GeoNames zips hold the dump and a readme)
+ */
+function extractFromZip(archive, fileName) {
+  // The end of central directory record is in the last 64KB (it ends with a comment)
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entries = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entries; i++) {
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const headerOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+
+    if (name === fileName) {
+      const start = headerOffset + 30 + archive.readUInt16LE(headerOffset + 26) + archive.readUInt16LE(headerOffset + 28);
+      const data = archive.subarray(start, start + compressedSize);
+      return method === 8 ? zlib.inflateRawSync(data) : data;
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  throw new Error(`No ${fileName} in the archive`);
+}
+
+/**
+ * Get a country's dump as text, from the source directory or GeoNames
+ * @returns {Promise<string|null>} null when the source directory has no dump for the country
+ */
+async function readDump(countryCode, sourceDir) {
+  const fileName = `${countryCode}.txt`;
+
+  if (sourceDir) {
+    for (const candidate of [fileName, `${countryCode}.zip`]) {
+      const data = await fs.readFile(path.join(sourceDir, candidate)).catch(() => null);
+      if (data) {
+        return (candidate.endsWith('.zip') ? extractFromZip(data, fileName) : data).toString('utf8');
+      }
+    }
+    return null;
+  }
+
+  const url = `${GEONAMES_URL}/${countryCode}.zip`;
+  console.log(`Downloading ${url}`);
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`Download failed with ${response.status} ${response.statusText}`);
+  }
+
+  return extractFromZip(Buffer.from(await response.arrayBuffer()), fileName).toString('utf8');
+}
+
+function getRegionCode(countryCode, postalCode, adminName, adminCode) {
+  if (countryCode !== 'MX' && /^[A-Z]{2}$/.test(adminCode)) {
+    return adminCode;
+  }
+
+  if (countryCode === 'CA') {
+    return NUNAVUT_FSAS.includes(postalCode) ? 'NU' : CA_PROVINCES_BY_LETTER[postalCode[0]] || adminCode;
+  }
+
+  const name = adminName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const match = MX_STATE_CODES.find(([prefix]) => name.startsWith(prefix));
+
+  return match ? match[1] : adminCode;
+}
+
+/**
+ * Parse a GeoNames dump into code -> [region, city, latitude, longitude]
+ * Mexican codes are listed once per settlement, so their centroid is the average and the city
+ * is the first settlement's municipality.
+ */
+function parseDump(countryCode, text) {
+  const places = new Map();
+
+  for (const line of text.split('\n')) {
+    const [, postalCode, placeName, adminName1, adminCode1, adminName2, , , , latitude, longitude] = line.split('\t');
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+
+    if (!postalCode || isNaN(lat) || isNaN(lon)) {
+      continue;
+    }
+
+    const place = places.get(postalCode);
+
+    if (place) {
+      place.lat += lat;
+      place.lon += lon;
+      place.count++;
+      continue;
+    }
+
+    places.set(postalCode, {
+      region: getRegionCode(countryCode, postalCode, adminName1 || '', adminCode1 || ''),
+      // Canadian FSAs are named like "Edmonton (South Bonnie Doon / East University)"
+      city: countryCode === 'CA'
+        ? placeName.replace(/\s*\(.*$/, '')
+        : countryCode === 'MX' ? adminName2 || placeName : placeName,
+      lat,
+      lon,
+      count: 1,
+    });
+  }
+
+  return [...places.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([postalCode, { region, city, lat, lon, count }]) => [
+      postalCode,
+      [region, city, Number((lat / count).toFixed(4)), Number((lon / count).toFixed(4))],
+    ]);
+}
+
+async function main() {
+  const sourceDir = process.argv[2] ? path.resolve(process.argv[2]) : null;
+
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+
+  for (const countryCode of COUNTRIES) {
+    const text = await readDump(countryCode, sourceDir);
+
+    if (!text) {
+      console.warn(`Skipping ${countryCode}: no ${countryCode}.txt or ${countryCode}.zip in ${sourceDir}`);
+      continue;
+    }
+
+    const rows = parseDump(countryCode, text);
+
+    // One code per line keeps updates reviewable
+    const json = `{\n${rows.map(([code, place]) => `${JSON.stringify(code)}:${JSON.stringify(place)}`).join(',\n')}\n}\n`;
+    const outputPath = path.join(OUTPUT_DIR, `${countryCode}.json`);
+    await fs.writeFile(outputPath, json);
+
+    console.log(`Saved ${rows.length} ${countryCode} postal codes to ${outputPath}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Postal code build failed:', error.message);
+  process.exit(1);
+});
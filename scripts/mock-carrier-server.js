@@ -0,0 +1,324 @@
+/**
+ * Local mock carrier server
+ * Emulates the FedEx, UPS and USPS OAuth and transit endpoints used by app/services/carriers,
+ * so carrier parsing and the estimate pipeline can be exercised offline and deterministically.
+ *
+ * Usage:
+ *   npm run mock:carriers                     # listens on port 4010 (MOCK_CARRIER_PORT to change)
+ *   CARRIER_MOCK_URL=http://localhost:4010 shopify app dev
+ *
+ * The scenario is chosen by the API key / client ID configured in the app settings
+ * (e.g. "mock-no-commit"). Anything without a known scenario gets "default".
+ *
+ * Scenarios (all carriers):
+ *   default           - Normal response with transit days and a delivery date
+ *   token-expired     - First transit request per client returns 401; a fresh token then works
+ *   oauth-failure     - OAuth endpoint rejects the credentials
+ *   server-error      - Transit endpoint returns 503 (exercises retries and the circuit breaker)
+ *   rate-limited      - Transit endpoint returns 429 with Retry-After
+ *   slow              - Transit endpoint responds after 10 seconds (exercises timeouts)
+ *   bad-request       - Transit endpoint returns 400 with a carrier error message
+ *
+ * FedEx-specific:
+ *   no-commit         - Rate reply without commit information
+ *   description-only  - commit.transitTime has only a description ("3 Business Days")
+ *   no-rate-details   - Response without rateReplyDetails
+ *
+ * UPS-specific:
+ *   no-delivery-date  - Service has businessTransitDays but no deliveryDate
+ *   service-missing   - Ground service is absent from the response
+ *
+ * USPS-specific:
+ *   no-scheduled-date - Estimate has serviceStandard but no scheduled delivery
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.MOCK_CARRIER_PORT) || 4010;
+const TRANSIT_DAYS = 3;
+const SCENARIOS = [
+  'default',
+  'token-expired',
+  'oauth-failure',
+  'server-error',
+  'rate-limited',
+  'slow',
+  'bad-request',
+  'no-commit',
+  'description-only',
+  'no-rate-details',
+  'no-delivery-date',
+  'service-missing',
+  'no-scheduled-date',
+];
+
+// Tokens issued by this server: token -> { clientId, scenario }
+const tokens = new Map();
+let tokenCounter = 0;
+
+// Clients whose first token has already been "expired" by the token-expired scenario
+const expiredClients = new Set();
+
+const routes = {
+  'POST /oauth/token': handleOAuth, // FedEx
+  'POST /security/v1/oauth/token': handleOAuth, // UPS
+  'POST /oauth2/v3/token': handleOAuth, // USPS
+  'POST /rate/v1/rates/quotes': withScenario(handleFedExRate),
+  'POST /api/shipments/v1/transittimes': withScenario(handleUPSTransit),
+  'GET /service-standards/v3/estimates': withScenario(handleUSPSEstimate),
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const route = routes[`${req.method} ${url.pathname}`];
+  const body = await readBody(req);
+
+  console.log(`[Mock Carrier] ${req.method} ${url.pathname}`);
+
+  if (!route) {
+    return send(res, 404, { error: `No mock for ${req.method} ${url.pathname}` });
+  }
+
+  try {
+    await route({ req, res, url, body });
+  } catch (error) {
+    console.error('[Mock Carrier] Handler error:', error);
+    send(res, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[Mock Carrier] Listening on http://localhost:${PORT}`);
+  console.log(`[Mock Carrier] Scenarios: ${SCENARIOS.join(', ')}`);
+});
+
+/**
+ * OAuth endpoints for all three carriers
+ * Client ID comes from the form body (FedEx), Basic auth (UPS) or JSON body (USPS)
+ */
+function handleOAuth({ req, res, body }) {
+  const clientId = getClientId(req, body);
+  const scenario = getScenario(clientId);
+
+  if (scenario === 'oauth-failure') {
+    return send(res, 401, {
+      errors: [{ code: 'NOT.AUTHORIZED.ERROR', message: 'The given client credentials were not valid.' }],
+    });
+  }
+
+  const token = `mock-token-${++tokenCounter}`;
+  tokens.set(token, { clientId, scenario });
+
+  send(res, 200, {
+    access_token: token,
+    token_type: 'bearer',
+    // UPS returns expires_in as a string
+    expires_in: req.url.startsWith('/security') ? '14399' : 3599,
+    scope: 'CXS',
+  });
+}
+
+/**
+ * Resolve the scenario from the bearer token and apply the shared scenarios
+ */
+function withScenario(handler) {
+  return async (context) => {
+    const { req, res } = context;
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const tokenInfo = tokens.get(token);
+
+    if (!tokenInfo) {
+      return send(res, 401, {
+        errors: [{ code: 'NOT.AUTHORIZED.ERROR', message: 'Unknown or expired access token.' }],
+      });
+    }
+
+    const { scenario } = tokenInfo;
+
+    switch (scenario) {
+      case 'token-expired':
+        // The client's first token is rejected once, mimicking a token that
+        // expired server-side while still cached by the app
+        if (!expiredClients.has(tokenInfo.clientId)) {
+          expiredClients.add(tokenInfo.clientId);
+          tokens.delete(token);
+          return send(res, 401, {
+            errors: [{ code: 'NOT.AUTHORIZED.ERROR', message: 'Access token expired.' }],
+          });
+        }
+        break;
+
+      case 'server-error':
+        return send(res, 503, { errors: [{ code: 'SERVICE.UNAVAILABLE', message: 'Service unavailable.' }] });
+
+      case 'rate-limited':
+        return send(res, 429, { errors: [{ code: 'RATE.LIMIT', message: 'Too many requests.' }] }, { 'Retry-After': '1' });
+
+      case 'slow':
+        await new Promise((resolve) => setTimeout(resolve, 10000));
+        break;
+
+      case 'bad-request':
+        return send(res, 400, {
+          errors: [{ code: 'DESTINATION.POSTALCODE.INVALID', message: 'Destination postal code is invalid.' }],
+          response: { errors: [{ code: '270021', message: 'Destination postal code is invalid.' }] },
+          error: { message: 'Destination postal code is invalid.' },
+        });
+    }
+
+    return handler({ ...context, scenario });
+  };
+}
+
+/**
+ * FedEx Rate API
+ */
+function handleFedExRate({ res, body, scenario }) {
+  const shipment = JSON.parse(body || '{}').requestedShipment || {};
+  const shipDate = parseDate(shipment.shipDateStamp);
+  const deliveryDate = addBusinessDays(shipDate, TRANSIT_DAYS);
+  const serviceType = shipment.serviceType || 'FEDEX_GROUND';
+
+  if (scenario === 'no-rate-details') {
+    return send(res, 200, { transactionId: 'mock', output: { alerts: [] } });
+  }
+
+  const rateReply = {
+    serviceType,
+    serviceName: 'FedEx Ground®',
+    packagingType: 'YOUR_PACKAGING',
+    ratedShipmentDetails: [{ rateType: 'ACCOUNT', totalNetCharge: 12.34, currency: 'USD' }],
+    commit: {
+      dateDetail: { dayOfWeek: dayOfWeek(deliveryDate), dayFormat: `${formatDate(deliveryDate)}T23:59:00` },
+      transitTime: { transitDays: TRANSIT_DAYS, description: `${TRANSIT_DAYS} Business Days` },
+    },
+  };
+
+  if (scenario === 'no-commit') {
+    delete rateReply.commit;
+  }
+
+  if (scenario === 'description-only') {
+    rateReply.commit = { transitTime: { description: `${TRANSIT_DAYS} Business Days` } };
+  }
+
+  send(res, 200, { transactionId: 'mock', output: { rateReplyDetails: [rateReply] } });
+}
+
+/**
+ * UPS Time in Transit API
+ */
+function handleUPSTransit({ res, body, scenario }) {
+  const request = JSON.parse(body || '{}');
+  const shipDate = parseDate(request.shipDate);
+
+  const services = [
+    { serviceLevel: '1DA', serviceLevelDescription: 'UPS Next Day Air', businessTransitDays: 1 },
+    { serviceLevel: '2DA', serviceLevelDescription: 'UPS 2nd Day Air', businessTransitDays: 2 },
+    { serviceLevel: 'GND', serviceLevelDescription: 'UPS Ground', businessTransitDays: TRANSIT_DAYS },
+  ]
+    .filter((service) => scenario !== 'service-missing' || service.serviceLevel !== 'GND')
+    .map((service) => ({
+      ...service,
+      deliveryDate: scenario === 'no-delivery-date'
+        ? undefined
+        : formatDate(addBusinessDays(shipDate, service.businessTransitDays)),
+      deliveryTime: '230000',
+      guaranteeIndicator: '0',
+    }));
+
+  send(res, 200, {
+    emsResponse: {
+      shipDate: request.shipDate,
+      originPostalCode: request.originPostalCode,
+      destinationPostalCode: request.destinationPostalCode,
+      services,
+    },
+  });
+}
+
+/**
+ * USPS Service Standards API
+ */
+function handleUSPSEstimate({ res, url, scenario }) {
+  const mailClass = url.searchParams.get('mailClass') || 'USPS_GROUND_ADVANTAGE';
+  const shipDate = parseDate(url.searchParams.get('acceptanceDate'));
+  const standard = { PRIORITY_MAIL_EXPRESS: 1, PRIORITY_MAIL: 2 }[mailClass] || TRANSIT_DAYS;
+
+  const estimate = {
+    mailClass,
+    originZIPCode: url.searchParams.get('originZIPCode'),
+    destinationZIPCode: url.searchParams.get('destinationZIPCode'),
+    serviceStandard: String(standard),
+    serviceStandardMessage: `${standard} Days`,
+  };
+
+  if (scenario !== 'no-scheduled-date') {
+    estimate.delivery = {
+      scheduledDeliveryDateTime: `${formatDate(addBusinessDays(shipDate, standard))}T18:00:00Z`,
+    };
+  }
+
+  send(res, 200, [estimate]);
+}
+
+function getClientId(req, body) {
+  const authorization = req.headers.authorization || '';
+
+  if (authorization.startsWith('Basic ')) {
+    return Buffer.from(authorization.substring(6), 'base64').toString().split(':')[0];
+  }
+
+  if ((req.headers['content-type'] || '').includes('application/json')) {
+    return JSON.parse(body || '{}').client_id;
+  }
+
+  return new URLSearchParams(body).get('client_id');
+}
+
+function getScenario(clientId = '') {
+  const scenario = clientId.replace(/^mock-/, '');
+  return SCENARIOS.includes(scenario) ? scenario : 'default';
+}
+
+function send(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function parseDate(value) {
+  if (!value) {
+    return new Date();
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addBusinessDays(date, days) {
+  const result = new Date(date);
+  let added = 0;
+  while (added < days) {
+    result.setUTCDate(result.getUTCDate() + 1);
+    if (result.getUTCDay() !== 0 && result.getUTCDay() !== 6) {
+      added++;
+    }
+  }
+  return result;
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function dayOfWeek(date) {
+  return ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'][date.getUTCDay()];
+}
@@ -0,0 +1,116 @@
+/**
+ * GeoIP database updater
+ * Downloads a city-level MMDB file and swaps it in for the one at GEOIP_DATABASE_PATH
+ * (default data/GeoLite2-City.mmdb). A running app watches the file and reloads it, so no
+ * restart is needed; run this from cron to stay current (MaxMind updates twice a week).
+ *
+ * Usage:
+ *   MAXMIND_ACCOUNT_ID=... MAXMIND_LICENSE_KEY=... npm run geoip:update   # GeoLite2 City
+ *   GEOIP_DOWNLOAD_URL=https://... npm run geoip:update                    # any .mmdb, .mmdb.gz or .tar.gz
+ *
+ * GeoLite2 City needs a free MaxMind account. DB-IP City Lite works through GEOIP_DOWNLOAD_URL
+ * but has no postal codes, which transit times need; DB-IP's paid City database has them.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { Reader } from 'maxmind';
+
+const MAXMIND_URL = 'https://download.maxmind.com/geoip/databases/GeoLite2-City/download?suffix=tar.gz';
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+const databasePath = path.resolve(process.env.GEOIP_DATABASE_PATH || 'data/GeoLite2-City.mmdb');
+
+function getDownload() {
+  if (process.env.GEOIP_DOWNLOAD_URL) {
+    return { url: process.env.GEOIP_DOWNLOAD_URL, headers: {} };
+  }
+
+  const { MAXMIND_ACCOUNT_ID, MAXMIND_LICENSE_KEY } = process.env;
+
+  if (MAXMIND_ACCOUNT_ID && MAXMIND_LICENSE_KEY) {
+    const credentials = Buffer.from(`${MAXMIND_ACCOUNT_ID}:${MAXMIND_LICENSE_KEY}`).toString('base64');
+    return { url: MAXMIND_URL, headers: { Authorization: `Basic ${credentials}` } };
+  }
+
+  return null;
+}
+
+/**
+ * Find the .mmdb file in a tar archive (MaxMind ships a folder with the database and licenses)
+ */
+function extractMmdbFromTar(archive) {
+  let offset = 0;
+
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+    const name = header.subarray(0, 100).toString('utf8').replace(/\0.*$/s, '');
+
+    if (!name) {
+      break;
+    }
+
+    const size = parseInt(header.subarray(124, 136).toString('utf8').replace(/\0.*$/s, '').trim(), 8) || 0;
+    const start = offset + 512;
+
+    if (name.endsWith('.mmdb')) {
+      return archive.subarray(start, start + size);
+    }
+
+    offset = start + Math.ceil(size / 512) * 512;
+  }
+
+  throw new Error('No .mmdb file in the archive');
+}
+
+function unpack(download) {
+  // gzip magic number
+  const data = download[0] === 0x1f && download[1] === 0x8b ? zlib.gunzipSync(download) : download;
+
+  // POSIX tar archives have "ustar" at offset 257
+  if (data.subarray(257, 262).toString('utf8') === 'ustar') {
+    return extractMmdbFromTar(data);
+  }
+
+  return data;
+}
+
+async function main() {
+  const download = getDownload();
+
+  if (!download) {
+    console.error('Set MAXMIND_ACCOUNT_ID and MAXMIND_LICENSE_KEY, or GEOIP_DOWNLOAD_URL');
+    process.exit(1);
+  }
+
+  console.log(`Downloading ${download.url.replace(/\?.*$/, '')}`);
+
+  const response = await fetch(download.url, {
+    headers: download.headers,
+    signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Download failed with ${response.status} ${response.statusText}`);
+  }
+
+  const database = unpack(Buffer.from(await response.arrayBuffer()));
+
+  // Opening it checks it's a valid MMDB before replacing a working database
+  const { metadata } = new Reader(database);
+  console.log(`${metadata.databaseType} built ${metadata.buildEpoch.toISOString()}`);
+
+  // Write next to the target and rename, so the app never reads a half-written file
+  await fs.mkdir(path.dirname(databasePath), { recursive: true });
+  const tempPath = `${databasePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, database);
+  await fs.rename(tempPath, databasePath);
+
+  console.log(`Saved ${databasePath}`);
+}
+
+main().catch((error) => {
+  console.error('GeoIP update failed:', error.message);
+  process.exit(1);
+});